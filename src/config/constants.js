@@ -19,6 +19,12 @@ const WHATSAPP_CONFIG = {
     AUTH_FOLDER: './auth'
 };
 
+// Incoming message types (see utils/messageTypes)
+const MESSAGE_TYPE_CONFIG = {
+    IGNORED_JID_SUFFIXES: ['@newsletter', '@broadcast', '@g.us'], // Channels, status/broadcast lists and groups
+    SYSTEM_KEYS: ['protocolMessage', 'senderKeyDistributionMessage', 'messageContextInfo'] // Never answered
+};
+
 // Business configuration
 const DEFAULT_BUSINESS = 'default';
 
@@ -28,7 +34,16 @@ const COLLECTIONS = {
     BUSINESS_MAPPINGS: 'whatsapp_business_mapping',
     ORDERS: 'orders',
     CUSTOMERS: 'customers',
-    PRODUCTS: 'products'
+    PRODUCTS: 'products',
+    COUNTERS: 'counters',
+    SETTINGS: 'settings',
+    DISCOUNTS: 'discounts',
+    REDEMPTIONS: 'redemptions',
+    POINTS_LEDGER: 'pointsLedger',
+    REFERRALS: 'referrals',
+    SUBSCRIPTIONS: 'subscriptions',
+    SLOT_BOOKINGS: 'slotBookings',
+    PAYMENT_PROOFS: 'paymentProofs'
 };
 
 // Session configuration
@@ -39,6 +54,38 @@ const SESSION_CONFIG = {
     EMERGENCY_CLEANUP_THRESHOLD: 1000
 };
 
+// Cart configuration
+const CART_CONFIG = {
+    MAX_UNDO_STEPS: 10, // Cart edits the customer can step back through
+    MAX_ITEM_QUANTITY: 99
+};
+
+// Products sold by weight (unit 'kg') take fractional quantities and are invoiced once weighed
+const WEIGHT_CONFIG = {
+    UNITS: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'per kg'],
+    STEP: 0.1, // Ordered weights are rounded to 100 g
+    MIN_QUANTITY: 0.1
+};
+
+// Quick order menu configuration
+const MENU_CONFIG = {
+    PAGE_SIZE: 8, // Products per page
+    DEFAULT_CATEGORY: 'General'
+};
+
+// Product search configuration
+const SEARCH_CONFIG = {
+    MAX_RESULTS: 8,
+    MIN_SCORE: 0.6, // 0-1, averaged over the words in the query
+    MIN_QUERY_LENGTH: 3 // Shorter unknown messages are not treated as searches
+};
+
+// Natural-language order parsing
+const ORDER_PARSER_CONFIG = {
+    MAX_OPTIONS: 4, // Products offered when a name is ambiguous
+    AMBIGUITY_MARGIN: 0.1 // Search score lead needed to pick a product without asking
+};
+
 // Pricing configuration
 const PRICING_CONFIG = {
     TAX_RATE: 0.15, // 15% VAT in Namibia
@@ -48,11 +95,122 @@ const PRICING_CONFIG = {
     CURRENCY_SYMBOL: 'N$'
 };
 
-// Discount codes
-const DISCOUNT_CODES = {
-    'FIRST10': { type: 'percentage', value: 0.10, description: '10% off first order' },
-    'SAVE20': { type: 'fixed', value: 20, description: 'N$20 off any order' },
-    'BULK50': { type: 'percentage', value: 0.05, description: '5% off orders over N$500' }
+// Day names in Date.getDay() order, for schedules and delivery days
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Order configuration
+const ORDER_CONFIG = {
+    STATUSES: ['pending', 'payment_submitted', 'confirmed', 'preparing', 'dispatched', 'delivered', 'rejected', 'cancelled'],
+    FIRST_ORDER_NUMBER: 1001,
+    HISTORY_PAGE_SIZE: 5,
+    REORDER_LOOKBACK: 20, // Recent orders searched for "reorder <number>"
+    ACTIVE_STATUSES: ['pending', 'payment_submitted', 'confirmed', 'preparing', 'dispatched'],
+    OPEN_STATUSES: ['pending', 'payment_submitted'], // Still waiting for the vendor to accept or reject
+    RESTOCK_STATUSES: ['rejected', 'cancelled'] // Reserved stock goes back on the shelf
+};
+
+// Customer notifications for status changes made from the vendor frontend
+const STATUS_NOTIFICATION_CONFIG = {
+    STATUSES: ['confirmed', 'preparing', 'dispatched', 'delivered', 'rejected', 'cancelled'],
+    LOOKBACK_DAYS: 14, // Only orders created within this window are watched
+    CATCH_UP_HOURS: 12 // On startup, announce changes made while the bot was offline
+};
+
+// Bank transfer (EFT) payments and the proof customers send for them
+const PAYMENT_CONFIG = {
+    PROOF_TYPES: ['image', 'document'], // Screenshots and PDFs
+    PROOF_MIMETYPES: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+    MAX_PROOF_BYTES: 900000, // Proofs are stored in Firestore, which caps a document at 1 MiB
+    PROOF_LOOKBACK: 5 // Recent orders searched for one waiting for payment
+};
+
+// Recurring subscription orders, stored in vendors/{id}/subscriptions
+const SUBSCRIPTION_CONFIG = {
+    FREQUENCIES: { weekly: 7, fortnightly: 14, monthly: null }, // Days between deliveries; monthly keeps the weekday
+    TIME_ZONE: 'Africa/Windhoek',
+    CHECK_INTERVAL: 3600000, // 1 hour
+    REMINDER_HOUR: 9, // The day-before confirmation goes out from 09:00
+    ORDER_HOUR: 6, // Orders are created from 06:00 on the delivery day
+    UPCOMING_DAYS: 7 // Window for the vendor's upcoming list
+};
+
+// Per-vendor settings, stored in vendors/{id}/settings/bot and merged over these defaults
+const VENDOR_SETTINGS_DEFAULTS = {
+    notifications: {
+        orderAlerts: true,
+        vendorNumbers: [] // Falls back to OWNER_NUMBER when empty
+    },
+    pricing: {
+        taxRate: PRICING_CONFIG.TAX_RATE,
+        // Catalog prices are taken to include VAT and delivery is free, so totals match the listed prices;
+        // vendors set taxInclusive: false to add VAT on top, and a deliveryFee (e.g. PRICING_CONFIG.DELIVERY_FEE)
+        taxInclusive: true,
+        deliveryFee: 0,
+        freeDeliveryThreshold: PRICING_CONFIG.FREE_DELIVERY_THRESHOLD, // 0 disables free delivery
+        currency: PRICING_CONFIG.CURRENCY_SYMBOL
+    },
+    loyalty: {
+        enabled: true,
+        pointsPerCurrency: 0.1, // 1 point per N$10 spent
+        pointValue: 0.1, // 1 point = N$0.10 off
+        minRedeemPoints: 50,
+        maxRedeemRatio: 0.5 // points can pay at most half of an order
+    },
+    tiers: {
+        enabled: false, // vendors turn tiers on in settings/bot
+        // minScore is the customer's score (one point per confirmed order); vendors replace the whole list
+        levels: [
+            { name: 'Bronze', minScore: 0, discountRate: 0, freeDelivery: false, earlyAccessHours: 0 },
+            { name: 'Silver', minScore: 10, discountRate: 0.02, freeDelivery: false, earlyAccessHours: 0 },
+            { name: 'Gold', minScore: 20, discountRate: 0.05, freeDelivery: true, earlyAccessHours: 24 },
+            { name: 'VIP', minScore: 50, discountRate: 0.1, freeDelivery: true, earlyAccessHours: 48 }
+        ]
+    },
+    referrals: {
+        enabled: false, // vendors turn referrals on in settings/bot
+        referrerPoints: 100, // Loyalty points for the customer who shared the code
+        refereePoints: 50 // Loyalty points for the new customer
+    },
+    fulfilment: {
+        pickupEnabled: true,
+        // [{ name: 'Farm gate', address: 'D1234, 12 km past Okahandja', times: ['Saturday 08:00-12:00'] }]
+        pickupPoints: [],
+        deliveryEnabled: true,
+        // [{ name: 'Windhoek East', areas: ['Klein Windhoek', 'Eros'], polygon: [[lat, lng], ...],
+        //    fee: 30, minOrder: 150, days: ['tuesday', 'friday'] }]
+        // With no zones, delivery goes anywhere at pricing.deliveryFee; with zones, addresses outside them are refused.
+        zones: [],
+        // Distance pricing from the farm to the customer's pinned location, in straight-line km. When set it
+        // replaces zone and standard fees, and delivery needs a pin. The last band may have upTo: null (no limit).
+        origin: null, // { lat: -22.2, lng: 16.9 }
+        distanceBands: [], // [{ upTo: 10, fee: 30 }, { upTo: 30, fee: 60 }, { upTo: null, fee: 100 }]
+        maxDistance: null // km; pins further away are refused
+    },
+    schedule: {
+        // Weekly slots: [{ day: 'saturday', start: '08:00', end: '12:00', capacity: 20, method: 'pickup' }]
+        // method limits a slot to 'pickup' or 'delivery'; without slots for a method, checkout asks no time
+        slots: [],
+        blackoutDates: [], // 'YYYY-MM-DD' days with no deliveries or pickups
+        daysAhead: 7, // How far ahead slots are offered
+        cutoffHours: 12, // A slot stops taking orders this long before it starts
+        maxChoices: 6 // Slots listed at checkout
+    },
+    payments: {
+        // Bank transfer details sent after checkout; EFT is offered once eftEnabled and accountNumber are set
+        eftEnabled: false,
+        bankName: '',
+        accountName: '',
+        accountNumber: '',
+        branchCode: '',
+        referencePrefix: 'EFT' // Payment reference is the prefix plus the order number, e.g. EFT1042
+    }
+};
+
+// Owner admin console configuration
+const ADMIN_CONFIG = {
+    ORDER_LIST_LIMIT: 20,
+    DEFAULT_BLOCK_DURATION: 86400000, // 24 hours
+    MAX_BLOCK_DURATION: 604800000 // 7 days
 };
 
 // Cache configuration
@@ -131,11 +289,23 @@ module.exports = {
     OWNER_NUMBER,
     CONNECTION_CONFIG,
     WHATSAPP_CONFIG,
+    MESSAGE_TYPE_CONFIG,
     DEFAULT_BUSINESS,
     COLLECTIONS,
     SESSION_CONFIG,
+    CART_CONFIG,
+    WEIGHT_CONFIG,
+    WEEKDAYS,
+    MENU_CONFIG,
+    SEARCH_CONFIG,
+    ORDER_PARSER_CONFIG,
     PRICING_CONFIG,
-    DISCOUNT_CODES,
+    ORDER_CONFIG,
+    STATUS_NOTIFICATION_CONFIG,
+    PAYMENT_CONFIG,
+    SUBSCRIPTION_CONFIG,
+    VENDOR_SETTINGS_DEFAULTS,
+    ADMIN_CONFIG,
     CACHE_CONFIG,
     RATE_LIMIT_CONFIG,
     VALIDATION_CONFIG,
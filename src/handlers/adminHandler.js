@@ -0,0 +1,162 @@
+const { ORDER_CONFIG, ADMIN_CONFIG } = require('../config/constants');
+const messageGenerators = require('../utils/messageGenerators');
+const helpers = require('../utils/helpers');
+const vendorHandler = require('./vendorHandler');
+
+class AdminHandler {
+    // Owner command routing
+    async handleCommand(text, businessManager, context) {
+        console.log('👑 ADMIN DEBUG - Input text:', text);
+
+        if (typeof text !== 'string' || !text.trim()) {
+            return;
+        }
+
+        const command = text.toLowerCase().trim().replace(/\s+/g, ' ');
+
+        try {
+            if (['help', 'admin', 'menu'].includes(command)) {
+                return messageGenerators.generateAdminHelp();
+            }
+
+            if (command === 'orders' || command === 'orders today') {
+                return await this.handleOrdersToday(businessManager, context);
+            }
+
+            const statusMatch = command.match(/^order #?(\S+) status (\S+)$/);
+            if (statusMatch) {
+                return await this.handleOrderStatus(businessManager, context, statusMatch[1], statusMatch[2]);
+            }
+
+            const orderMatch = command.match(/^order #?(\S+)$/);
+            if (orderMatch) {
+                return await this.handleOrderDetails(businessManager, context, orderMatch[1]);
+            }
+
+            const stockMatch = command.match(/^stock (.+) (\d+)$/);
+            if (stockMatch) {
+                return await this.handleStock(businessManager, context, stockMatch[1], parseInt(stockMatch[2]));
+            }
+
+            const blockMatch = command.match(/^block (\+?[\d\s]+?)(?: (\d+))?$/);
+            if (blockMatch) {
+                return this.handleBlock(context, blockMatch[1], blockMatch[2]);
+            }
+
+            const unblockMatch = command.match(/^unblock (\+?[\d\s]+)$/);
+            if (unblockMatch) {
+                return this.handleUnblock(context, unblockMatch[1]);
+            }
+
+            if (command === 'stats') {
+                return this.handleStats(context);
+            }
+
+            // The owner can also answer order alerts
+            const vendorResponse = await vendorHandler.handleCommand(text, businessManager, context);
+            if (vendorResponse) {
+                return vendorResponse;
+            }
+
+            return "❓ Unknown owner command.\n\n" + messageGenerators.generateAdminHelp();
+        } catch (error) {
+            console.error('❌ Error in admin handler:', error.message);
+            console.error('❌ Error stack:', error.stack);
+            return "⚠️ Owner command failed. Please try again.";
+        }
+    }
+
+    async handleOrdersToday(businessManager, context) {
+        const since = helpers.getZonedDayStart();
+        const orders = await businessManager.getOrdersSince(context.businessId, since, ADMIN_CONFIG.ORDER_LIST_LIMIT);
+        return messageGenerators.generateAdminOrderList(orders);
+    }
+
+    async handleOrderDetails(businessManager, context, orderRef) {
+        const order = await businessManager.getOrder(orderRef, context.businessId);
+        if (!order) {
+            return `❌ Order *${orderRef}* not found.`;
+        }
+        return messageGenerators.generateAdminOrderDetails(order);
+    }
+
+    async handleOrderStatus(businessManager, context, orderRef, status) {
+        if (!ORDER_CONFIG.STATUSES.includes(status)) {
+            return `❌ Unknown status *${status}*.\n\nUse one of: ${ORDER_CONFIG.STATUSES.join(', ')}`;
+        }
+
+        const result = await businessManager.updateOrderStatus(orderRef, status, context.businessId);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        const ref = result.order.orderNumber || result.order.id;
+        return `✅ Order *#${ref}* status: ${result.previousStatus || 'pending'} → *${status}*`;
+    }
+
+    async handleStock(businessManager, context, productQuery, quantity) {
+        const { product, matches } = await businessManager.findProduct(context.businessId, productQuery);
+
+        if (!product) {
+            if (matches.length > 1) {
+                return `❓ *${productQuery}* matches several products:\n\n` +
+                       matches.slice(0, 10).map(p => `• ${p.name} (${p.id})`).join('\n') +
+                       '\n\nUse the exact name or ID.';
+            }
+            return `❌ No product matches *${productQuery}*.`;
+        }
+
+        const updated = await businessManager.updateProductStock(context.businessId, product.id, quantity);
+        if (!updated) {
+            return `❌ Could not update stock for *${product.name}*.`;
+        }
+
+        businessManager.clearCache(context.businessId);
+        return `📦 *${product.name}* stock: ${product.stockQuantity ?? 0} → *${quantity}*`;
+    }
+
+    handleBlock(context, number, hours) {
+        const jid = helpers.toWhatsAppJid(number);
+        if (!jid) {
+            return "❌ Invalid number. Example: *block 0812345678*";
+        }
+        if (!context.securityMonitor || typeof context.securityMonitor.manualBlock !== 'function') {
+            return "❌ Security monitor is not available.";
+        }
+
+        const duration = hours
+            ? Math.min(parseInt(hours) * 3600000, ADMIN_CONFIG.MAX_BLOCK_DURATION)
+            : ADMIN_CONFIG.DEFAULT_BLOCK_DURATION;
+
+        context.securityMonitor.manualBlock(jid, 'owner', duration);
+        return `🚫 Blocked *${jid.split('@')[0]}* for ${Math.round(duration / 3600000)} hours.`;
+    }
+
+    handleUnblock(context, number) {
+        const jid = helpers.toWhatsAppJid(number);
+        if (!jid) {
+            return "❌ Invalid number. Example: *unblock 0812345678*";
+        }
+        if (!context.securityMonitor || typeof context.securityMonitor.unblockUser !== 'function') {
+            return "❌ Security monitor is not available.";
+        }
+
+        const wasBlocked = context.securityMonitor.unblockUser(jid);
+        return wasBlocked
+            ? `✅ Unblocked *${jid.split('@')[0]}*.`
+            : `ℹ️ *${jid.split('@')[0]}* was not blocked.`;
+    }
+
+    handleStats(context) {
+        if (context.bot && typeof context.bot.collectStats === 'function') {
+            context.bot.collectStats();
+            return messageGenerators.generateAdminStats(context.bot.stats);
+        }
+
+        const security = context.securityMonitor && typeof context.securityMonitor.getStats === 'function'
+            ? context.securityMonitor.getStats() : {};
+        return messageGenerators.generateAdminStats({ bot: {}, security });
+    }
+}
+
+module.exports = new AdminHandler();
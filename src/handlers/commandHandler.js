@@ -1,6 +1,23 @@
 const messageGenerators = require('../utils/messageGenerators');
 const validators = require('../utils/validators');
+const helpers = require('../utils/helpers');
 const sessionManager = require('../utils/sessionManager');
+const productSearch = require('../utils/productSearch');
+const orderParser = require('../utils/orderParser');
+const customerTiers = require('../utils/customerTiers');
+const weighedProducts = require('../utils/weighedProducts');
+const productVariants = require('../utils/productVariants');
+const orderRebuilder = require('../utils/orderRebuilder');
+const fulfilment = require('../utils/fulfilment');
+const deliverySlots = require('../utils/deliverySlots');
+const eftPayments = require('../utils/eftPayments');
+const businessManager = require('../services/businessManager');
+const orderAlerts = require('../services/orderAlerts');
+const discountService = require('../services/discountService');
+const loyaltyService = require('../services/loyaltyService');
+const referralService = require('../services/referralService');
+const subscriptionService = require('../services/subscriptionService');
+const { ORDER_CONFIG, CART_CONFIG, MENU_CONFIG, SEARCH_CONFIG, VALIDATION_CONFIG, PAYMENT_CONFIG } = require('../config/constants');
 
 class CommandHandler {
     // Main command routing
@@ -18,12 +35,19 @@ class CommandHandler {
         const command = text.toLowerCase().trim();
         console.log('🔍 COMMAND DEBUG - Processed command:', command);
         
-        if (!command) {
+        const location = messageData && messageData.location;
+        if (!command && !location) {
             console.log('🚫 Empty command after processing');
             return;
         }
 
         try {
+            // A shared location pin has no text; it stands in for the delivery address
+            if (location) {
+                console.log('🔍 COMMAND DEBUG - Processing location pin');
+                return await this.handleLocation(session, location);
+            }
+
             // Welcome and menu commands
             if (['hi', 'hello', 'start', 'menu', 'main'].includes(command)) {
                 console.log('🔍 COMMAND DEBUG - Processing welcome/menu command');
@@ -42,8 +66,61 @@ class CommandHandler {
                 return await this.handleRegistrationInput(session, businessManager, text, messageData.userId);
             }
 
+            // Follow-up answers for a free-text order
+            if (session.step === 'order_clarify' && (/^\d+$/.test(command) || command === 'skip')) {
+                console.log('🔍 COMMAND DEBUG - Processing order clarification');
+                return this.handleOrderClarification(session, command);
+            }
+
+            // Size, cut or packaging for a product with variants
+            if (session.step === 'choose_option' && (/^\d+$/.test(command) || command === 'skip')) {
+                console.log('🔍 COMMAND DEBUG - Processing variant option');
+                return this.handleOptionChoice(session, command);
+            }
+
+            if (session.step === 'order_review' && ['yes', 'y', 'ok', 'add', 'no', 'n', 'cancel'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing order review');
+                return this.handleOrderReview(session, ['yes', 'y', 'ok', 'add'].includes(command));
+            }
+
+            // Pickup or delivery, then which pickup point and time
+            if (session.step === 'fulfilment' && /^[12]$/.test(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing fulfilment choice');
+                return await this.handleFulfilmentChoice(session, command === '1' ? 'pickup' : 'delivery');
+            }
+
+            if (session.step === 'pickup_point' && /^\d+$/.test(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing pickup point');
+                return await this.handlePickupChoice(session, parseInt(command));
+            }
+
+            if (session.step === 'slot' && /^\d+$/.test(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing slot choice');
+                return await this.handleSlotChoice(session, parseInt(command));
+            }
+
+            // Quick order navigation and selections take priority over the numeric main menu shortcuts
+            if (session.step === 'quick_order') {
+                if (['next', 'prev', 'previous', 'back'].includes(command)) {
+                    console.log('🔍 COMMAND DEBUG - Processing menu navigation');
+                    return this.handleMenuNavigation(session, command);
+                }
+
+                const lastMenu = session.getData('lastMenu');
+                if (lastMenu && lastMenu.type === 'categories' && /^\d+$/.test(command)) {
+                    console.log('🔍 COMMAND DEBUG - Processing category selection');
+                    return this.handleCategorySelection(session, parseInt(command));
+                }
+
+                const selections = validators.parseProductSelection(command);
+                if (selections) {
+                    console.log('🔍 COMMAND DEBUG - Processing product selection');
+                    return this.handleProductSelection(session, selections);
+                }
+            }
+
             // Main menu options
-            if (['1', 'quick'].includes(command) && session.step === 'menu') {
+            if (command === 'quick' || (command === '1' && session.step === 'menu')) {
                 console.log('🔍 COMMAND DEBUG - Processing quick order');
                 return this.handleQuickOrder(session);
             }
@@ -66,7 +143,7 @@ class CommandHandler {
             // Shopping and checkout commands
             if (command === 'checkout') {
                 console.log('🔍 COMMAND DEBUG - Processing checkout');
-                return this.handleCheckout(session);
+                return await this.handleCheckout(session);
             }
 
             if (command === 'confirm') {
@@ -74,9 +151,159 @@ class CommandHandler {
                 return await this.handleConfirmOrder(session, businessManager, messageData);
             }
 
+            if (['pickup', 'collect'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing pickup');
+                return await this.handleFulfilmentChoice(session, 'pickup');
+            }
+
+            if (['delivery', 'deliver'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing delivery');
+                return await this.handleFulfilmentChoice(session, 'delivery');
+            }
+
+            if (['slot', 'time', 'change slot', 'change time'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing slot change');
+                return await this.handleChangeSlot(session);
+            }
+
+            // Matched on the raw text so the address keeps its capitals
+            const addressMatch = text.trim().match(/^address (.+)$/i);
+            if (addressMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing address change');
+                return await this.handleChangeAddress(session, addressMatch[1].trim());
+            }
+
             if (command.startsWith('discount ')) {
                 console.log('🔍 COMMAND DEBUG - Processing discount');
-                return this.handleDiscount(session, command);
+                return await this.handleDiscount(session, command);
+            }
+
+            // Loyalty points
+            if (['points', 'my points', 'balance'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing points balance');
+                return await this.handlePoints(session);
+            }
+
+            const redeemMatch = command.match(/^redeem(?: (\d+|all|off))?$/);
+            if (redeemMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing points redemption');
+                return await this.handleRedeemPoints(session, redeemMatch[1]);
+            }
+
+            // Referrals - "ref CODE" is what a shared wa.me link pre-fills
+            if (['refer', 'invite', 'referral'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing refer');
+                return await this.handleRefer(session, messageData);
+            }
+
+            const referralMatch = command.match(/^ref ([a-z0-9]+)$/);
+            if (referralMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing referral code');
+                return await this.handleReferralCode(session, messageData, referralMatch[1]);
+            }
+
+            // Cart editing against the numbered cart lines
+            if (['clear', 'clear cart', 'empty cart'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing clear cart');
+                return this.handleClearCart(session);
+            }
+
+            if (command === 'remove discount') {
+                console.log('🔍 COMMAND DEBUG - Processing remove discount');
+                return this.handleRemoveDiscount(session);
+            }
+
+            const removeMatch = command.match(/^(?:remove|delete) (\d+)$/);
+            if (removeMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing remove item');
+                return this.handleRemoveItem(session, parseInt(removeMatch[1]));
+            }
+
+            const qtyMatch = command.match(/^(?:qty|quantity) (\d+) (\d+(?:\.\d+)?)(?: ?kg)?$/);
+            if (qtyMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing quantity change');
+                return this.handleChangeQuantity(session, parseInt(qtyMatch[1]), parseFloat(qtyMatch[2]));
+            }
+
+            if (command === 'undo') {
+                console.log('🔍 COMMAND DEBUG - Processing undo');
+                return this.handleUndo(session);
+            }
+
+            // Order history and tracking
+            const ordersMatch = command.match(/^(?:my )?orders(?: (\d+))?$/);
+            if (ordersMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing order history');
+                return await this.handleOrderHistory(session, businessManager, parseInt(ordersMatch[1]) || 1);
+            }
+
+            const reorderMatch = command.match(/^reorder(?: #?(\S+))?$/);
+            if (reorderMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing reorder');
+                return await this.handleReorder(session, businessManager, messageData.userId, reorderMatch[1]);
+            }
+
+            const orderMatch = command.match(/^order #?(\S+)$/);
+            if (orderMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing order details');
+                return await this.handleOrderDetails(session, businessManager, orderMatch[1]);
+            }
+
+            if (/^track(?: #?\S+)?$/.test(command) || command === 'where is my order') {
+                console.log('🔍 COMMAND DEBUG - Processing order tracking');
+                return await this.handleTrackOrder(session, businessManager, command.match(/^track #?(\S+)$/)?.[1]);
+            }
+
+            // Final invoices for weighed items - matched on the raw text to keep the dispute reason as typed
+            const invoiceMatch = text.trim().replace(/\s+/g, ' ').match(/^(accept|dispute) invoice(?: #?(\d+))?(?: (.+))?$/i);
+            if (invoiceMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing invoice response');
+                return await this.handleInvoiceResponse(
+                    session,
+                    businessManager,
+                    invoiceMatch[1].toLowerCase() === 'accept',
+                    invoiceMatch[2],
+                    invoiceMatch[3]
+                );
+            }
+
+            if (['pay', 'payment', 'bank details'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing payment details');
+                return await this.handlePaymentDetails(session);
+            }
+
+            // Recurring subscriptions
+            const subscribeMatch = command.match(/^subscribe(?: (\S+))?(?: (?:on )?(\S+))?$/);
+            if (subscribeMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing subscribe');
+                return await this.handleSubscribe(session, businessManager, messageData.userId, subscribeMatch[1], subscribeMatch[2]);
+            }
+
+            if (['subscriptions', 'my subscriptions', 'subscription'].includes(command)) {
+                console.log('🔍 COMMAND DEBUG - Processing subscriptions list');
+                return await this.handleSubscriptions(session);
+            }
+
+            // A bare "skip" or "cancel" only means the subscription while its reminder is out; otherwise fall through
+            const subscriptionActionMatch = command.match(/^(skip|pause|resume|cancel)( subscription)?(?: #?(\d+))?$/);
+            if (subscriptionActionMatch) {
+                const response = await this.handleSubscriptionAction(
+                    session,
+                    subscriptionActionMatch[1],
+                    subscriptionActionMatch[3] ? parseInt(subscriptionActionMatch[3]) : null,
+                    !!(subscriptionActionMatch[2] || subscriptionActionMatch[3])
+                );
+                if (response) {
+                    console.log('🔍 COMMAND DEBUG - Processed subscription action');
+                    return response;
+                }
+            }
+
+            // Product search
+            const searchMatch = command.match(/^(?:search|find) (.+)$/);
+            if (searchMatch) {
+                console.log('🔍 COMMAND DEBUG - Processing search');
+                return this.handleSearch(session, searchMatch[1]);
             }
 
             // Step-specific handlers
@@ -85,11 +312,6 @@ class CommandHandler {
                 return this.handleCheckoutInput(session, text);
             }
 
-            if (session.step === 'quick_order' && /^[1-9]$/.test(command)) {
-                console.log('🔍 COMMAND DEBUG - Processing product selection');
-                return this.handleProductSelection(session, command);
-            }
-
             if (session.step === 'menu' && /^[1-9]$/.test(command)) {
                 console.log('🔍 COMMAND DEBUG - Processing menu selection');
                 return this.handleMenuSelection(session, command);
@@ -98,7 +320,7 @@ class CommandHandler {
             // Default fallback
             console.log('🔍 COMMAND DEBUG - No matching command found, using fallback');
             console.log('🔍 COMMAND DEBUG - Session step at fallback:', session.step);
-            return this.handleUnknownCommand();
+            return this.handleUnknownCommand(session, command);
 
         } catch (error) {
             console.error('❌ Error in command handler:', error.message);
@@ -120,7 +342,8 @@ class CommandHandler {
             session.setExistingCustomer(existingCustomer);
             session.setStep('menu');
             console.log('🔍 WELCOME DEBUG - Set step to menu for existing customer');
-            return `🎉 Welcome back, *${existingCustomer.name}*!\n\nYour account: *${existingCustomer.id}*\n\n` + 
+            const tier = customerTiers.getTier(existingCustomer.score, session.tierRules);
+            return messageGenerators.generateWelcomeBackMessage(existingCustomer, session.businessData.profile, tier) +
                    messageGenerators.generateMainMenu(session.businessData.profile);
         } else {
             session.setStep('menu');
@@ -167,7 +390,92 @@ class CommandHandler {
     handleQuickOrder(session) {
         console.log('🔍 QUICK ORDER DEBUG - Setting step to quick_order');
         session.setStep('quick_order');
-        return messageGenerators.generateProductMenu(session.businessData);
+
+        const categories = this.getMenuCategories(session.businessData);
+        if (categories.length > 1) {
+            return this.showCategoryMenu(session, categories);
+        }
+        return this.showProductPage(session, categories[0] || { name: null, keys: [] }, 1);
+    }
+
+    // Group products by category, in productOrder order
+    getMenuCategories(businessData) {
+        const categories = [];
+        (businessData.productOrder || []).forEach(key => {
+            const product = businessData.products[key];
+            if (!product) {
+                return;
+            }
+
+            const name = product.category || MENU_CONFIG.DEFAULT_CATEGORY;
+            let category = categories.find(c => c.name === name);
+            if (!category) {
+                category = { name, keys: [] };
+                categories.push(category);
+            }
+            category.keys.push(key);
+        });
+        return categories;
+    }
+
+    // The last menu shown is stored on the session so numbers always refer to what the customer saw
+    showCategoryMenu(session, categories) {
+        session.setData('lastMenu', {
+            type: 'categories',
+            categories: categories.map(c => c.name)
+        });
+        return messageGenerators.generateCategoryMenu(session.businessData, categories);
+    }
+
+    showProductPage(session, category, page) {
+        const totalPages = Math.max(1, Math.ceil(category.keys.length / MENU_CONFIG.PAGE_SIZE));
+        const currentPage = Math.min(Math.max(page, 1), totalPages);
+        const start = (currentPage - 1) * MENU_CONFIG.PAGE_SIZE;
+
+        session.setData('lastMenu', {
+            type: 'products',
+            category: category.name,
+            keys: category.keys,
+            page: currentPage,
+            totalPages
+        });
+
+        return messageGenerators.generateProductMenu(session.businessData, {
+            category: category.name,
+            keys: category.keys.slice(start, start + MENU_CONFIG.PAGE_SIZE),
+            startNumber: start + 1,
+            page: currentPage,
+            totalPages,
+            hasCategories: this.getMenuCategories(session.businessData).length > 1
+        });
+    }
+
+    handleCategorySelection(session, number) {
+        const lastMenu = session.getData('lastMenu');
+        const name = lastMenu.categories[number - 1];
+        const category = this.getMenuCategories(session.businessData).find(c => c.name === name);
+
+        if (!category) {
+            return `❌ Invalid category number. Choose 1-${lastMenu.categories.length}.`;
+        }
+        return this.showProductPage(session, category, 1);
+    }
+
+    handleMenuNavigation(session, command) {
+        const lastMenu = session.getData('lastMenu');
+        const categories = this.getMenuCategories(session.businessData);
+
+        if (command === 'back' || !lastMenu || lastMenu.type !== 'products') {
+            return this.handleQuickOrder(session);
+        }
+
+        const page = command === 'next' ? lastMenu.page + 1 : lastMenu.page - 1;
+        if (page < 1 || page > lastMenu.totalPages) {
+            return command === 'next' ? "ℹ️ You're on the last page. Type *prev* to go back." : "ℹ️ You're on the first page.";
+        }
+
+        const category = categories.find(c => c.name === lastMenu.category) || { name: lastMenu.category, keys: lastMenu.keys };
+        return this.showProductPage(session, category, page);
     }
 
     handleCatalog(session) {
@@ -192,8 +500,7 @@ class CommandHandler {
         
         switch (num) {
             case 1:
-                session.setStep('quick_order');
-                return messageGenerators.generateProductMenu(session.businessData);
+                return this.handleQuickOrder(session);
             case 2:
                 return messageGenerators.generateCatalogMessage(session.businessData.profile);
             case 3:
@@ -205,52 +512,401 @@ class CommandHandler {
         }
     }
 
-    // Product selection handler
-    handleProductSelection(session, command) {
-        const idx = parseInt(command) - 1;
-        console.log('🔍 PRODUCT SELECTION DEBUG - Product index:', idx);
-        
-        if (idx >= 0 && idx < session.businessData.productOrder.length) {
-            const productKey = session.businessData.productOrder[idx];
-            const success = session.addToCart(productKey);
-            
-            if (success) {
-                const product = session.businessData.products[productKey];
-                return `✅ Added *${product.name}* to cart.\n\n` + 
-                       messageGenerators.generateCartSummary(session);
+    // Product selection handler - selections come from validators.parseProductSelection
+    handleProductSelection(session, selections) {
+        console.log('🔍 PRODUCT SELECTION DEBUG - Selections:', selections);
+        const lastMenu = session.getData('lastMenu');
+        if (lastMenu && lastMenu.type === 'categories') {
+            return `❌ Please choose a category first (1-${lastMenu.categories.length}).`;
+        }
+        const productOrder = lastMenu ? lastMenu.keys : session.businessData.productOrder;
+
+        const invalid = selections.filter(s => s.number > productOrder.length);
+        if (invalid.length > 0) {
+            return `❌ Invalid product number: ${invalid.map(s => s.number).join(', ')}. Choose 1-${productOrder.length}.`;
+        }
+
+        // Merge repeated numbers on one line ("1x2, 1x3") before checking limits
+        const items = [];
+        selections.forEach(({ number, quantity }) => {
+            const key = productOrder[number - 1];
+            const item = items.find(i => i.key === key);
+            if (item) {
+                item.quantity = weighedProducts.round(item.quantity + quantity);
             } else {
-                return "❌ Product not available.";
+                items.push({ key, quantity });
             }
-        } else {
-            return "❌ Invalid product number.";
+        });
+
+        for (const item of items) {
+            const product = session.businessData.products[item.key];
+            if (product && weighedProducts.isWeighed(product)) {
+                item.quantity = weighedProducts.roundWeight(item.quantity);
+            }
+            const invalidQuantity = product ? weighedProducts.checkQuantity(product, item.quantity) : null;
+            if (invalidQuantity) {
+                return `❌ ${invalidQuantity}`;
+            }
+
+            if (this.getCartQuantity(session, item.key) + item.quantity > CART_CONFIG.MAX_ITEM_QUANTITY) {
+                return `❌ Maximum quantity per item is ${CART_CONFIG.MAX_ITEM_QUANTITY} (${product ? product.name : 'product'}).`;
+            }
+        }
+
+        // Products with variants are added once the customer has picked their options
+        const queued = items.filter(item => productVariants.hasVariants(session.businessData.products[item.key]));
+        const ready = items.filter(item => !queued.includes(item));
+        if (ready.length > 0 && !session.addItemsToCart(ready)) {
+            return "❌ Product not available.";
+        }
+
+        const added = ready.map(item => {
+            const product = session.businessData.products[item.key];
+            return `*${product.name}* × ${weighedProducts.formatQuantity(item.quantity, product)}`;
+        });
+        const addedMessage = added.length > 0 ? `✅ Added ${added.join(', ')} to cart.` : '';
+        if (queued.length > 0) {
+            return this.startOptionQuestions(session, queued, addedMessage);
+        }
+        return `${addedMessage}\n\n` + messageGenerators.generateCartSummary(session);
+    }
+
+    // Quantity of a product across all its cart lines (one per variant)
+    getCartQuantity(session, key) {
+        return session.cart
+            .filter(line => line.key === key)
+            .reduce((total, line) => total + line.quantity, 0);
+    }
+
+    // Variant follow-up questions - one per group, product by product
+    startOptionQuestions(session, items, prefix = '') {
+        session.setData('pendingOptions', {
+            items: items.map(item => ({ key: item.key, quantity: item.quantity })),
+            chosen: [],
+            returnStep: session.step
+        });
+        return this.nextOptionQuestion(session, prefix);
+    }
+
+    nextOptionQuestion(session, prefix = '') {
+        const pending = session.getData('pendingOptions');
+        const lead = prefix ? `${prefix}\n\n` : '';
+
+        if (!pending || pending.items.length === 0) {
+            session.setData('pendingOptions', null);
+            session.setStep(pending ? pending.returnStep : 'menu');
+            return lead + messageGenerators.generateCartSummary(session);
+        }
+
+        const item = pending.items[0];
+        const product = session.businessData.products[item.key];
+        const groups = productVariants.getGroups(product);
+        session.setStep('choose_option');
+        return lead + messageGenerators.generateOptionQuestion(product, groups[pending.chosen.length], item.quantity, pending.chosen);
+    }
+
+    handleOptionChoice(session, command) {
+        const pending = session.getData('pendingOptions');
+        if (!pending || pending.items.length === 0) {
+            session.setStep('menu');
+            return this.handleUnknownCommand(session, command);
+        }
+
+        const item = pending.items[0];
+        const product = session.businessData.products[item.key];
+        const groups = productVariants.getGroups(product);
+
+        if (command === 'skip' || !product) {
+            pending.items.shift();
+            pending.chosen = [];
+            return this.nextOptionQuestion(session, `⏭️ Skipped *${product ? product.name : 'product'}*.`);
+        }
+
+        const group = groups[pending.chosen.length];
+        const option = group.options[parseInt(command) - 1];
+        if (!option) {
+            return `❌ Please reply with a number from 1-${group.options.length}, or *skip*.`;
+        }
+        if (option.stock !== null && option.stock < item.quantity) {
+            return option.stock > 0
+                ? `❌ Only ${option.stock} of *${option.name}* left. Please choose another ${group.name.toLowerCase()}, or *skip*.`
+                : `❌ *${option.name}* is sold out. Please choose another ${group.name.toLowerCase()}, or *skip*.`;
         }
+
+        pending.chosen.push(option.name);
+        if (pending.chosen.length < groups.length) {
+            return this.nextOptionQuestion(session);
+        }
+
+        const selection = productVariants.buildSelection(product, pending.chosen);
+        pending.items.shift();
+        pending.chosen = [];
+        if (!session.addItemsToCart([{ key: item.key, quantity: item.quantity, ...selection }])) {
+            return this.nextOptionQuestion(session, "❌ Product not available.");
+        }
+
+        const name = productVariants.displayName({ name: product.name, options: selection.options });
+        return this.nextOptionQuestion(session, `✅ Added *${name}* × ${weighedProducts.formatQuantity(item.quantity, product)} to cart.`);
     }
 
     // Checkout handlers
-    handleCheckout(session) {
+    async handleCheckout(session) {
         console.log('🔍 CHECKOUT DEBUG - Processing checkout');
         if (session.cart.length === 0) {
             return "❌ Cart is empty.\n\nType *catalog* to browse all products or *quick* for popular items.";
         }
 
         if (session.customerInfo.name) {
-            return messageGenerators.generateCheckoutConfirmation(session);
+            return await this.continueCheckout(session);
         } else {
             session.setStep('checkout');
-            return messageGenerators.generateCheckoutMessage();
+            return messageGenerators.generateCheckoutMessage(session);
         }
     }
 
-    handleCheckoutInput(session, text) {
+    async handleCheckoutInput(session, text) {
         console.log('🔍 CHECKOUT INPUT DEBUG - Processing checkout input');
-        const customerInfo = validators.parseCustomerInfo(text);
+        const customerInfo = validators.parseCustomerInfo(text, { addressOptional: !!session.location });
         
         if (customerInfo) {
+            if (!customerInfo.address) {
+                customerInfo.address = messageGenerators.describeLocation(session.location);
+            }
             session.setCustomerInfo(customerInfo);
-            return messageGenerators.generateCheckoutConfirmation(session);
+            return await this.continueCheckout(session);
         } else {
-            return "❌ Invalid format. Use: name|email|phone|address";
+            return session.location
+                ? "❌ Invalid format. Use: name|email|phone (your location pin is your address)"
+                : "❌ Invalid format. Use: name|email|phone|address\n\n📍 No street address? Share your location instead.";
+        }
+    }
+
+    // Location pins - farms rarely have a street address, so a pin can replace the typed one.
+    // Registered customers keep the pin for later orders.
+    async handleLocation(session, location) {
+        session.setLocation(location);
+        if (session.customerAccount) {
+            await businessManager.saveCustomerLocation(session.businessId, session.userId, location);
+        }
+
+        const received = messageGenerators.generateLocationReceived(location);
+        if (session.step === 'checkout') {
+            return received + "\n\nNow send your details as:\n*name|email|phone*";
+        }
+
+        // Zones are matched on the pin first, so a delivery choice has to be checked again
+        if (session.fulfilment && session.fulfilment.method === 'delivery') {
+            session.clearFulfilment();
+        }
+        if (session.cart.length === 0 || !session.customerInfo.name) {
+            return received;
+        }
+        return received + "\n\n" +
+               (session.fulfilment ? await this.continueCheckout(session) : await this.chooseDelivery(session));
+    }
+
+    // Fulfilment - once the customer's details are known they choose pickup or delivery, and the choice is
+    // re-checked on every checkout view because the cart (and so the zone minimum) can change in between.
+    // Vendors with a weekly schedule also have the customer book a time slot.
+    async continueCheckout(session) {
+        if (!session.fulfilment) {
+            return await this.askFulfilment(session);
+        }
+
+        // A slot is booked for one method; switching between pickup and delivery means choosing again
+        if (session.slot && session.slot.method !== session.fulfilment.method) {
+            session.clearSlot();
+        }
+
+        const choice = this.resolveFulfilment(session, session.fulfilment, session.slot ? session.slot.date : null);
+        if (!choice.success) {
+            // The new zone does not deliver on the slot's day; offer its own slots instead
+            if (session.slot && choice.reason === 'day_unavailable') {
+                session.clearSlot();
+                return await this.continueCheckout(session);
+            }
+            return await this.handleFulfilmentError(session, choice);
+        }
+
+        session.setFulfilment(choice.fulfilment);
+
+        const slots = await this.getOpenSlots(session);
+        if (slots && !(session.slot && slots.some(slot => slot.id === session.slot.id))) {
+            session.clearSlot();
+            return this.askSlot(session, slots);
+        }
+
+        session.setStep('menu');
+        const pointsBalance = await loyaltyService.getBalance(session.businessId, session.userId);
+        return messageGenerators.generateCheckoutConfirmation(session, pointsBalance);
+    }
+
+    resolveFulfilment(session, requested, date = null) {
+        return fulfilment.resolve(session.fulfilmentRules, session.pricingRules, requested, {
+            address: session.customerInfo.address,
+            location: session.location || null,
+            subtotal: session.getPricing().subtotal,
+            date
+        });
+    }
+
+    // The earlier choice no longer holds: explain why and, when pickup is possible, ask again
+    async handleFulfilmentError(session, choice) {
+        session.clearFulfilment();
+        const msg = this.describeFulfilmentError(session, choice);
+        return fulfilment.getMethods(session.fulfilmentRules).pickup
+            ? msg + "\n\n" + await this.askFulfilment(session)
+            : msg;
+    }
+
+    describeFulfilmentError(session, choice) {
+        if (choice.reason === 'outside_zones') {
+            return messageGenerators.generateDeliveryRefused(
+                session.customerInfo.address,
+                fulfilment.getZones(session.fulfilmentRules),
+                fulfilment.getMethods(session.fulfilmentRules).pickup,
+                session.pricingRules
+            );
+        }
+        if (choice.reason === 'location_required' || choice.reason === 'outside_radius') {
+            return messageGenerators.generateDistanceRefused(
+                choice.message,
+                fulfilment.getDistancePricing(session.fulfilmentRules),
+                fulfilment.getMethods(session.fulfilmentRules).pickup,
+                session.pricingRules
+            );
+        }
+        if (choice.reason === 'below_minimum') {
+            return `❌ ${choice.message}\n\nType *catalog* to add more` +
+                   (fulfilment.getMethods(session.fulfilmentRules).pickup ? ", or *pickup* to collect it instead." : ".");
+        }
+        return `❌ ${choice.message}`;
+    }
+
+    // Ask only when there is a choice to make
+    async askFulfilment(session) {
+        const methods = fulfilment.getMethods(session.fulfilmentRules);
+        if (methods.pickup && methods.delivery) {
+            session.setStep('fulfilment');
+            return messageGenerators.generateFulfilmentQuestion(session, fulfilment.getPickupChoices(session.fulfilmentRules));
+        }
+        return methods.pickup ? await this.askPickupPoint(session) : await this.chooseDelivery(session);
+    }
+
+    async handleFulfilmentChoice(session, method) {
+        if (session.cart.length === 0) {
+            return "❌ Cart is empty.\n\nType *catalog* to browse all products or *quick* for popular items.";
+        }
+        if (!session.customerInfo.name) {
+            return await this.handleCheckout(session);
+        }
+
+        const methods = fulfilment.getMethods(session.fulfilmentRules);
+        if (method === 'pickup') {
+            return methods.pickup
+                ? await this.askPickupPoint(session)
+                : "🚚 Sorry, we don't offer pickup - orders are delivered.\n\nType *delivery* to continue.";
+        }
+        return methods.delivery
+            ? await this.chooseDelivery(session)
+            : "🚜 Sorry, we don't deliver - orders are collected.\n\n" + await this.askPickupPoint(session);
+    }
+
+    async askPickupPoint(session) {
+        const choices = fulfilment.getPickupChoices(session.fulfilmentRules);
+        if (choices.length === 1) {
+            return await this.selectPickup(session, choices[0]);
+        }
+        session.setStep('pickup_point');
+        return messageGenerators.generatePickupOptions(choices);
+    }
+
+    async handlePickupChoice(session, number) {
+        const choices = fulfilment.getPickupChoices(session.fulfilmentRules);
+        const choice = choices[number - 1];
+        if (!choice) {
+            return `❌ Please choose a pickup option from 1 to ${choices.length}.`;
+        }
+        return await this.selectPickup(session, choice);
+    }
+
+    async selectPickup(session, choice) {
+        session.setFulfilment({ method: 'pickup', ...choice });
+        return await this.continueCheckout(session);
+    }
+
+    async chooseDelivery(session) {
+        const choice = this.resolveFulfilment(session, { method: 'delivery' });
+        if (!choice.success) {
+            session.clearFulfilment();
+            session.setStep('menu');
+            return this.describeFulfilmentError(session, choice);
+        }
+        session.setFulfilment(choice.fulfilment);
+        return await this.continueCheckout(session);
+    }
+
+    // A new delivery address means the zone has to be found again
+    async handleChangeAddress(session, address) {
+        if (address.length < VALIDATION_CONFIG.MIN_ADDRESS_LENGTH) {
+            return `❌ Please give your full address (street, suburb and town), or share your location 📍.`;
+        }
+
+        // A typed address replaces an earlier pin
+        if (session.location) {
+            session.setLocation(null);
+            if (session.customerAccount) {
+                await businessManager.saveCustomerLocation(session.businessId, session.userId, null);
+            }
+        }
+        session.setCustomerInfo({ ...session.customerInfo, address });
+        if (session.fulfilment && session.fulfilment.method === 'delivery') {
+            session.clearFulfilment();
+        }
+        if (session.cart.length === 0 || !session.customerInfo.name) {
+            return `📍 Delivery address updated to *${address}*.`;
+        }
+        return `📍 Delivery address updated to *${address}*.\n\n` +
+               (session.fulfilment ? await this.continueCheckout(session) : await this.chooseDelivery(session));
+    }
+
+    // Slots with room left for the chosen method, or null when the vendor has no schedule for it
+    async getOpenSlots(session) {
+        const slots = deliverySlots.getUpcoming(session.scheduleRules, session.fulfilment.method, session.fulfilment.days || null);
+        return slots ? await businessManager.getOpenSlots(session.businessId, slots) : null;
+    }
+
+    askSlot(session, slots) {
+        if (slots.length === 0) {
+            session.setStep('menu');
+            const methods = fulfilment.getMethods(session.fulfilmentRules);
+            return messageGenerators.generateNoSlots(session.fulfilment.method, methods.pickup && methods.delivery);
+        }
+
+        const choices = slots.slice(0, deliverySlots.getRules(session.scheduleRules).maxChoices);
+        session.setData('slotChoices', choices);
+        session.setStep('slot');
+        return messageGenerators.generateSlotOptions(session.fulfilment.method, choices);
+    }
+
+    // Capacity is only held once the order is confirmed; continueCheckout asks again if the slot filled up meanwhile
+    async handleSlotChoice(session, number) {
+        const choices = session.getData('slotChoices') || [];
+        const slot = choices[number - 1];
+        if (!slot) {
+            return `❌ Please choose a time from 1 to ${choices.length}.`;
         }
+
+        session.setSlot({ id: slot.id, date: slot.date, start: slot.start, end: slot.end, method: slot.method, capacity: slot.capacity });
+        return await this.continueCheckout(session);
+    }
+
+    async handleChangeSlot(session) {
+        if (session.cart.length === 0 || !session.customerInfo.name) {
+            return await this.handleCheckout(session);
+        }
+        session.clearSlot();
+        return await this.continueCheckout(session);
     }
 
     async handleConfirmOrder(session, businessManager, messageData) {
@@ -263,28 +919,117 @@ class CommandHandler {
             return "❌ Cart is empty. Add items before confirming.";
         }
 
+        // No pickup/delivery choice yet, or a slot still to book
+        if (!session.fulfilment || (!session.slot && deliverySlots.getUpcoming(
+            session.scheduleRules, session.fulfilment.method, session.fulfilment.days || null
+        ))) {
+            return await this.continueCheckout(session);
+        }
+
         try {
             const order = session.generateOrder();
-            const saved = await businessManager.saveOrder(
+
+            // Stock, the slot, the discount and points are all checked and taken in the same transaction as the order
+            const steps = [businessManager.createStockReservationStep(session.businessId)];
+            if (session.slot) {
+                steps.push(businessManager.createSlotBookingStep(session.businessId, session.slot));
+            }
+            if (session.discount) {
+                steps.push(discountService.createRedemptionStep(
+                    session.businessId,
+                    session.discount,
+                    session.userId,
+                    session.getPricing().subtotal
+                ));
+            }
+            // Points are deducted in the same transaction, so a stale balance cannot be spent twice
+            if (session.redeemPoints > 0) {
+                steps.push(loyaltyService.createRedemptionStep(session.businessId, session.userId));
+            }
+            // The EFT reference is built from the order number, which is only allocated inside the transaction
+            if (eftPayments.isEnabled(session.paymentRules)) {
+                steps.push(businessManager.createPaymentReferenceStep(eftPayments.getRules(session.paymentRules).referencePrefix));
+            }
+
+            const result = await businessManager.saveOrder(
                 session.businessId, 
                 messageData.sender, 
                 order, 
-                messageData.msgId
+                messageData.msgId,
+                steps
             );
 
-            if (saved) {
-                // Increment customer score if they have an account
-                if (session.customerAccount) {
-                    await businessManager.incrementCustomerScore(session.businessId, session.customerAccount);
+            if (result.success) {
+                const orderId = result.orderId;
+                // A referred customer's first order completes the referral if they have not registered yet
+                const referral = await referralService.complete(
+                    session.businessId, session.userId, 'order', order.customerInfo?.phone, session.referralRules
+                );
+
+                // Score drives the customer's tier; registered customers hear when an order moves them up
+                const scoreChange = await businessManager.incrementCustomerScore(session.businessId, session.userId);
+                let upgrade = null;
+                if (scoreChange) {
+                    session.customerScore = scoreChange.score;
+                    upgrade = customerTiers.getUpgrade(scoreChange.previousScore, scoreChange.score, session.tierRules);
                 }
+
+                // Alert the vendor with the order as it was saved
+                const savedOrder = await businessManager.getOrder(orderId, session.businessId);
+                await orderAlerts.notifyNewOrder(session.businessId, savedOrder);
                 
-                const response = messageGenerators.generateOrderConfirmation(session);
+                const response = messageGenerators.generateOrderConfirmation(
+                    session,
+                    savedOrder?.orderNumber || result.orderNumber,
+                    savedOrder?.pointsEarned
+                ) + (referral && referral.refereePoints > 0
+                    ? `\n\n🎁 Referral bonus: *${referral.refereePoints}* points added to your account.`
+                    : '') + (upgrade
+                    ? '\n\n' + messageGenerators.generateTierUpgrade(
+                        upgrade,
+                        customerTiers.getNextTier(scoreChange.score, session.tierRules)
+                    )
+                    : '') + (savedOrder && savedOrder.paymentReference
+                    ? '\n\n' + messageGenerators.generatePaymentInstructions(savedOrder, session.paymentRules)
+                    : '');
                 
                 // Clear the session after successful order
                 const sessionKey = `${messageData.userId}_${session.businessId}`;
                 sessionManager.deleteSession(sessionKey);
+                session.resetCart();
+                session.removeDiscount();
+                session.clearRedeemPoints();
+                session.clearSlot();
+                session.setStep('menu');
                 
                 return response;
+            } else if (result.rejected && result.step === 'stock') {
+                // Someone bought the last units first; trim the cart and let the customer confirm again
+                const shortages = result.details.shortages;
+                session.applyStockLimits(shortages);
+                let msg = messageGenerators.generateStockAdjustment(shortages);
+                if (session.cart.length === 0) {
+                    return msg + "\n\nYour cart is now empty. Type *catalog* to find something else.";
+                }
+                return msg + "\n\n" + messageGenerators.generateCartSummary(session) +
+                       "\n\n✅ Type *confirm* to order the updated cart.";
+            } else if (result.rejected && result.step === 'fulfilment') {
+                // The zone or pickup point changed since checkout
+                return await this.handleFulfilmentError(session, { reason: result.details.reason, message: result.message });
+            } else if (result.rejected && result.step === 'slot') {
+                // Fully booked by someone else first, or taken off the schedule; choose another time
+                session.clearSlot();
+                return `❌ ${result.message}\n\n` + await this.continueCheckout(session);
+            } else if (result.rejected && result.step === 'points') {
+                // The balance changed since checkout (e.g. another order); let the customer decide again
+                session.clearRedeemPoints();
+                return `❌ ${result.message}\n\nPoints were removed from your order.\n\n` +
+                       messageGenerators.generateCartSummary(session);
+            } else if (result.rejected) {
+                // The code stopped being valid since it was applied; let the customer decide again
+                session.removeDiscount();
+                return `❌ ${result.message}\n\nThe discount was removed from your cart.\n\n` +
+                       messageGenerators.generateCartSummary(session);
             } else {
                 return "⚠️ This message was already processed.";
             }
@@ -294,6 +1039,245 @@ class CommandHandler {
         }
     }
 
+    // Order history handlers
+    async handleOrderHistory(session, businessManager, page) {
+        const pageSize = ORDER_CONFIG.HISTORY_PAGE_SIZE;
+        // Fetch one extra order to know whether there is a next page
+        const orders = await businessManager.getCustomerOrders(
+            session.userId,
+            session.businessId,
+            pageSize + 1,
+            (page - 1) * pageSize
+        );
+
+        return messageGenerators.generateCustomerOrderHistory(
+            orders.slice(0, pageSize),
+            page,
+            orders.length > pageSize
+        );
+    }
+
+    // Rebuild a previous order's cart against today's catalog and go straight to checkout
+    async handleReorder(session, businessManager, userId, orderRef) {
+        const orders = await businessManager.getCustomerOrders(
+            session.userId,
+            session.businessId,
+            orderRef ? ORDER_CONFIG.REORDER_LOOKBACK : 1
+        );
+        const order = orderRef
+            ? orders.find(o => String(o.orderNumber) === orderRef || o.id.toLowerCase() === orderRef)
+            : orders[0];
+
+        if (!order) {
+            return orderRef
+                ? `❌ Order *${orderRef}* not found in your recent orders.\n\nType *orders* to see your orders.`
+                : "📋 You haven't placed any orders yet.\n\nType *catalog* to browse products.";
+        }
+
+        const rebuilt = orderRebuilder.rebuild(session.businessData.products, order.items);
+        if (rebuilt.items.length === 0 || !session.replaceCart(rebuilt.items)) {
+            return messageGenerators.generateReorderSummary(order, rebuilt) +
+                   "\n\nType *quick* to browse what we have today.";
+        }
+
+        if (!session.customerInfo.name) {
+            const existingCustomer = await businessManager.getExistingCustomer(session.businessId, userId);
+            if (existingCustomer) {
+                session.setExistingCustomer(existingCustomer);
+            }
+        }
+
+        return messageGenerators.generateReorderSummary(order, rebuilt) + "\n\n" + await this.handleCheckout(session);
+    }
+
+    // Subscription handlers - "subscribe weekly friday" turns the current cart into a standing order
+    async handleSubscribe(session, businessManager, userId, frequencyWord, dayWord) {
+        const frequency = subscriptionService.parseFrequency(frequencyWord);
+        const deliveryDay = helpers.parseWeekday(dayWord);
+        if (!frequency || deliveryDay === null) {
+            return "🔁 To subscribe, fill your cart and type *subscribe <how often> <day>*\n\n" +
+                   "How often: *weekly*, *fortnightly* or *monthly*\n" +
+                   "Example: *subscribe weekly friday*";
+        }
+
+        if (session.cart.length === 0) {
+            return "🛒 Your cart is empty. Add the items you want delivered each time, then type *subscribe " +
+                   `${frequency} ${dayWord}*.`;
+        }
+
+        if (!session.customerInfo.name) {
+            const existingCustomer = await businessManager.getExistingCustomer(session.businessId, userId);
+            if (!existingCustomer) {
+                return "📝 Please *register* first so we know where to deliver, then type *subscribe " +
+                       `${frequency} ${dayWord}* again.`;
+            }
+            session.setExistingCustomer(existingCustomer);
+        }
+
+        // The delivery zone must serve the chosen day; without a choice yet, delivery to their address is assumed
+        const choice = this.resolveFulfilment(
+            session,
+            session.fulfilment || { method: 'delivery' },
+            subscriptionService.getFirstDeliveryDate(deliveryDay)
+        );
+        if (!choice.success) {
+            return this.describeFulfilmentError(session, choice) +
+                   (choice.reason === 'day_unavailable' ? `\n\nTry *subscribe ${frequency} <day>* with one of those days.` : '');
+        }
+
+        const subscription = await subscriptionService.create(session, frequency, deliveryDay, choice.fulfilment);
+        if (!subscription) {
+            return "❌ We couldn't set up your subscription. Please try again.";
+        }
+        return messageGenerators.generateSubscriptionCreated(subscription);
+    }
+
+    async handleSubscriptions(session) {
+        const subscriptions = await subscriptionService.getCustomerSubscriptions(session.businessId, session.userId);
+        return messageGenerators.generateCustomerSubscriptions(subscriptions);
+    }
+
+    // Without a number: the subscription with a reminder out for its next delivery, else (when the customer
+    // said "subscription") the only one. Resolves to nothing for a bare word with no reminder out, so it can mean something else.
+    async handleSubscriptionAction(session, action, number, explicit) {
+        const subscriptions = await subscriptionService.getCustomerSubscriptions(session.businessId, session.userId);
+        const reminded = subscriptions.filter(s => s.status === 'active' && s.reminderSentFor === s.nextDeliveryDate);
+        if (!explicit && reminded.length === 0) {
+            return null;
+        }
+        if (subscriptions.length === 0) {
+            return "🔁 You have no subscriptions.";
+        }
+
+        let subscription;
+        if (number) {
+            subscription = subscriptions[number - 1];
+            if (!subscription) {
+                return `❌ You don't have subscription ${number}.\n\n` + messageGenerators.generateCustomerSubscriptions(subscriptions);
+            }
+        } else {
+            if (reminded.length === 1) {
+                subscription = reminded[0];
+            } else if (subscriptions.length === 1) {
+                subscription = subscriptions[0];
+            } else {
+                return `❓ Which subscription? Reply *${action} subscription <number>*.\n\n` + messageGenerators.generateCustomerSubscriptions(subscriptions);
+            }
+        }
+
+        if (action === 'resume' && subscription.status !== 'paused') {
+            return "▶️ That subscription is already active.";
+        }
+        if (['skip', 'pause'].includes(action) && subscription.status === 'paused') {
+            return "⏸️ That subscription is already paused. Type *resume subscription* to start it again.";
+        }
+
+        const updated = await subscriptionService[action](session.businessId, subscription);
+        if (!updated) {
+            return "❌ We couldn't update your subscription. Please try again.";
+        }
+        return messageGenerators.generateSubscriptionUpdate(action, updated);
+    }
+
+    async handleOrderDetails(session, businessManager, orderRef) {
+        const order = await businessManager.getCustomerOrder(session.userId, orderRef, session.businessId);
+        if (!order) {
+            return `❌ Order *${orderRef}* not found.\n\nType *orders* to see your orders.`;
+        }
+        return messageGenerators.generateCustomerOrderDetails(order);
+    }
+
+    // Without an order number, the most recent order with an invoice waiting
+    async handleInvoiceResponse(session, businessManager, accepted, orderRef, reason) {
+        let order;
+        if (orderRef) {
+            order = await businessManager.getCustomerOrder(session.userId, orderRef, session.businessId);
+        } else {
+            const orders = await businessManager.getCustomerOrders(session.userId, session.businessId, ORDER_CONFIG.HISTORY_PAGE_SIZE);
+            order = orders.find(o => o.invoiceStatus === 'sent');
+        }
+
+        if (!order || order.invoiceStatus !== 'sent' || !order.finalPricing) {
+            return orderRef
+                ? `❌ There is no final invoice waiting for order *${orderRef}*.\n\nType *orders* to see your orders.`
+                : "ℹ️ You have no final invoice waiting.\n\nType *orders* to see your orders.";
+        }
+
+        const ref = order.orderNumber || order.id;
+        if (!accepted && !reason) {
+            return `❓ Please tell us what looks wrong. Example: *dispute invoice ${ref} the mince looks light*`;
+        }
+
+        const result = await orderAlerts.respondToInvoice(session.businessId, order, accepted, reason);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        return accepted
+            ? `✅ Thank you! Final invoice for order *#${ref}* accepted: *N$${result.order.total.toFixed(2)}*.`
+            : `📨 Thanks, we've passed your query about order *#${ref}* to the shop. They'll be in touch.`;
+    }
+
+    // Bank details again for the newest order still waiting for an EFT payment
+    async handlePaymentDetails(session) {
+        const orders = await businessManager.getCustomerOrders(session.userId, session.businessId, PAYMENT_CONFIG.PROOF_LOOKBACK);
+        const order = eftPayments.findOrder(orders);
+        if (!order) {
+            return "ℹ️ You have no orders waiting for payment.\n\nType *orders* to see your orders.";
+        }
+        return messageGenerators.generatePaymentInstructions(order, session.paymentRules);
+    }
+
+    // A screenshot or PDF sent while an EFT order waits for payment is its proof of payment.
+    // Resolves to null when no order is waiting, so the file gets the usual reply.
+    async handlePaymentProof(session, incoming, messageData) {
+        const orders = await businessManager.getCustomerOrders(session.userId, session.businessId, PAYMENT_CONFIG.PROOF_LOOKBACK);
+        const order = eftPayments.findOrder(orders, incoming.text);
+        if (!order) {
+            return null;
+        }
+
+        console.log(`🔍 COMMAND DEBUG - Processing proof of payment for order ${order.id}`);
+        const ref = order.orderNumber || order.id;
+        if (!eftPayments.isProofFile(incoming.media)) {
+            return `❌ Please send your proof of payment for order *#${ref}* as a screenshot or PDF.`;
+        }
+
+        const data = await messageData.whatsappService.downloadMedia(messageData.message);
+        if (!data) {
+            return "❌ Sorry, we couldn't download your file. Please send it again.";
+        }
+        if (data.length > PAYMENT_CONFIG.MAX_PROOF_BYTES) {
+            return `❌ That file is too large (limit ${Math.floor(PAYMENT_CONFIG.MAX_PROOF_BYTES / 1000)} KB). Please send a screenshot instead.`;
+        }
+
+        const result = await orderAlerts.submitPaymentProof(session.businessId, order, {
+            data,
+            mimetype: eftPayments.getMimetype(incoming.media),
+            fileName: incoming.media.fileName || null,
+            customerJid: session.userId
+        });
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+        return messageGenerators.generatePaymentProofReceived(result.order);
+    }
+
+    async handleTrackOrder(session, businessManager, orderRef) {
+        if (orderRef) {
+            return await this.handleOrderDetails(session, businessManager, orderRef);
+        }
+
+        const orders = await businessManager.getCustomerOrders(session.userId, session.businessId, ORDER_CONFIG.HISTORY_PAGE_SIZE);
+        if (orders.length === 0) {
+            return "📋 You haven't placed any orders yet.\n\nType *catalog* to browse products.";
+        }
+
+        // Track the latest order that is still on its way, otherwise the latest order
+        const order = orders.find(o => ORDER_CONFIG.ACTIVE_STATUSES.includes(o.status || 'pending')) || orders[0];
+        return messageGenerators.generateCustomerOrderDetails(order);
+    }
+
     // Registration input handler
     async handleRegistrationInput(session, businessManager, text, userId) {
         console.log('🔍 REGISTRATION DEBUG - Input received:', text);
@@ -343,9 +1327,21 @@ class CommandHandler {
                         address: registrationData.address
                     });
                     session.setStep('menu');
+
+                    // A pending referral pays out once the new customer has an account
+                    const referral = await referralService.complete(
+                        session.businessId, userId, 'registration', registrationData.phone, session.referralRules
+                    );
+                    const referralCode = await referralService.getOrCreateCode(session.businessId, userId);
                     
-                    const successMessage = `✅ Account *${result.accountName}* created successfully!\n\nWelcome, *${registrationData.name}*!\n\n` + 
-                           messageGenerators.generateMainMenu(session.businessData.profile);
+                    let successMessage = `✅ Account *${result.accountName}* created successfully!\n\nWelcome, *${registrationData.name}*!\n\n`;
+                    if (referral && referral.refereePoints > 0) {
+                        successMessage += `🎁 Referral bonus: *${referral.refereePoints}* points added to your account.\n\n`;
+                    }
+                    if (referralCode) {
+                        successMessage += `🤝 Your referral code is *${referralCode}* - type *refer* to share it.\n\n`;
+                    }
+                    successMessage += messageGenerators.generateMainMenu(session.businessData.profile);
                     
                     console.log('✅ REGISTRATION DEBUG - Success message prepared');
                     return successMessage;
@@ -377,37 +1373,347 @@ class CommandHandler {
         }
     }
 
-    // Discount handler
-    handleDiscount(session, command) {
+    // Discount handler - codes are managed by the vendor in Firestore
+    async handleDiscount(session, command) {
         const code = command.split(' ')[1]?.toUpperCase();
         
         if (!code) {
-            return "❌ Please provide a discount code. Example: discount WELCOME10";
+            return "❌ Please provide a discount code. Example: discount SAVE10";
         }
 
-        if (session.applyDiscount(code)) {
-            return `🎉 Discount applied: ${code}\nNew total: N$${session.getTotal().toFixed(2)}\n\nType *cart* to view updated cart.`;
+        const result = await discountService.validate(session.businessId, code, {
+            customerJid: session.userId,
+            subtotal: session.getPricing().subtotal
+        });
+
+        if (result.valid) {
+            session.setDiscount(discountService.toPricingRule(result.discount));
+            return `🎉 Discount applied: ${code} (${discountService.describe(result.discount)})\n\n` +
+                   messageGenerators.generateCartSummary(session);
         } else {
-            return "❌ Invalid discount code. Try: WELCOME10, SAVE20, or FIRSTORDER";
+            return `❌ ${result.message}`;
         }
     }
 
-    // Fallback handler
-    handleUnknownCommand() {
+    // Referral handlers
+    async handleRefer(session, messageData) {
+        if (!session.referralRules || !session.referralRules.enabled) {
+            return "❌ Referrals are not available at this store.";
+        }
+
+        const code = await referralService.getOrCreateCode(session.businessId, session.userId);
+        if (!code) {
+            return "🤝 Register with *register* to get your own referral code.";
+        }
+
+        const link = referralService.buildLink(messageData.botPhoneNumber, code);
+        return messageGenerators.generateReferralInvite(code, link, session.referralRules);
+    }
+
+    async handleReferralCode(session, messageData, code) {
+        const result = await referralService.applyCode(session.businessId, session.userId, code, session.referralRules);
+        if (!result.success) {
+            return `❌ ${result.message}\n\n` + messageGenerators.generateMainMenu(session.businessData.profile);
+        }
+
+        session.setStep('menu');
+        return messageGenerators.generateReferralWelcome(result.referrerName, session.referralRules) +
+               messageGenerators.generateMainMenu(session.businessData.profile);
+    }
+
+    // Loyalty handlers
+    async handlePoints(session) {
+        if (!session.loyaltyRules || !session.loyaltyRules.enabled) {
+            return "❌ Loyalty points are not available at this store.";
+        }
+
+        const balance = await loyaltyService.getBalance(session.businessId, session.userId);
+        return messageGenerators.generatePointsBalance(balance, session.loyaltyRules, session.pricingRules?.currency);
+    }
+
+    // "redeem" uses as many points as allowed, "redeem 100" a set amount, "redeem off" none
+    async handleRedeemPoints(session, amount) {
+        if (amount === 'off') {
+            session.clearRedeemPoints();
+            return "✅ Points will not be used on this order.\n\n" + messageGenerators.generateCartSummary(session);
+        }
+
+        if (session.cart.length === 0) {
+            return "❌ Cart is empty. Add items before redeeming points.";
+        }
+
+        const balance = await loyaltyService.getBalance(session.businessId, session.userId);
+        // Quote against the order before points, so a new amount replaces the previous one
+        const pricing = session.getPricing();
+        const totalBeforePoints = pricing.total + (pricing.points ? pricing.points.amount : 0);
+        const requested = amount && amount !== 'all' ? parseInt(amount) : null;
+        const quote = loyaltyService.quote(balance, requested, session.loyaltyRules, totalBeforePoints);
+
+        if (!quote.allowed) {
+            return `❌ ${quote.message}`;
+        }
+
+        session.setRedeemPoints(quote.points);
+        const currency = session.pricingRules?.currency || 'N$';
+        let msg = `⭐ Using *${quote.points}* points for ${currency}${quote.amount.toFixed(2)} off.\n`;
+        if (quote.capped) {
+            msg += `_Points can pay up to ${Math.round(session.loyaltyRules.maxRedeemRatio * 100)}% of an order._\n`;
+        }
+        return msg + "\n" + messageGenerators.generateCheckoutConfirmation(session, balance);
+    }
+
+    // Search handler - results become the numbered list the customer picks from
+    handleSearch(session, query) {
+        const term = query.trim();
+        console.log('🔍 SEARCH DEBUG - Searching for:', term);
+
+        const results = productSearch.search(session.businessData, term);
+        if (results.length === 0) {
+            return messageGenerators.generateSearchResults(session.businessData, term, []);
+        }
+
+        this.showSearchResults(session, term, results);
+        return messageGenerators.generateSearchResults(session.businessData, term, results.map(r => r.key));
+    }
+
+    showSearchResults(session, term, results) {
+        session.setStep('quick_order');
+        session.setData('lastMenu', {
+            type: 'products',
+            category: null,
+            search: term,
+            keys: results.map(r => r.key),
+            page: 1,
+            totalPages: 1
+        });
+    }
+
+    // Free-text order handlers - "2 kg mince, 1 whole chicken and a dozen eggs"
+    handleNaturalOrder(session, text) {
+        const fragments = orderParser.parse(text);
+        if (!orderParser.looksLikeOrder(fragments)) {
+            return null;
+        }
+
+        const resolved = orderParser.resolve(session.businessData, fragments);
+        console.log('🔍 ORDER PARSER DEBUG - Resolved:', JSON.stringify(resolved));
+        if (resolved.items.length === 0 && resolved.ambiguous.length === 0) {
+            // Mentioned quantities but nothing we sell - say so instead of dumping the help text
+            return messageGenerators.generateOrderProposal(session.businessData, resolved);
+        }
+
+        session.setData('pendingOrder', resolved);
+        return this.nextOrderStep(session);
+    }
+
+    // Ask about the next ambiguous product, or show the proposed cart once everything is resolved
+    nextOrderStep(session) {
+        const pending = session.getData('pendingOrder');
+
+        if (pending.ambiguous.length > 0) {
+            session.setStep('order_clarify');
+            return messageGenerators.generateOrderClarification(session.businessData, pending.ambiguous[0]);
+        }
+
+        if (pending.items.length === 0) {
+            session.setData('pendingOrder', null);
+            session.setStep('menu');
+        } else {
+            session.setStep('order_review');
+        }
+        return messageGenerators.generateOrderProposal(session.businessData, pending);
+    }
+
+    handleOrderClarification(session, command) {
+        const pending = session.getData('pendingOrder');
+        if (!pending || pending.ambiguous.length === 0) {
+            session.setStep('menu');
+            return this.handleUnknownCommand(session, command);
+        }
+
+        const question = pending.ambiguous[0];
+        if (command === 'skip') {
+            pending.unmatched.push(question.fragment.text);
+        } else {
+            const key = question.keys[parseInt(command) - 1];
+            if (!key) {
+                return `❌ Please reply with a number from 1-${question.keys.length}, or *skip*.`;
+            }
+            pending.items.push(orderParser.toItem(question.fragment, key, session.businessData.products[key]));
+        }
+
+        pending.ambiguous.shift();
+        return this.nextOrderStep(session);
+    }
+
+    handleOrderReview(session, accepted) {
+        const pending = session.getData('pendingOrder');
+        session.setData('pendingOrder', null);
+        session.setStep('menu');
+
+        if (!accepted || !pending) {
+            return "👍 No problem, nothing was added.\n\nType *quick* to browse products or send another order.";
+        }
+
+        const tooMany = pending.items.find(item => {
+            return this.getCartQuantity(session, item.key) + item.quantity > CART_CONFIG.MAX_ITEM_QUANTITY;
+        });
+        if (tooMany) {
+            return `❌ Maximum quantity per item is ${CART_CONFIG.MAX_ITEM_QUANTITY} (${session.businessData.products[tooMany.key].name}).`;
+        }
+
+        if (!pending.items.every(item => session.businessData.products[item.key])) {
+            return "❌ Some of these products are no longer available. Please send your order again.";
+        }
+
+        const queued = pending.items.filter(item => productVariants.hasVariants(session.businessData.products[item.key]));
+        const ready = pending.items.filter(item => !queued.includes(item));
+        if (ready.length > 0) {
+            session.addItemsToCart(ready);
+        }
+        if (queued.length > 0) {
+            return this.startOptionQuestions(session, queued, ready.length > 0 ? "✅ Added to your cart." : '');
+        }
+
+        return "✅ Added to your cart.\n\n" + messageGenerators.generateCartSummary(session);
+    }
+
+    // Images, voice notes, stickers, contacts and other messages without text (see utils/messageTypes).
+    // Each gets a short reply plus a reminder of what the bot is waiting for.
+    async handleNonTextMessage(session, incoming, messageData) {
+        console.log(`🔍 COMMAND DEBUG - Processing ${incoming.type} message`);
+        const hint = this.getStepHint(session);
+
+        // A shared contact is most likely someone the customer wants to invite
+        if (incoming.type === 'contact' && session.referralRules && session.referralRules.enabled) {
+            const names = (incoming.contact || []).map(contact => contact.name).filter(Boolean);
+            return messageGenerators.generateContactReferralHint(names);
+        }
+        return messageGenerators.generateNonTextReply(incoming, hint);
+    }
+
+    // What the customer is expected to send next, for replies to messages the bot cannot read
+    getStepHint(session) {
+        switch (session.step) {
+            case 'registration':
+                return "Send your details as *name|email|phone|address|accountName*";
+            case 'checkout':
+                return session.location
+                    ? "Send your details as *name|email|phone*"
+                    : "Send your details as *name|email|phone|address*, or share your location 📍";
+            case 'fulfilment':
+                return "Reply *1* for pickup or *2* for delivery";
+            case 'pickup_point':
+            case 'slot':
+            case 'choose_option':
+            case 'order_clarify':
+                return "Reply with the number of your choice";
+            case 'order_review':
+                return "Reply *yes* to add these items or *no* to cancel";
+        }
+        return session.cart.length > 0
+            ? "Type *cart* to see your order or *checkout* to finish it"
+            : "Type what you're looking for, or *menu* to see all options";
+    }
+
+    // Fallback handler - free-text orders first, then anything that looks like a product name is a search
+    handleUnknownCommand(session, command) {
+        if (session && command && /[a-z]/.test(command)) {
+            const orderResponse = this.handleNaturalOrder(session, command);
+            if (orderResponse) {
+                console.log('🔍 UNKNOWN COMMAND DEBUG - Parsed as a free-text order');
+                return orderResponse;
+            }
+        }
+
+        if (session && command && command.length >= SEARCH_CONFIG.MIN_QUERY_LENGTH && /[a-z]/.test(command)) {
+            const results = productSearch.search(session.businessData, command);
+            if (results.length > 0) {
+                console.log('🔍 UNKNOWN COMMAND DEBUG - Falling back to product search');
+                this.showSearchResults(session, command, results);
+                return messageGenerators.generateSearchResults(session.businessData, command, results.map(r => r.key));
+            }
+        }
+
         console.log('🔍 UNKNOWN COMMAND DEBUG - Generating help message as fallback');
         return messageGenerators.generateHelpMessage() + 
                "\n\n💡 *Quick tip:* Type what you're looking for and I'll help you find it!";
     }
 
-    // Additional utility commands
+    // Cart editing commands - each edit replies with the updated cart
     handleClearCart(session) {
+        if (session.cart.length === 0) {
+            return messageGenerators.generateCartSummary(session);
+        }
+
         session.clearCart();
-        return "🗑️ Cart cleared successfully!\n\nType *catalog* to browse products or *quick* for popular items.";
+        return "🗑️ Cart cleared successfully! Type *undo* to bring it back.\n\n" +
+               "Type *catalog* to browse products or *quick* for popular items.";
     }
 
     handleRemoveDiscount(session) {
+        if (!session.discountCode) {
+            return "ℹ️ No discount applied.\n\n" + messageGenerators.generateCartSummary(session);
+        }
+
         session.removeDiscount();
-        return `✅ Discount removed.\nNew total: N$${session.getTotal().toFixed(2)}\n\nType *cart* to view updated cart.`;
+        return "✅ Discount removed.\n\n" + messageGenerators.generateCartSummary(session);
+    }
+
+    handleRemoveItem(session, lineNumber) {
+        const removed = session.removeFromCart(lineNumber);
+        if (!removed) {
+            return this.invalidCartLine(session, lineNumber);
+        }
+
+        return `🗑️ Removed *${removed.name}*.\n\n` + messageGenerators.generateCartSummary(session);
+    }
+
+    handleChangeQuantity(session, lineNumber, quantity) {
+        if (quantity > CART_CONFIG.MAX_ITEM_QUANTITY) {
+            return `❌ Maximum quantity per item is ${CART_CONFIG.MAX_ITEM_QUANTITY}.`;
+        }
+
+        const current = session.cart[lineNumber - 1];
+        if (current && quantity > 0) {
+            // The limit is per product, so other lines of the same product (e.g. another variant) count too
+            if (this.getCartQuantity(session, current.key) - current.quantity + quantity > CART_CONFIG.MAX_ITEM_QUANTITY) {
+                return `❌ Maximum quantity per item is ${CART_CONFIG.MAX_ITEM_QUANTITY} (${current.name}).`;
+            }
+            if (weighedProducts.isWeighed(current)) {
+                quantity = weighedProducts.roundWeight(quantity);
+            }
+            const invalidQuantity = weighedProducts.checkQuantity(current, quantity);
+            if (invalidQuantity) {
+                return `❌ ${invalidQuantity}`;
+            }
+        }
+
+        const line = session.updateCartQuantity(lineNumber, quantity);
+        if (!line) {
+            return this.invalidCartLine(session, lineNumber);
+        }
+
+        const change = quantity === 0
+            ? `🗑️ Removed *${line.name}*.`
+            : `✏️ *${line.name}* quantity set to ${weighedProducts.formatQuantity(quantity, line)}.`;
+        return `${change}\n\n` + messageGenerators.generateCartSummary(session);
+    }
+
+    handleUndo(session) {
+        if (!session.undoCartChange()) {
+            return "ℹ️ Nothing to undo.\n\n" + messageGenerators.generateCartSummary(session);
+        }
+
+        return "↩️ Last cart change undone.\n\n" + messageGenerators.generateCartSummary(session);
+    }
+
+    invalidCartLine(session, lineNumber) {
+        if (session.cart.length === 0) {
+            return messageGenerators.generateCartSummary(session);
+        }
+        return `❌ There is no item ${lineNumber} in your cart. Choose 1-${session.cart.length}.\n\n` +
+               messageGenerators.generateCartSummary(session);
     }
 
     // Command validation
@@ -415,7 +1721,8 @@ class CommandHandler {
         const validCommands = [
             'hi', 'hello', 'start', 'menu', 'main',
             'register', 'quick', 'catalog', 'catalogue',
-            'cart', 'help', 'checkout', 'confirm'
+            'cart', 'help', 'checkout', 'confirm',
+            'orders', 'track', 'clear', 'undo', 'points', 'redeem', 'refer', 'pay'
         ];
         return validCommands.includes(command.toLowerCase());
     }
@@ -423,9 +1730,9 @@ class CommandHandler {
     // Get available commands for current step
     getAvailableCommands(session) {
         const commands = {
-            menu: ['quick', 'catalog', 'cart', 'help', 'register'],
-            quick_order: ['cart', 'checkout', 'catalog', 'menu'],
-            checkout: ['cart', 'menu', 'confirm'],
+            menu: ['quick', 'catalog', 'cart', 'help', 'register', 'orders', 'track'],
+            quick_order: ['cart', 'checkout', 'catalog', 'menu', 'next', 'prev', 'back', 'remove', 'qty', 'clear', 'undo'],
+            checkout: ['cart', 'menu', 'confirm', 'redeem'],
             registration: ['menu']
         };
         
@@ -1,13 +1,24 @@
-const { OWNER_NUMBER, RATE_LIMIT_CONFIG } = require('../config/constants');
+const { OWNER_NUMBER, RATE_LIMIT_CONFIG, CART_CONFIG, CACHE_CONFIG, PAYMENT_CONFIG } = require('../config/constants');
+const pricingEngine = require('../utils/pricingEngine');
+const customerTiers = require('../utils/customerTiers');
+const weighedProducts = require('../utils/weighedProducts');
+const productVariants = require('../utils/productVariants');
+const fulfilment = require('../utils/fulfilment');
+const messageTypes = require('../utils/messageTypes');
 const OrderSession = require('../models/OrderSession');
 const sessionManager = require('../utils/sessionManager');
 const messageGenerators = require('../utils/messageGenerators');
 const commandHandler = require('./commandHandler');
+const adminHandler = require('./adminHandler');
+const vendorHandler = require('./vendorHandler');
+const orderAlerts = require('../services/orderAlerts');
+const statusNotifier = require('../services/statusNotifier');
 const businessManager = require('../services/businessManager');
 
 class MessageHandler {
-    constructor(whatsappService, middleware) {
+    constructor(whatsappService, middleware, bot = null) {
         this.whatsappService = whatsappService;
+        this.bot = bot; // Used by the owner console for statistics
         this.rateLimiter = middleware.rateLimiter;
         this.duplicateChecker = middleware.duplicateChecker;
         this.securityMonitor = middleware.securityMonitor;
@@ -38,10 +49,25 @@ class MessageHandler {
                 step: 'start', 
                 data: {},
                 cart: [],
+                cartHistory: [], // Snapshots of the cart before each edit, for undo
                 customerInfo: {},
                 customerAccount: null,
                 discountCode: null,
-                discountAmount: 0,
+                discount: null, // { code, type: 'percentage' | 'fixed', value }
+                pricingRules: pricingEngine.getDefaultRules(), // Refreshed from vendor settings on each message
+                loyaltyRules: null, // Vendor loyalty settings, refreshed alongside pricingRules
+                redeemPoints: 0, // Loyalty points the customer chose to spend on this order
+                customerScore: null, // null until we know the customer is registered
+                scoreCheckedAt: 0,
+                tier: null, // Customer level from the vendor's tier rules
+                tierRules: null,
+                referralRules: null,
+                fulfilmentRules: null, // Vendor pickup points and delivery zones
+                fulfilment: null, // Resolved pickup or delivery choice (see utils/fulfilment)
+                scheduleRules: null, // Vendor weekly delivery/pickup slots
+                slot: null, // Booked delivery or pickup slot (see utils/deliverySlots)
+                location: null, // Shared WhatsApp location pin { latitude, longitude, name, address, live }
+                paymentRules: null, // Vendor bank details for EFT payments (see utils/eftPayments)
                 
                 // Required methods with debug logging
                 setStep: function(step) { 
@@ -63,64 +89,206 @@ class MessageHandler {
                         phone: customer.phone,
                         address: customer.address
                     };
+                    if (customer.location) {
+                        this.location = customer.location;
+                    }
                 },
                 
-                // Cart methods
-                addToCart: function(productKey) {
-                    if (this.businessData.products[productKey]) {
+                // Cart methods - lines carry name and price so the cart renders without the catalog
+                addToCart: function(productKey, quantity = 1) {
+                    return this.addItemsToCart([{ key: productKey, quantity }]);
+                },
+
+                // Add several products as one undoable change, merging into existing lines.
+                // Items for products with variants carry options, variantKey and price from productVariants.buildSelection.
+                addItemsToCart: function(items) {
+                    if (!items.every(item => this.businessData.products[item.key])) {
+                        return false;
+                    }
+
+                    this.saveCartSnapshot();
+                    items.forEach(({ key, quantity, options, variantKey, price }) => {
+                        const existing = this.cart.find(line => line.key === key && (line.variantKey || null) === (variantKey || null));
+                        if (existing) {
+                            existing.quantity = weighedProducts.round(existing.quantity + quantity);
+                            return;
+                        }
+
+                        const product = this.businessData.products[key];
                         this.cart.push({
-                            key: productKey,
-                            product: this.businessData.products[productKey],
-                            quantity: 1
+                            key: key,
+                            product: product,
+                            name: product.name,
+                            price: price !== undefined ? price : product.price,
+                            unit: product.unit || null,
+                            options: options || [],
+                            variantKey: variantKey || null,
+                            image: product.image || product.imageUrl || null,
+                            quantity: quantity
                         });
-                        return true;
+                    });
+                    return true;
+                },
+
+                // Swap the whole cart for a rebuilt one (reorder) as a single undoable change
+                replaceCart: function(items) {
+                    if (!items.every(item => this.businessData.products[item.key])) {
+                        return false;
                     }
-                    return false;
+
+                    this.saveCartSnapshot();
+                    this.cart = [];
+                    this.addItemsToCart(items);
+                    this.cartHistory.pop(); // The empty cart addItemsToCart just saved
+                    return true;
                 },
-                
-                clearCart: function() { this.cart = []; },
-                
-                // Discount methods
-                applyDiscount: function(code) {
-                    const discounts = {
-                        'WELCOME10': 0.10,
-                        'SAVE20': 0.20,
-                        'FIRSTORDER': 0.15
-                    };
-                    if (discounts[code]) {
-                        this.discountCode = code;
-                        this.discountAmount = discounts[code];
-                        return true;
+
+                // Line numbers are 1-based, as shown in the cart summary
+                removeFromCart: function(lineNumber) {
+                    const index = lineNumber - 1;
+                    if (index < 0 || index >= this.cart.length) {
+                        return null;
+                    }
+                    this.saveCartSnapshot();
+                    return this.cart.splice(index, 1)[0];
+                },
+
+                updateCartQuantity: function(lineNumber, quantity) {
+                    const line = this.cart[lineNumber - 1];
+                    if (!line) {
+                        return null;
+                    }
+                    if (quantity <= 0) {
+                        return this.removeFromCart(lineNumber);
+                    }
+                    this.saveCartSnapshot();
+                    line.quantity = quantity;
+                    return line;
+                },
+
+                saveCartSnapshot: function() {
+                    this.cartHistory.push(this.cart.map(line => ({ ...line })));
+                    if (this.cartHistory.length > CART_CONFIG.MAX_UNDO_STEPS) {
+                        this.cartHistory.shift();
+                    }
+                },
+
+                undoCartChange: function() {
+                    if (this.cartHistory.length === 0) {
+                        return false;
+                    }
+                    this.cart = this.cartHistory.pop();
+                    return true;
+                },
+
+                clearCart: function() {
+                    if (this.cart.length > 0) {
+                        this.saveCartSnapshot();
                     }
-                    return false;
+                    this.cart = [];
+                },
+
+                // Cut lines down to what is in stock as one undoable change; shortages come from the order transaction.
+                // What is left is shared out over the lines for that product (or option), in cart order.
+                applyStockLimits: function(shortages) {
+                    this.saveCartSnapshot();
+                    shortages.forEach(shortage => {
+                        let left = shortage.available;
+                        this.cart
+                            .filter(item => item.key === shortage.key && (!shortage.option || productVariants.hasOption(item, shortage.option)))
+                            .forEach(line => {
+                                const quantity = Math.min(line.quantity, left);
+                                left = weighedProducts.round(left - quantity);
+                                if (quantity > 0) {
+                                    line.quantity = quantity;
+                                } else {
+                                    this.cart.splice(this.cart.indexOf(line), 1);
+                                }
+                            });
+                    });
+                },
+
+                // After an order is placed there is nothing to undo
+                resetCart: function() {
+                    this.cart = [];
+                    this.cartHistory = [];
+                },
+                
+                // Discount methods - the code is validated by discountService before it gets here
+                setDiscount: function(discount) {
+                    this.discountCode = discount.code;
+                    this.discount = discount;
                 },
                 
                 removeDiscount: function() {
                     this.discountCode = null;
-                    this.discountAmount = 0;
+                    this.discount = null;
+                },
+
+                setFulfilment: function(choice) {
+                    this.fulfilment = choice;
+                },
+
+                clearFulfilment: function() {
+                    this.fulfilment = null;
+                },
+
+                setSlot: function(slot) {
+                    this.slot = slot;
+                },
+
+                clearSlot: function() {
+                    this.slot = null;
+                },
+
+                setLocation: function(location) {
+                    this.location = location;
+                },
+
+                // Loyalty points - the pricing engine caps how many are actually used
+                setRedeemPoints: function(points) {
+                    this.redeemPoints = points;
+                },
+
+                clearRedeemPoints: function() {
+                    this.redeemPoints = 0;
                 },
                 
-                // Total calculation
+                // Itemized totals from the pricing engine
+                getPricing: function() {
+                    const redemption = this.redeemPoints > 0 ? { ...this.loyaltyRules, points: this.redeemPoints } : null;
+                    return pricingEngine.calculate(
+                        this.cart,
+                        fulfilment.toPricingRules(
+                            this.pricingRules,
+                            this.fulfilment || fulfilment.estimateDelivery(this.fulfilmentRules, this.pricingRules, this.location)
+                        ),
+                        this.discount,
+                        redemption,
+                        customerTiers.toPricingTier(this.tier)
+                    );
+                },
+
                 getTotal: function() {
-                    let total = this.cart.reduce((sum, item) => {
-                        return sum + (item.product.price * item.quantity);
-                    }, 0);
-                    
-                    if (this.discountAmount > 0) {
-                        total = total * (1 - this.discountAmount);
-                    }
-                    
-                    return total;
+                    return this.getPricing().total;
                 },
                 
                 // Order generation
                 generateOrder: function() {
+                    const pricing = this.getPricing();
                     return {
                         items: this.cart,
                         customerInfo: this.customerInfo,
-                        total: this.getTotal(),
+                        pricing: pricing,
+                        total: pricing.total,
+                        discount: this.discount,
                         discountCode: this.discountCode,
-                        discountAmount: this.discountAmount,
+                        discountAmount: pricing.discount ? pricing.discount.amount : 0,
+                        redeemPoints: pricing.points ? pricing.points.points : 0,
+                        fulfilment: this.fulfilment,
+                        slot: this.slot,
+                        location: this.location,
+                        customerJid: this.userId,
                         timestamp: Date.now()
                     };
                 }
@@ -166,10 +334,14 @@ class MessageHandler {
                 products[doc.id] = {
                     name: productData.name,
                     price: productData.price,
+                    unit: productData.unit || 'piece',
                     description: productData.description || 'No description',
                     category: productData.category || 'General',
                     stock: productData.stock || 0,
-                    isAvailable: productData.isAvailable
+                    isAvailable: productData.isAvailable,
+                    isSpecial: !!productData.isSpecial,
+                    specialStartsAt: productData.specialStartsAt || null,
+                    variantGroups: productData.variantGroups || []
                 };
             });
             
@@ -249,9 +421,13 @@ class MessageHandler {
                     products[doc.id] = {
                         name: productData.name,
                         price: productData.price,
+                        unit: productData.unit || 'piece',
                         description: productData.description || 'No description',
                         category: productData.category || 'General',
-                        stock: productData.stock || 0
+                        stock: productData.stock || 0,
+                        isSpecial: !!productData.isSpecial, // Tiers with earlyAccessHours see specials early
+                        specialStartsAt: productData.specialStartsAt || null,
+                        variantGroups: productData.variantGroups || []
                     };
                 });
                 
@@ -325,9 +501,10 @@ class MessageHandler {
             return;
         }
 
-        // Extract message details
-        const messageContent = msg.message.conversation || 
-                             msg.message.extendedTextMessage?.text || '';
+        // Extract message details - captions count as text, pins arrive as a location
+        const incoming = messageTypes.parse(msg.message);
+        const messageContent = incoming.text;
+        const location = incoming.location || null;
         const sender = msg.pushName || 'Customer';
         const userId = msg.key.remoteJid;
         const msgId = msg.key.id;
@@ -347,18 +524,24 @@ class MessageHandler {
   botNumber: '${botPhoneNumber}'
 }`);
 
-        // Skip messages from owner
-        if (userId === OWNER_NUMBER) {
-            console.log('👑 Ignoring message from owner');
-            return;
-        }
-
         // Skip messages from bot itself
         if (msg.key.fromMe) {
             console.log('🤖 Ignoring message from bot itself');
             return;
         }
 
+        // Channels, status updates and groups are not conversations with a customer
+        if (messageTypes.isIgnoredJid(userId)) {
+            console.log(`🚫 Ignoring message from ${userId}`);
+            return;
+        }
+
+        // Deletes, key exchanges and reactions need no reply
+        if (incoming.type === 'system' || incoming.type === 'reaction') {
+            console.log(`🚫 Ignoring ${incoming.type} message from ${userId}${incoming.emoji ? ` (${incoming.emoji})` : ''}`);
+            return;
+        }
+
         try {
             // Get business ID from bot phone number
             let businessId;
@@ -370,6 +553,47 @@ class MessageHandler {
             
             console.log(`🏢 Bot ${botPhoneNumber} determined business: ${businessId} for customer ${phoneNumber}`);
 
+            // Businesses mapped after startup start sending status updates from their first message
+            statusNotifier.watchBusiness(businessId);
+
+            // Owner messages go to the admin console instead of the shopping flow
+            if (userId === OWNER_NUMBER) {
+                if (!messageContent) {
+                    console.log(`👑 Ignoring ${incoming.type} message from owner`);
+                    return;
+                }
+                console.log('👑 Routing message from owner to admin console');
+                const adminResponse = await adminHandler.handleCommand(messageContent, businessManager, {
+                    userId,
+                    businessId,
+                    bot: this.bot,
+                    securityMonitor: this.securityMonitor
+                });
+                if (adminResponse && typeof adminResponse === 'string') {
+                    await this.sendMessage(userId, adminResponse);
+                }
+                return;
+            }
+
+            // Vendor numbers can answer order alerts; anything else falls through to the shopping flow
+            if (messageContent && await orderAlerts.isVendorNumber(businessId, userId)) {
+                const vendorResponse = await vendorHandler.handleCommand(messageContent, businessManager, {
+                    userId,
+                    businessId
+                });
+                if (vendorResponse && typeof vendorResponse === 'string') {
+                    await this.sendMessage(userId, vendorResponse);
+                    return;
+                }
+            }
+
+            // Numbers blocked from the owner console are dropped silently
+            if (this.securityMonitor && typeof this.securityMonitor.isBlocked === 'function' &&
+                this.securityMonitor.isBlocked(userId)) {
+                console.log(`🚫 Ignoring message from blocked user: ${userId}`);
+                return;
+            }
+
             // Get business data - ROBUST VERSION
             let businessData;
             try {
@@ -432,33 +656,62 @@ class MessageHandler {
                 await this.logger.logMessage({
                     userId,
                     businessId,
-                    content: messageContent,
+                    text: messageContent,
+                    type: incoming.type,
                     sender,
                     timestamp: Date.now(),
                     messageId: msgId
                 });
             }
 
-            console.log(`📨 Message from ${sender} (${phoneNumber}) to business ${businessId}: "${messageContent}"`);
+            console.log(`📨 ${incoming.type} message from ${sender} (${phoneNumber}) to business ${businessId}: "${messageContent}"`);
 
             // Use the new session management method that persists sessions
             let session = this.getOrCreateSession(userId, businessId, businessData);
 
-            // Process the message through command handler
-            const response = await commandHandler.handleCommand(
-                messageContent,  // text - first parameter
-                session,         // session - second parameter  
-                businessManager, // businessManager - third parameter
-                {               // messageData - fourth parameter
-                    userId,
-                    businessId,
-                    sender,
-                    phoneNumber,
-                    botPhoneNumber,
-                    whatsappService: this.whatsappService,
-                    msgId
-                }
-            );
+            // Vendors can change tax and delivery rules at any time
+            const vendorSettings = await businessManager.getVendorSettings(businessId);
+            session.pricingRules = vendorSettings.pricing;
+            session.loyaltyRules = vendorSettings.loyalty;
+            session.referralRules = vendorSettings.referrals;
+            session.fulfilmentRules = vendorSettings.fulfilment;
+            session.scheduleRules = vendorSettings.schedule;
+            session.paymentRules = vendorSettings.payments;
+
+            // Tier benefits and early access follow the customer's score, re-read every few minutes
+            if (Date.now() - session.scoreCheckedAt > CACHE_CONFIG.CUSTOMER_DATA_TTL) {
+                session.customerScore = await businessManager.getCustomerScore(businessId, userId);
+                session.scoreCheckedAt = Date.now();
+            }
+            session.tierRules = vendorSettings.tiers;
+            session.tier = session.customerScore !== null
+                ? customerTiers.getTier(session.customerScore, vendorSettings.tiers)
+                : null;
+            session.businessData = customerTiers.applyEarlyAccess(businessData, session.tier);
+
+            // Text (including captions) and pins go through the command handler; other types get their own reply
+            const messageData = {
+                userId,
+                businessId,
+                sender,
+                phoneNumber,
+                botPhoneNumber,
+                whatsappService: this.whatsappService,
+                message: msg, // Raw message, for downloading media
+                msgId,
+                location,
+                type: incoming.type
+            };
+
+            // Screenshots and PDFs are proof of payment while an EFT order is waiting for one
+            let response = PAYMENT_CONFIG.PROOF_TYPES.includes(incoming.type)
+                ? await commandHandler.handlePaymentProof(session, incoming, messageData)
+                : null;
+            if (!response) {
+                response = messageContent || location
+                    ? await commandHandler.handleCommand(messageContent, session, businessManager, messageData)
+                    : await commandHandler.handleNonTextMessage(session, incoming, messageData);
+            }
 
             // Send the response if we got one
             if (response && typeof response === 'string') {
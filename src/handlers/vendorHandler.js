@@ -0,0 +1,139 @@
+const messageGenerators = require('../utils/messageGenerators');
+const orderAlerts = require('../services/orderAlerts');
+const subscriptionService = require('../services/subscriptionService');
+const { SUBSCRIPTION_CONFIG } = require('../config/constants');
+
+class VendorHandler {
+    // Vendor reply routing - returns nothing when the text is not a vendor command
+    async handleCommand(text, businessManager, context) {
+        console.log('🧑‍🌾 VENDOR DEBUG - Input text:', text);
+
+        if (typeof text !== 'string' || !text.trim()) {
+            return;
+        }
+
+        const trimmed = text.trim().replace(/\s+/g, ' ');
+        const command = trimmed.toLowerCase();
+
+        try {
+            const acceptMatch = command.match(/^accept #?(\S+)$/);
+            if (acceptMatch) {
+                return await this.handleAccept(context, acceptMatch[1]);
+            }
+
+            const rejectMatch = trimmed.match(/^reject #?(\S+)(?: (.+))?$/i);
+            if (rejectMatch) {
+                return await this.handleReject(context, rejectMatch[1], rejectMatch[2]);
+            }
+
+            // Bank transfers checked against the proof of payment the customer sent
+            const paidMatch = command.match(/^paid #?(\S+)$/);
+            if (paidMatch) {
+                return await this.handlePaid(context, paidMatch[1]);
+            }
+
+            const unpaidMatch = trimmed.match(/^unpaid #?(\S+)(?: (.+))?$/i);
+            if (unpaidMatch) {
+                return await this.handleUnpaid(context, unpaidMatch[1], unpaidMatch[2]);
+            }
+
+            // "weigh 1042 2 1.65" - line 2 of order 1042 weighed 1.65 kg
+            const weighMatch = command.match(/^weigh #?(\S+) (\d+) (\d+(?:\.\d+)?) ?(?:kg)?$/);
+            if (weighMatch) {
+                return await this.handleWeigh(context, weighMatch[1], parseInt(weighMatch[2]), parseFloat(weighMatch[3]));
+            }
+
+            if (['subscriptions', 'upcoming'].includes(command)) {
+                return await this.handleUpcomingSubscriptions(context);
+            }
+
+            if (command === 'vendor help') {
+                return messageGenerators.generateVendorHelp();
+            }
+
+            return;
+        } catch (error) {
+            console.error('❌ Error in vendor handler:', error.message);
+            console.error('❌ Error stack:', error.stack);
+            return "⚠️ Vendor command failed. Please try again.";
+        }
+    }
+
+    async handleAccept(context, orderRef) {
+        const result = await orderAlerts.acceptOrder(context.businessId, orderRef);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        const ref = result.order.orderNumber || result.order.id;
+        return `✅ Order *#${ref}* accepted. The customer has been notified.`;
+    }
+
+    async handlePaid(context, orderRef) {
+        const result = await orderAlerts.markPaid(context.businessId, orderRef);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        const ref = result.order.orderNumber || result.order.id;
+        return result.accepted
+            ? `💳 Order *#${ref}* marked as paid and accepted. The customer has been notified.`
+            : `💳 Order *#${ref}* marked as paid. The customer has been notified.`;
+    }
+
+    async handleUnpaid(context, orderRef, reason) {
+        const result = await orderAlerts.markUnpaid(context.businessId, orderRef, reason);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        const ref = result.order.orderNumber || result.order.id;
+        return result.customerNotified
+            ? `⚠️ Order *#${ref}* marked as unpaid. The customer has been asked to check the transfer.`
+            : `⚠️ Order *#${ref}* marked as unpaid, but the customer could not be messaged.`;
+    }
+
+    async handleUpcomingSubscriptions(context) {
+        const subscriptions = await subscriptionService.getUpcoming(context.businessId);
+        return messageGenerators.generateVendorSubscriptionList(subscriptions, SUBSCRIPTION_CONFIG.UPCOMING_DAYS);
+    }
+
+    async handleWeigh(context, orderRef, lineNumber, weight) {
+        if (!(weight > 0)) {
+            return "❌ Please give the weight in kg. Example: *weigh 1042 2 1.65*";
+        }
+
+        const result = await orderAlerts.recordWeight(context.businessId, orderRef, lineNumber, weight);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        const ref = result.order.orderNumber || result.order.id;
+        let msg = `⚖️ Order *#${ref}* line ${lineNumber} (${result.line.name}) weighed at ${result.line.weighedQuantity} kg.`;
+        if (result.remaining.length > 0) {
+            return msg + `\nStill to weigh: line ${result.remaining.join(', ')}.`;
+        }
+
+        const total = result.order.finalPricing.total.toFixed(2);
+        msg += result.invoiceSent
+            ? `\n🧾 Final invoice (N$${total}) sent to the customer to accept.`
+            : `\n⚠️ Final invoice is N$${total}, but it could not be sent to the customer.`;
+        return msg;
+    }
+
+    async handleReject(context, orderRef, reason) {
+        if (!reason) {
+            return "❌ Please give a reason. Example: *reject 1042 out of stock*";
+        }
+
+        const result = await orderAlerts.rejectOrder(context.businessId, orderRef, reason);
+        if (!result.success) {
+            return `❌ ${result.message}`;
+        }
+
+        const ref = result.order.orderNumber || result.order.id;
+        return `🚫 Order *#${ref}* rejected (${reason}). The customer has been notified.`;
+    }
+}
+
+module.exports = new VendorHandler();
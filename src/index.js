@@ -8,6 +8,9 @@ const { OWNER_NUMBER } = require('./config/constants');
 
 // Services
 const businessManager = require('./services/businessManager');
+const orderAlerts = require('./services/orderAlerts');
+const statusNotifier = require('./services/statusNotifier');
+const subscriptionService = require('./services/subscriptionService');
 // Import WhatsApp service correctly - it might be a default export or instance
 const whatsappService = require('./services/whatsapp');
 
@@ -66,19 +69,22 @@ class WhatsAppBot {
             // Step 4: Initialize WhatsApp service
             await this.initializeWhatsApp();
 
-            // Step 5: Initialize middleware (optional, many don't have initialize methods)
+            // Step 5: Initialize notifications (depends on WhatsApp service)
+            await this.initializeNotifications();
+
+            // Step 6: Initialize middleware (optional, many don't have initialize methods)
             await this.initializeMiddleware();
 
-            // Step 6: Initialize session manager
+            // Step 7: Initialize session manager
             await this.initializeSessionManager();
 
-            // Step 7: Set up message handling
+            // Step 8: Set up message handling
             await this.setupMessageHandling();
 
-            // Step 8: Set up monitoring
+            // Step 9: Set up monitoring
             await this.setupMonitoring();
 
-            // Step 9: Set up graceful shutdown
+            // Step 10: Set up graceful shutdown
             this.setupGracefulShutdown();
 
             this.isInitialized = true;
@@ -156,6 +162,26 @@ class WhatsAppBot {
         }
     }
 
+    async initializeNotifications() {
+        try {
+            console.log('🔔 Initializing notifications...');
+            orderAlerts.initialize(this.whatsappService);
+
+            // Push status changes made from the vendor frontend to customers
+            for (const businessId of new Set(businessManager.botToBusinessMap.values())) {
+                statusNotifier.watchBusiness(businessId);
+            }
+
+            // Recurring subscription reminders and orders
+            subscriptionService.start();
+            console.log('✅ Notifications initialized');
+        } catch (error) {
+            console.error('❌ Notifications initialization failed:', error.message);
+            // Don't throw error - orders still work without vendor alerts
+            console.log('⚠️ Continuing without notifications - vendors will not be alerted');
+        }
+    }
+
     async initializeMiddleware() {
         try {
             console.log('🛡️ Initializing middleware...');
@@ -205,7 +231,7 @@ class WhatsAppBot {
         try {
             console.log('📨 Setting up message handling...');
             
-            this.messageHandler = new MessageHandler(this.whatsappService, this.middleware);
+            this.messageHandler = new MessageHandler(this.whatsappService, this.middleware, this);
             
             // Set up WhatsApp message event handler
             if (this.whatsappService && typeof this.whatsappService.onMessage === 'function') {
@@ -344,6 +370,10 @@ class WhatsAppBot {
                 await this.middleware.rateLimiter.shutdown();
             }
 
+            // Stop order status listeners and the subscription scheduler before Firebase goes away
+            statusNotifier.stopAll();
+            subscriptionService.stop();
+
             // Shutdown session manager
             console.log('🗑️ Shutting down session manager...');
             if (sessionManager && typeof sessionManager.shutdown === 'function') {
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const helpers = require('../utils/helpers');
 
 class DuplicateChecker {
     constructor() {
@@ -292,48 +293,11 @@ class DuplicateChecker {
 
     // Calculate text similarity using Levenshtein distance
     calculateSimilarity(text1, text2) {
-        if (!text1 || !text2) return 0;
-        
-        const str1 = text1.toLowerCase().trim();
-        const str2 = text2.toLowerCase().trim();
-        
-        if (str1 === str2) return 1.0;
-        
-        const maxLength = Math.max(str1.length, str2.length);
-        if (maxLength === 0) return 1.0;
-        
-        const distance = this.levenshteinDistance(str1, str2);
-        return (maxLength - distance) / maxLength;
+        return helpers.calculateSimilarity(text1, text2);
     }
 
-    // Levenshtein distance algorithm
     levenshteinDistance(str1, str2) {
-        const matrix = [];
-        
-        // Initialize matrix
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
-        }
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
-        }
-        
-        // Fill matrix
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1, // substitution
-                        matrix[i][j - 1] + 1,     // insertion
-                        matrix[i - 1][j] + 1      // deletion
-                    );
-                }
-            }
-        }
-        
-        return matrix[str2.length][str1.length];
+        return helpers.levenshteinDistance(str1, str2);
     }
 
     // Mark message as currently being processed
@@ -306,6 +306,7 @@ class Logger {
         this.info(`Message ${action}`, {
             userId: messageData.userId,
             businessId: messageData.businessId,
+            messageType: messageData.type || 'text',
             messageLength: messageData.text?.length || 0,
             timestamp: messageData.msgTime,
             action
@@ -7,6 +7,7 @@ class SecurityMonitor {
         this.ipAddresses = new Map(); // userId -> IP tracking
         this.patterns = new Map(); // Suspicious pattern tracking
         this.blockedUsers = new Set(); // Temporarily blocked users
+        this.unblockTimers = new Map(); // userId -> pending auto-unblock timer
         this.whitelist = new Set(); // Trusted users
         
         this.config = {
@@ -412,10 +413,7 @@ class SecurityMonitor {
         this.blockedUsers.add(userId);
         
         // Auto-unblock after duration
-        setTimeout(() => {
-            this.blockedUsers.delete(userId);
-            logger.info(`User automatically unblocked: ${userId}`);
-        }, duration);
+        this.scheduleUnblock(userId, duration, `User automatically unblocked: ${userId}`);
         
         logger.logSecurity(`User blocked: ${reason}`, 'high', {
             userId,
@@ -587,16 +585,31 @@ class SecurityMonitor {
 
     manualBlock(userId, reason = 'manual', duration = this.config.minBlockDuration) {
         this.blockedUsers.add(userId);
-        
-        setTimeout(() => {
-            this.blockedUsers.delete(userId);
-            logger.info(`Manually blocked user unblocked: ${userId}`);
-        }, duration);
+        this.scheduleUnblock(userId, duration, `Manually blocked user unblocked: ${userId}`);
         
         logger.logSecurity(`User manually blocked: ${reason}`, 'high', { userId, duration });
     }
 
+    // One pending unblock per user, so an earlier block's timer cannot cut a newer block short
+    scheduleUnblock(userId, duration, message) {
+        this.clearUnblockTimer(userId);
+        this.unblockTimers.set(userId, setTimeout(() => {
+            this.unblockTimers.delete(userId);
+            this.blockedUsers.delete(userId);
+            logger.info(message);
+        }, duration));
+    }
+
+    clearUnblockTimer(userId) {
+        const timer = this.unblockTimers.get(userId);
+        if (timer) {
+            clearTimeout(timer);
+            this.unblockTimers.delete(userId);
+        }
+    }
+
     unblockUser(userId) {
+        this.clearUnblockTimer(userId);
         const wasBlocked = this.blockedUsers.delete(userId);
         if (wasBlocked) {
             logger.info(`User manually unblocked: ${userId}`);
@@ -604,6 +617,10 @@ class SecurityMonitor {
         return wasBlocked;
     }
 
+    isBlocked(userId) {
+        return this.blockedUsers.has(userId);
+    }
+
     // Statistics and reporting
     getStats() {
         return {
@@ -670,6 +687,8 @@ class SecurityMonitor {
         // Clear all data
         this.threats.clear();
         this.patterns.clear();
+        this.unblockTimers.forEach(timer => clearTimeout(timer));
+        this.unblockTimers.clear();
         this.blockedUsers.clear();
         this.whitelist.clear();
         
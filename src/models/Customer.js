@@ -1,3 +1,5 @@
+const customerTiers = require('../utils/customerTiers');
+
 class Customer {
     constructor(data = {}) {
         this.id = data.id || null;
@@ -5,6 +7,7 @@ class Customer {
         this.email = data.email || '';
         this.phone = data.phone || '';
         this.address = data.address || '';
+        this.location = data.location || null; // Pinned delivery location { latitude, longitude }
         this.whatsappId = data.whatsappId || '';
         this.businessId = data.businessId || 'default';
         this.score = data.score || 0;
@@ -58,22 +61,18 @@ class Customer {
     }
 
     // Customer stats and metrics
-    getCustomerLevel() {
-        if (this.score >= 50) return 'VIP';
-        if (this.score >= 20) return 'Gold';
-        if (this.score >= 10) return 'Silver';
-        return 'Bronze';
+    // Level from the vendor's tier rules (defaults when none are passed)
+    getCustomerTier(tierRules) {
+        return customerTiers.getTier(this.score, tierRules);
     }
 
-    getCustomerLevelEmoji() {
-        const level = this.getCustomerLevel();
-        const emojis = {
-            'VIP': '💎',
-            'Gold': '🥇',
-            'Silver': '🥈',
-            'Bronze': '🥉'
-        };
-        return emojis[level] || '👤';
+    getCustomerLevel(tierRules) {
+        const tier = this.getCustomerTier(tierRules);
+        return tier ? tier.name : 'Bronze';
+    }
+
+    getCustomerLevelEmoji(tierRules) {
+        return customerTiers.getEmoji(this.getCustomerTier(tierRules));
     }
 
     isNewCustomer() {
@@ -1,4 +1,8 @@
-const { SESSION_CONFIG, PRICING_CONFIG, DISCOUNT_CODES } = require('../config/constants');
+const { SESSION_CONFIG } = require('../config/constants');
+const pricingEngine = require('../utils/pricingEngine');
+const customerTiers = require('../utils/customerTiers');
+const weighedProducts = require('../utils/weighedProducts');
+const fulfilment = require('../utils/fulfilment');
 
 class OrderSession {
     constructor(userId, businessId) {
@@ -8,7 +12,14 @@ class OrderSession {
         this.customerInfo = {};
         this.step = 'menu';
         this.discountCode = null;
-        this.discountAmount = 0;
+        this.discount = null;
+        this.pricingRules = pricingEngine.getDefaultRules();
+        this.loyaltyRules = null;
+        this.redeemPoints = 0;
+        this.tier = null;
+        this.fulfilment = null;
+        this.slot = null;
+        this.location = null;
         this.customerAccount = null;
         this.existingCustomer = null;
         this.businessData = null;
@@ -42,7 +53,7 @@ class OrderSession {
 
         const existingItem = this.cart.find(item => item.id === productId);
         if (existingItem) {
-            existingItem.quantity += quantity;
+            existingItem.quantity = weighedProducts.round(existingItem.quantity + quantity);
             console.log(`✅ Updated quantity for ${product.name}: ${existingItem.quantity}`);
         } else {
             this.cart.push({ 
@@ -91,7 +102,8 @@ class OrderSession {
     clearCart() {
         this.cart = [];
         this.discountCode = null;
-        this.discountAmount = 0;
+        this.discount = null;
+        this.redeemPoints = 0;
         console.log('🗑️ Cart cleared');
         this.updateLastActivity();
     }
@@ -100,55 +112,50 @@ class OrderSession {
         return this.cart.reduce((total, item) => total + item.quantity, 0);
     }
 
-    // Pricing calculations
+    // Pricing calculations - delegated to the pricing engine
+    getPricing() {
+        const redemption = this.redeemPoints > 0 ? { ...this.loyaltyRules, points: this.redeemPoints } : null;
+        return pricingEngine.calculate(
+            this.cart,
+            fulfilment.toPricingRules(this.pricingRules, this.fulfilment),
+            this.discount,
+            redemption,
+            customerTiers.toPricingTier(this.tier)
+        );
+    }
+
     getSubtotal() {
-        return this.cart.reduce((total, item) => {
-            const itemTotal = (item.price || 0) * (item.quantity || 0);
-            return total + itemTotal;
-        }, 0);
+        return this.getPricing().subtotal;
     }
 
     getTax() {
-        return this.getSubtotal() * PRICING_CONFIG.TAX_RATE;
+        return this.getPricing().tax;
     }
 
     getShipping() {
-        const subtotal = this.getSubtotal();
-        return subtotal > PRICING_CONFIG.FREE_SHIPPING_THRESHOLD ? 0 : PRICING_CONFIG.STANDARD_SHIPPING;
+        return this.getPricing().delivery;
     }
 
     getDiscountAmount() {
-        return this.discountAmount;
+        const pricing = this.getPricing();
+        return pricing.discount ? pricing.discount.amount : 0;
     }
 
     getTotal() {
-        const subtotal = this.getSubtotal();
-        const tax = this.getTax();
-        const shipping = this.getShipping();
-        const discount = this.getDiscountAmount();
-        
-        return Math.max(0, subtotal + tax + shipping - discount);
+        return this.getPricing().total;
     }
 
-    // Discount management
-    applyDiscount(code) {
-        const upperCode = code.toUpperCase();
-        
-        if (DISCOUNT_CODES[upperCode]) {
-            this.discountCode = upperCode;
-            this.discountAmount = this.getSubtotal() * DISCOUNT_CODES[upperCode];
-            console.log(`✅ Applied discount ${upperCode}: -N$${this.discountAmount.toFixed(2)}`);
-            this.updateLastActivity();
-            return true;
-        }
-        
-        console.log(`❌ Invalid discount code: ${code}`);
-        return false;
+    // Discount management - codes are validated against Firestore by discountService
+    setDiscount(discount) {
+        this.discountCode = discount.code;
+        this.discount = discount;
+        console.log(`✅ Applied discount ${discount.code}: -N$${this.getDiscountAmount().toFixed(2)}`);
+        this.updateLastActivity();
     }
 
     removeDiscount() {
         this.discountCode = null;
-        this.discountAmount = 0;
+        this.discount = null;
         console.log('🗑️ Discount removed');
         this.updateLastActivity();
     }
@@ -221,17 +228,19 @@ class OrderSession {
                 id: item.id,
                 name: item.name,
                 price: item.price,
+                unit: item.unit || null,
+                options: item.options || [],
                 quantity: item.quantity,
                 subtotal: item.price * item.quantity
             })),
-            pricing: {
-                subtotal: this.getSubtotal(),
-                tax: this.getTax(),
-                shipping: this.getShipping(),
-                discount: this.getDiscountAmount(),
-                total: this.getTotal()
-            },
+            pricing: this.getPricing(),
+            total: this.getTotal(),
+            fulfilment: this.fulfilment,
+            slot: this.slot,
+            location: this.location,
+            discount: this.discount,
             discountCode: this.discountCode,
+            redeemPoints: this.redeemPoints,
             status: 'pending',
             accountName: this.customerAccount,
             businessId: this.businessId,
@@ -280,7 +289,8 @@ class OrderSession {
         this.customerInfo = {};
         this.step = 'menu';
         this.discountCode = null;
-        this.discountAmount = 0;
+        this.discount = null;
+        this.redeemPoints = 0;
         this.customerAccount = null;
         this.existingCustomer = null;
         this.createdAt = Date.now();
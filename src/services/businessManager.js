@@ -1,5 +1,11 @@
 const firebaseService = require('./firebase');
-const { CACHE_CONFIG, DEFAULT_BUSINESS } = require('../config/constants');
+const { CACHE_CONFIG, DEFAULT_BUSINESS, VENDOR_SETTINGS_DEFAULTS, ORDER_CONFIG } = require('../config/constants');
+const pricingEngine = require('../utils/pricingEngine');
+const customerTiers = require('../utils/customerTiers');
+const weighedProducts = require('../utils/weighedProducts');
+const fulfilment = require('../utils/fulfilment');
+const deliverySlots = require('../utils/deliverySlots');
+const helpers = require('../utils/helpers');
 
 class BusinessManager {
     constructor() {
@@ -7,6 +13,7 @@ class BusinessManager {
         this.phoneToBusinessMap = new Map(); // Phone to business mapping
         this.botToBusinessMap = new Map(); // Bot phone to business mapping
         this.cacheTimestamps = new Map(); // Cache timestamps for invalidation
+        this.vendorSettings = new Map(); // businessId -> { settings, loadedAt }
         this.isInitialized = false;
     }
 
@@ -187,6 +194,29 @@ class BusinessManager {
         }
     }
 
+    // Vendor settings merged over VENDOR_SETTINGS_DEFAULTS, one section per feature
+    async getVendorSettings(businessId) {
+        const cached = this.vendorSettings.get(businessId);
+        if (cached && Date.now() - cached.loadedAt < CACHE_CONFIG.BUSINESS_DATA_TTL) {
+            return cached.settings;
+        }
+
+        let stored = {};
+        try {
+            stored = await firebaseService.getVendorSettings(businessId) || {};
+        } catch (error) {
+            console.error(`❌ Failed to get vendor settings for ${businessId}:`, error);
+        }
+
+        const settings = {};
+        Object.keys(VENDOR_SETTINGS_DEFAULTS).forEach(section => {
+            settings[section] = { ...VENDOR_SETTINGS_DEFAULTS[section], ...(stored[section] || {}) };
+        });
+
+        this.vendorSettings.set(businessId, { settings, loadedAt: Date.now() });
+        return settings;
+    }
+
     async getBusinessProducts(businessId) {
         try {
             return await firebaseService.getBusinessProducts(businessId);
@@ -404,28 +434,88 @@ class BusinessManager {
         }
     }
 
-    // ADD: Save order method
-    async saveOrder(businessId, sender, order, messageId) {
+    // ADD: Save order method - resolves to { success, orderId, orderNumber } or { success: false, message }.
+    // steps run inside the order transaction (e.g. discount redemption) and can reject the order.
+    async saveOrder(businessId, sender, order, messageId, steps = []) {
         console.log('🔍 BUSINESS MANAGER DEBUG - saveOrder called');
         console.log('🔍 BUSINESS MANAGER DEBUG - Business ID:', businessId);
         console.log('🔍 BUSINESS MANAGER DEBUG - Sender:', sender);
         console.log('🔍 BUSINESS MANAGER DEBUG - Message ID:', messageId);
         
         try {
+            // Totals are always recalculated from the vendor's current pricing rules
+            const settings = await this.getVendorSettings(businessId);
+            // Tier benefits follow the customer's current score, not whatever the session remembered
+            const score = order.customerJid ? await this.getCustomerScore(businessId, order.customerJid) : null;
+            const tier = score !== null ? customerTiers.getTier(score, settings.tiers) : null;
+            const redemption = settings.loyalty.enabled && order.redeemPoints > 0
+                ? { ...settings.loyalty, points: order.redeemPoints }
+                : null;
+            // Pickup or delivery is re-checked too: the zone, its fee and its minimum may have changed since checkout
+            const choice = fulfilment.resolve(settings.fulfilment, settings.pricing, order.fulfilment || { method: 'delivery' }, {
+                address: order.customerInfo ? order.customerInfo.address : null,
+                location: order.location || null,
+                subtotal: pricingEngine.calculate(order.items, settings.pricing).subtotal,
+                date: order.slot ? order.slot.date : (order.deliveryDate || null)
+            });
+            if (!choice.success) {
+                return { success: false, rejected: true, step: 'fulfilment', message: choice.message, details: { reason: choice.reason } };
+            }
+            // The slot must still be on the schedule and before its cut-off; capacity is checked by the booking step
+            if (order.slot) {
+                const offered = deliverySlots.getUpcoming(settings.schedule, choice.fulfilment.method, choice.fulfilment.days || null) || [];
+                if (!offered.some(slot => slot.id === order.slot.id)) {
+                    return {
+                        success: false,
+                        rejected: true,
+                        step: 'slot',
+                        message: 'That time slot is no longer available.',
+                        details: { slotId: order.slot.id }
+                    };
+                }
+            }
+
+            const pricing = pricingEngine.calculate(
+                order.items,
+                fulfilment.toPricingRules(settings.pricing, choice.fulfilment),
+                order.discount,
+                redemption,
+                customerTiers.toPricingTier(tier)
+            );
+            order = {
+                ...order,
+                fulfilment: choice.fulfilment,
+                pricing,
+                customerTier: tier ? tier.name : null,
+                total: pricing.total,
+                discountAmount: pricing.discount ? pricing.discount.amount : 0,
+                pointsRedeemed: pricing.points ? pricing.points.points : 0,
+                pointsEarned: settings.loyalty.enabled
+                    ? Math.floor(pricing.total * (parseFloat(settings.loyalty.pointsPerCurrency) || 0))
+                    : 0,
+                // Per-kg lines are estimates until the vendor weighs them (see recordItemWeight)
+                invoiceStatus: pricing.estimated ? 'awaiting_weights' : null
+            };
+
             // Try using existing Firebase service method first
             if (typeof firebaseService.saveOrder === 'function') {
                 console.log('🔍 BUSINESS MANAGER DEBUG - Using firebaseService.saveOrder...');
-                const orderId = await firebaseService.saveOrder(businessId, {
+                const result = await firebaseService.saveOrder(businessId, {
                     ...order,
                     customerName: sender,
                     messageId: messageId,
                     status: 'pending',
                     createdAt: new Date().toISOString()
-                });
+                }, steps.filter(Boolean));
                 
-                if (orderId) {
-                    console.log('✅ BUSINESS MANAGER DEBUG - Order saved via firebaseService with ID:', orderId);
-                    return true;
+                if (result.success) {
+                    console.log('✅ BUSINESS MANAGER DEBUG - Order saved via firebaseService with ID:', result.orderId);
+                    return result;
+                }
+
+                // A rejected step, or one the fallback cannot honour, must not save the order anyway
+                if (result.rejected || steps.length > 0) {
+                    return result;
                 }
             }
             
@@ -437,7 +527,9 @@ class BusinessManager {
                 businessId: businessId,
                 customerName: sender,
                 customerInfo: order.customerInfo,
+                customerJid: order.customerJid,
                 items: order.items,
+                pricing: order.pricing,
                 total: order.total,
                 discountCode: order.discountCode,
                 discountAmount: order.discountAmount,
@@ -449,45 +541,43 @@ class BusinessManager {
             const docRef = await db.collection('orders').add(orderDoc);
             console.log('✅ BUSINESS MANAGER DEBUG - Order saved with ID:', docRef.id);
             
-            return true;
+            return { success: true, orderId: docRef.id, orderNumber: null };
         } catch (error) {
             console.error('❌ BUSINESS MANAGER DEBUG - Error saving order:', error);
-            return false;
+            return { success: false, message: 'Failed to save order' };
         }
     }
 
-    // ADD: Increment customer score
-    async incrementCustomerScore(businessId, accountName) {
+    // ADD: Increment customer score - one point per confirmed order, on the vendor's customer record.
+    // Resolves to { previousScore, score } so callers can spot tier upgrades, or null.
+    async incrementCustomerScore(businessId, whatsappId) {
         console.log('🔍 BUSINESS MANAGER DEBUG - incrementCustomerScore called');
         console.log('🔍 BUSINESS MANAGER DEBUG - Business ID:', businessId);
-        console.log('🔍 BUSINESS MANAGER DEBUG - Account Name:', accountName);
+        console.log('🔍 BUSINESS MANAGER DEBUG - WhatsApp ID:', whatsappId);
         
         try {
-            const admin = require('firebase-admin');
-            const db = admin.firestore();
-            
-            const customerQuery = await db.collection('customers')
-                .where('businessId', '==', businessId)
-                .where('accountName', '==', accountName)
-                .get();
-                
-            if (!customerQuery.empty) {
-                const customerDoc = customerQuery.docs[0];
-                const currentScore = customerDoc.data().score || 0;
-                
-                await customerDoc.ref.update({
-                    score: currentScore + 1,
-                    updatedAt: new Date().toISOString()
-                });
-                
-                console.log('✅ BUSINESS MANAGER DEBUG - Customer score incremented from', currentScore, 'to', currentScore + 1);
+            const result = await firebaseService.incrementCustomerScore(businessId, whatsappId.split('@')[0]);
+            if (result) {
+                console.log('✅ BUSINESS MANAGER DEBUG - Customer score incremented from', result.previousScore, 'to', result.score);
             }
+            return result;
         } catch (error) {
             console.error('❌ BUSINESS MANAGER DEBUG - Error incrementing score:', error);
+            return null;
+        }
+    }
+
+    // Current score, or null when the customer is not registered with the vendor
+    async getCustomerScore(businessId, whatsappId) {
+        try {
+            const customer = await firebaseService.getCustomer(whatsappId.split('@')[0], businessId);
+            return customer ? parseInt(customer.score) || 0 : null;
+        } catch (error) {
+            console.error(`❌ Failed to get score for ${whatsappId} in business ${businessId}:`, error);
+            return null;
         }
     }
 
-    // Keep existing methods for backward compatibility
     async createCustomer(customerData, businessId) {
         try {
             const cleanUserId = customerData.phone?.split('@')[0] || customerData.userId?.split('@')[0];
@@ -518,11 +608,15 @@ class BusinessManager {
         }
     }
 
-    async getCustomerOrders(userId, businessId, limit = 10) {
+    // Pinned delivery location on a registered customer's record; null clears it
+    async saveCustomerLocation(businessId, whatsappId, location) {
+        return await firebaseService.saveCustomer(whatsappId.split('@')[0], businessId, { location });
+    }
+
+    async getCustomerOrders(userId, businessId, limit = 10, offset = 0) {
         try {
-            const cleanUserId = userId.split('@')[0];
-            // Use your existing Firebase method
-            return await firebaseService.getOrderHistory(cleanUserId, businessId, limit);
+            // Orders are matched on the WhatsApp ID they were placed from
+            return await firebaseService.getOrderHistory(userId, businessId, limit, offset);
         } catch (error) {
             console.error(`❌ Failed to get orders for customer ${userId} in business ${businessId}:`, error);
             return [];
@@ -533,17 +627,150 @@ class BusinessManager {
     async createOrder(orderData, businessId) {
         try {
             // Use your existing Firebase method
-            const orderId = await firebaseService.saveOrder(businessId, orderData);
-            if (orderId) {
-                return { ...orderData, id: orderId };
+            const result = await firebaseService.saveOrder(businessId, orderData);
+            if (result.success) {
+                return { ...orderData, id: result.orderId, orderNumber: result.orderNumber };
             }
-            throw new Error('Failed to save order');
+            throw new Error(result.message || 'Failed to save order');
         } catch (error) {
             console.error(`❌ Failed to create order for business ${businessId}:`, error);
             throw error;
         }
     }
 
+    // Discount codes - see discountService for the eligibility rules
+    async getDiscount(businessId, code) {
+        return await firebaseService.getDiscount(businessId, code);
+    }
+
+    async getDiscountRedemptions(businessId, code, customerJid) {
+        return await firebaseService.getDiscountRedemptions(businessId, code, customerJid);
+    }
+
+    createDiscountRedemptionStep(businessId, code, customerJid, checkEligibility) {
+        if (!firebaseService.isInitialized) {
+            return null;
+        }
+        return firebaseService.createDiscountRedemptionStep(businessId, code, customerJid, checkEligibility);
+    }
+
+    // Loyalty points - balances live on the customer document, keyed by WhatsApp number
+    async getCustomerPoints(businessId, whatsappId) {
+        try {
+            const customer = await firebaseService.getCustomer(whatsappId.split('@')[0], businessId);
+            return customer ? parseInt(customer.loyaltyPoints) || 0 : null;
+        } catch (error) {
+            console.error(`❌ Failed to get points for ${whatsappId} in business ${businessId}:`, error);
+            return null;
+        }
+    }
+
+    // Referrals - see referralService for the abuse checks
+    async getCustomerRecord(businessId, whatsappId) {
+        try {
+            return await firebaseService.getCustomer(whatsappId.split('@')[0], businessId);
+        } catch (error) {
+            console.error(`❌ Failed to get customer ${whatsappId} in business ${businessId}:`, error);
+            return null;
+        }
+    }
+
+    async setReferralCode(businessId, whatsappId, referralCode) {
+        return await firebaseService.saveCustomer(whatsappId.split('@')[0], businessId, { referralCode });
+    }
+
+    async findCustomerByReferralCode(businessId, code) {
+        return await firebaseService.findCustomerByReferralCode(businessId, code);
+    }
+
+    async getReferral(businessId, refereeJid) {
+        return await firebaseService.getReferral(businessId, refereeJid.split('@')[0]);
+    }
+
+    async createReferral(businessId, refereeJid, referralData) {
+        return await firebaseService.createReferral(businessId, refereeJid.split('@')[0], {
+            ...referralData,
+            refereeJid
+        });
+    }
+
+    async completeReferral(businessId, refereeJid, details) {
+        return await firebaseService.completeReferral(businessId, refereeJid.split('@')[0], details);
+    }
+
+    // Subscriptions - see subscriptionService for scheduling
+    async createSubscription(businessId, subscriptionData) {
+        return await firebaseService.createSubscription(businessId, subscriptionData);
+    }
+
+    async getCustomerSubscriptions(businessId, customerJid) {
+        return await firebaseService.getCustomerSubscriptions(businessId, customerJid);
+    }
+
+    async getActiveSubscriptions(businessId) {
+        return await firebaseService.getActiveSubscriptions(businessId);
+    }
+
+    async updateSubscription(businessId, subscriptionId, updates) {
+        return await firebaseService.updateSubscription(businessId, subscriptionId, updates);
+    }
+
+    async claimSubscriptionRun(businessId, subscriptionId, field, date, updates) {
+        return await firebaseService.claimSubscriptionRun(businessId, subscriptionId, field, date, updates);
+    }
+
+    // Stock - reserved with the order, released when it is cancelled or rejected
+    createStockReservationStep(businessId) {
+        if (!firebaseService.isInitialized) {
+            return null;
+        }
+        return firebaseService.createStockReservationStep(businessId);
+    }
+
+    async restockOrder(businessId, orderId) {
+        return await firebaseService.restockOrder(businessId, orderId);
+    }
+
+    // Slots - booked with the order, freed when it is cancelled or rejected
+    async getOpenSlots(businessId, slots) {
+        const counts = await firebaseService.getSlotBookings(businessId, slots.map(slot => slot.id));
+        return slots
+            .map(slot => ({
+                ...slot,
+                remaining: slot.capacity === null ? null : Math.max(slot.capacity - (counts[slot.id] || 0), 0)
+            }))
+            .filter(slot => slot.remaining === null || slot.remaining > 0);
+    }
+
+    createSlotBookingStep(businessId, slot) {
+        if (!firebaseService.isInitialized || !slot) {
+            return null;
+        }
+        return firebaseService.createSlotBookingStep(businessId, slot);
+    }
+
+    async releaseSlot(businessId, orderId) {
+        return await firebaseService.releaseSlot(businessId, orderId);
+    }
+
+    createPaymentReferenceStep(referencePrefix) {
+        if (!firebaseService.isInitialized) {
+            return null;
+        }
+        return firebaseService.createPaymentReferenceStep(referencePrefix);
+    }
+
+    async savePaymentProof(businessId, orderId, proof) {
+        return await firebaseService.savePaymentProof(businessId, orderId, proof);
+    }
+
+    createPointsRedemptionStep(businessId, whatsappId) {
+        if (!firebaseService.isInitialized) {
+            return null;
+        }
+        return firebaseService.createPointsRedemptionStep(businessId, whatsappId.split('@')[0]);
+    }
+
     async getOrder(orderId, businessId) {
         try {
             // You might need to add this method to Firebase service if it doesn't exist
@@ -574,14 +801,171 @@ class BusinessManager {
         }
     }
 
+    // Customer notification bookkeeping (see OrderStatusNotifier)
+    async claimOrderNotification(businessId, orderId, status) {
+        return await firebaseService.claimOrderNotification(businessId, orderId, status);
+    }
+
+    async releaseOrderNotification(businessId, orderId, status) {
+        return await firebaseService.releaseOrderNotification(businessId, orderId, status);
+    }
+
+    watchOrders(businessId, since, onChange, onError) {
+        return firebaseService.watchOrders(businessId, since, onChange, onError);
+    }
+
+    // Owner console: orders placed since a given moment
+    async getOrdersSince(businessId, since, limit = 20) {
+        try {
+            return await firebaseService.getOrdersSince(businessId, since, limit);
+        } catch (error) {
+            console.error(`❌ Failed to get recent orders for business ${businessId}:`, error);
+            return [];
+        }
+    }
+
+    async updateOrderStatus(orderId, status, businessId, extra = {}) {
+        const order = await this.getOrder(orderId, businessId);
+        if (!order) {
+            return { success: false, message: `Order ${orderId} not found` };
+        }
+
+        const updated = await this.updateOrder(order.id, {
+            ...extra,
+            status,
+            statusHistory: [
+                ...(order.statusHistory || []),
+                { status, changedAt: new Date().toISOString() }
+            ]
+        }, businessId);
+
+        if (!updated) {
+            return { success: false, message: `Could not update order ${orderId}` };
+        }
+
+        if (ORDER_CONFIG.RESTOCK_STATUSES.includes(status)) {
+            await this.restockOrder(businessId, order.id);
+            await this.releaseSlot(businessId, order.id);
+        }
+
+        return { success: true, order: { ...order, ...extra, status }, previousStatus: order.status };
+    }
+
+    // Record the weighed amount of one per-kg order line (1-based). Once every per-kg line is weighed the
+    // final pricing is worked out and the invoice is marked as sent for the customer to accept.
+    async recordItemWeight(businessId, orderRef, lineNumber, weight) {
+        const order = await this.getOrder(orderRef, businessId);
+        if (!order) {
+            return { success: false, message: `Order ${orderRef} not found` };
+        }
+
+        const ref = order.orderNumber || order.id;
+        if (!ORDER_CONFIG.ACTIVE_STATUSES.includes(order.status)) {
+            return { success: false, message: `Order #${ref} is already ${order.status}` };
+        }
+        if (order.invoiceStatus === 'accepted') {
+            return { success: false, message: `The customer has already accepted the final invoice for order #${ref}` };
+        }
+
+        const items = (order.items || []).map(item => ({ ...item }));
+        const line = items[lineNumber - 1];
+        if (!line) {
+            return { success: false, message: `Order #${ref} has no line ${lineNumber}` };
+        }
+        if (!weighedProducts.isWeighed(line)) {
+            return { success: false, message: `Line ${lineNumber} (${line.name}) is not sold by weight` };
+        }
+        line.weighedQuantity = weighedProducts.round(weight);
+
+        const remaining = [];
+        items.forEach((item, i) => {
+            if (weighedProducts.isWeighed(item) && (item.weighedQuantity === undefined || item.weighedQuantity === null)) {
+                remaining.push(i + 1);
+            }
+        });
+
+        const update = { items };
+        if (remaining.length === 0) {
+            update.finalPricing = await this.calculateFinalPricing(businessId, { ...order, items });
+            update.invoiceStatus = 'sent';
+            update.invoiceSentAt = new Date().toISOString();
+        }
+
+        const updated = await this.updateOrder(order.id, update, businessId);
+        if (!updated) {
+            return { success: false, message: `Could not update order #${ref}` };
+        }
+
+        return { success: true, order: { ...order, ...update }, line, remaining };
+    }
+
+    // Reprice an order on its weighed quantities with the discount, tier and points it was placed with
+    async calculateFinalPricing(businessId, order) {
+        const settings = await this.getVendorSettings(businessId);
+        const estimate = order.pricing || {};
+        // The points were taken off the customer's balance when the order was placed, so the same points apply
+        const redemption = estimate.points ? {
+            points: estimate.points.points,
+            pointValue: estimate.points.amount / estimate.points.points
+        } : null;
+
+        // The pickup or delivery zone fee agreed at checkout still applies
+        return pricingEngine.calculate(
+            order.items,
+            fulfilment.toPricingRules(settings.pricing, order.fulfilment || null),
+            order.discount,
+            redemption,
+            estimate.tier || null
+        );
+    }
+
+    // An order, only if it was placed by this customer. Older orders have no customerJid and are matched
+    // on the phone number they were placed with.
+    async getCustomerOrder(userId, orderId, businessId) {
+        const order = await this.getOrder(orderId, businessId);
+        if (!order) {
+            return null;
+        }
+        const placedBy = order.customerJid || helpers.toWhatsAppJid((order.customerInfo || {}).phone);
+        return placedBy === userId ? order : null;
+    }
+
+    // Resolve a product by ID, exact name or a unique partial name
+    async findProduct(businessId, query) {
+        const products = await this.getBusinessProducts(businessId);
+        const needle = (query || '').toLowerCase().trim();
+        if (!needle) {
+            return { product: null, matches: [] };
+        }
+
+        const exact = products.find(p => p.id.toLowerCase() === needle || (p.name || '').toLowerCase() === needle);
+        if (exact) {
+            return { product: exact, matches: [exact] };
+        }
+
+        const matches = products.filter(p => (p.name || '').toLowerCase().includes(needle));
+        return { product: matches.length === 1 ? matches[0] : null, matches };
+    }
+
+    async updateProductStock(businessId, productId, quantity) {
+        try {
+            return await firebaseService.updateProductStock(businessId, productId, quantity);
+        } catch (error) {
+            console.error(`❌ Failed to update stock for ${productId} in business ${businessId}:`, error);
+            return false;
+        }
+    }
+
     // Cache management
     clearCache(businessId = null) {
         if (businessId) {
             this.businessData.delete(businessId);
             this.cacheTimestamps.delete(businessId);
+            this.vendorSettings.delete(businessId);
         } else {
             this.businessData.clear();
             this.cacheTimestamps.clear();
+            this.vendorSettings.clear();
         }
     }
 
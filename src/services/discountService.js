@@ -0,0 +1,100 @@
+const businessManager = require('./businessManager');
+const helpers = require('../utils/helpers');
+
+class DiscountService {
+    // Firestore document -> discount rule. Percentages may be stored as 10 or 0.1.
+    normalize(doc) {
+        const type = doc.type === 'fixed' ? 'fixed' : 'percentage';
+        let value = parseFloat(doc.value) || 0;
+        if (type === 'percentage' && value > 1) {
+            value = value / 100;
+        }
+
+        return {
+            code: (doc.code || doc.id || '').toUpperCase(),
+            type,
+            value,
+            description: doc.description || null,
+            active: doc.active !== false,
+            startsAt: helpers.toDate(doc.startsAt),
+            expiresAt: helpers.toDate(doc.expiresAt),
+            minSpend: parseFloat(doc.minSpend) || 0,
+            maxUses: parseInt(doc.maxUses) || 0, // 0 = unlimited
+            maxUsesPerCustomer: parseInt(doc.maxUsesPerCustomer) || 0,
+            firstOrderOnly: !!doc.firstOrderOnly,
+            usageCount: parseInt(doc.usageCount) || 0
+        };
+    }
+
+    // Returns the reason a code cannot be used, or null when it can
+    checkEligibility(discount, { subtotal = 0, customerUses = 0, hasPreviousOrders = false, now = new Date() } = {}) {
+        if (!discount.active) {
+            return `Discount code ${discount.code} is not active.`;
+        }
+        if (discount.startsAt && now < discount.startsAt) {
+            return `Discount code ${discount.code} is not valid yet.`;
+        }
+        if (discount.expiresAt && now > discount.expiresAt) {
+            return `Discount code ${discount.code} has expired.`;
+        }
+        if (discount.maxUses > 0 && discount.usageCount >= discount.maxUses) {
+            return `Discount code ${discount.code} has been fully redeemed.`;
+        }
+        if (discount.maxUsesPerCustomer > 0 && customerUses >= discount.maxUsesPerCustomer) {
+            return `You have already used discount code ${discount.code}.`;
+        }
+        if (discount.firstOrderOnly && hasPreviousOrders) {
+            return `Discount code ${discount.code} is only valid on your first order.`;
+        }
+        if (discount.minSpend > 0 && subtotal < discount.minSpend) {
+            return `Discount code ${discount.code} needs a minimum spend of N$${discount.minSpend.toFixed(2)}.`;
+        }
+        return null;
+    }
+
+    // Pre-check when the customer enters a code; the order transaction checks again
+    async validate(businessId, code, { customerJid, subtotal }) {
+        const doc = await businessManager.getDiscount(businessId, code);
+        if (!doc) {
+            return { valid: false, message: `Discount code ${code.toUpperCase()} is not valid.` };
+        }
+
+        const discount = this.normalize(doc);
+        const [customerUses, previousOrders] = await Promise.all([
+            businessManager.getDiscountRedemptions(businessId, discount.code, customerJid),
+            businessManager.getCustomerOrders(customerJid, businessId, 1)
+        ]);
+
+        const message = this.checkEligibility(discount, {
+            subtotal,
+            customerUses,
+            hasPreviousOrders: previousOrders.length > 0
+        });
+        return message ? { valid: false, message } : { valid: true, discount };
+    }
+
+    // What the session and pricing engine carry around
+    toPricingRule(discount) {
+        return {
+            code: discount.code,
+            type: discount.type,
+            value: discount.value,
+            minSpend: discount.minSpend
+        };
+    }
+
+    // saveOrder step that redeems the code in the same transaction as the order
+    createRedemptionStep(businessId, discountRule, customerJid, subtotal) {
+        return businessManager.createDiscountRedemptionStep(businessId, discountRule.code, customerJid, (doc, usage) => {
+            return this.checkEligibility(this.normalize(doc), { ...usage, subtotal });
+        });
+    }
+
+    describe(discount) {
+        return discount.type === 'percentage'
+            ? `${Math.round(discount.value * 1000) / 10}% off`
+            : `N$${discount.value.toFixed(2)} off`;
+    }
+}
+
+module.exports = new DiscountService();
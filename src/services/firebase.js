@@ -1,4 +1,7 @@
-const { COLLECTIONS, DEFAULT_BUSINESS } = require('../config/constants');
+const { COLLECTIONS, DEFAULT_BUSINESS, ORDER_CONFIG } = require('../config/constants');
+const weighedProducts = require('../utils/weighedProducts');
+const productVariants = require('../utils/productVariants');
+const helpers = require('../utils/helpers');
 
 // Enhanced phone number matching for Namibian numbers
 function normalizePhoneNumber(phone) {
@@ -18,6 +21,16 @@ function normalizePhoneNumber(phone) {
     };
 }
 
+// The forms a WhatsApp number may have been typed in as customerInfo.phone. Orders saved before customerJid
+// was recorded are only linked to their customer through that field.
+function legacyPhoneVariants(customerJid) {
+    const forms = normalizePhoneNumber(String(customerJid || '').split('@')[0]);
+    if (!forms || !forms.full) {
+        return [];
+    }
+    return [...new Set([forms.full, `+${forms.full}`, forms.withLeadingZero, forms.withoutCountryCode])];
+}
+
 function phoneNumbersMatch(phone1, phone2) {
     const normalized1 = normalizePhoneNumber(phone1);
     const normalized2 = normalizePhoneNumber(phone2);
@@ -268,6 +281,31 @@ class FirebaseService {
         }
     }
 
+    // Bot settings the vendor manages from the frontend (vendors/{id}/settings/bot)
+    async getVendorSettings(businessId) {
+        if (!this.isInitialized) {
+            return {};
+        }
+
+        try {
+            const settingsDoc = await this.db.collection('vendors')
+                                            .doc(businessId)
+                                            .collection(COLLECTIONS.SETTINGS)
+                                            .doc('bot')
+                                            .get();
+
+            if (!settingsDoc.exists) {
+                console.log(`⚠️ No bot settings found for vendor: ${businessId}, using defaults`);
+                return {};
+            }
+
+            return settingsDoc.data();
+        } catch (error) {
+            console.error(`❌ Failed to get bot settings for vendor ${businessId}:`, error);
+            return {};
+        }
+    }
+
     async getBusinessProducts(businessId) {
         if (!this.isInitialized) {
             return [];
@@ -388,40 +426,357 @@ class FirebaseService {
         }
     }
 
-    async saveOrder(businessId, orderData) {
+    // Save an order in one transaction with its order number and any extra steps.
+    // Each step is { name, read(transaction, context), write(transaction, state, context) };
+    // a read that returns { rejected: message, details } aborts the order without writing anything.
+    async saveOrder(businessId, orderData, steps = []) {
         if (!this.isInitialized) {
-            return null;
+            return { success: false, message: 'Database not available' };
         }
 
         try {
             const ordersRef = this.db.collection('vendors')
                                     .doc(businessId)
                                     .collection('orders');
-            
-            const orderToSave = {
-                ...orderData,
-                businessId: businessId,
-                status: orderData.status || 'pending',
-                createdAt: this.admin.firestore.FieldValue.serverTimestamp(),
-                updatedAt: this.admin.firestore.FieldValue.serverTimestamp(),
-                timestamp: new Date().toISOString()
-            };
+            const counterRef = this.db.collection('vendors')
+                                     .doc(businessId)
+                                     .collection(COLLECTIONS.COUNTERS)
+                                     .doc('orders');
+            const orderRef = ordersRef.doc();
+            const context = { businessId, orderRef, orderData };
+
+            // Allocate the next human-readable order number in the same transaction as the order
+            const outcome = await this.db.runTransaction(async (transaction) => {
+                // Firestore needs every read before the first write
+                const counterDoc = await transaction.get(counterRef);
+                const states = [];
+                for (const step of steps) {
+                    const state = await step.read(transaction, context);
+                    if (state && state.rejected) {
+                        return { rejected: state.rejected, step: step.name, details: state.details };
+                    }
+                    states.push(state);
+                }
+
+                const lastNumber = counterDoc.exists ? parseInt(counterDoc.data().lastNumber) || 0 : 0;
+                const nextNumber = Math.max(lastNumber + 1, ORDER_CONFIG.FIRST_ORDER_NUMBER);
+
+                transaction.set(counterRef, { lastNumber: nextNumber }, { merge: true });
+                transaction.set(orderRef, {
+                    ...orderData,
+                    orderNumber: nextNumber,
+                    businessId: businessId,
+                    status: orderData.status || 'pending',
+                    statusHistory: [
+                        { status: orderData.status || 'pending', changedAt: new Date().toISOString() }
+                    ],
+                    createdAt: this.admin.firestore.FieldValue.serverTimestamp(),
+                    updatedAt: this.admin.firestore.FieldValue.serverTimestamp(),
+                    timestamp: new Date().toISOString()
+                });
+                steps.forEach((step, i) => step.write(transaction, states[i], { ...context, orderNumber: nextNumber }));
+
+                return { orderNumber: nextNumber };
+            });
+
+            if (outcome.rejected) {
+                console.log(`🚫 Order for vendor ${businessId} rejected: ${outcome.rejected}`);
+                return { success: false, rejected: true, step: outcome.step, message: outcome.rejected, details: outcome.details };
+            }
 
-            const docRef = await ordersRef.add(orderToSave);
-            console.log(`✅ Order saved with ID: ${docRef.id} for vendor ${businessId}`);
+            console.log(`✅ Order #${outcome.orderNumber} saved with ID: ${orderRef.id} for vendor ${businessId}`);
             
-            if (orderData.customerInfo && orderData.customerInfo.phone) {
-                await this.updateCustomerStats(orderData.customerInfo.phone, businessId, orderData.total);
+            // Customer documents are keyed on the WhatsApp number the order came from
+            const customerId = orderData.customerJid
+                ? orderData.customerJid.split('@')[0]
+                : orderData.customerInfo && orderData.customerInfo.phone;
+            if (customerId) {
+                await this.updateCustomerStats(customerId, businessId, orderData.total, {
+                    points: orderData.pointsEarned,
+                    orderId: orderRef.id,
+                    orderNumber: outcome.orderNumber
+                });
             }
 
-            return docRef.id;
+            return { success: true, orderId: orderRef.id, orderNumber: outcome.orderNumber };
         } catch (error) {
             console.error(`❌ Failed to save order for vendor ${businessId}:`, error);
+            return { success: false, message: 'Failed to save order' };
+        }
+    }
+
+    // Discount codes live in vendors/{id}/discounts, keyed by the upper-case code
+    async getDiscount(businessId, code) {
+        if (!this.isInitialized || !code) {
+            return null;
+        }
+
+        try {
+            const doc = await this.db.collection('vendors')
+                                     .doc(businessId)
+                                     .collection(COLLECTIONS.DISCOUNTS)
+                                     .doc(code.toUpperCase())
+                                     .get();
+
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            console.error(`❌ Failed to get discount ${code} for vendor ${businessId}:`, error);
+            return null;
+        }
+    }
+
+    async getDiscountRedemptions(businessId, code, customerJid) {
+        if (!this.isInitialized) {
+            return 0;
+        }
+
+        try {
+            const doc = await this.db.collection('vendors')
+                                     .doc(businessId)
+                                     .collection(COLLECTIONS.DISCOUNTS)
+                                     .doc(code.toUpperCase())
+                                     .collection(COLLECTIONS.REDEMPTIONS)
+                                     .doc(customerJid)
+                                     .get();
+
+            return doc.exists ? parseInt(doc.data().count) || 0 : 0;
+        } catch (error) {
+            console.error(`❌ Failed to get redemptions of ${code} for ${customerJid}:`, error);
+            return 0;
+        }
+    }
+
+    // saveOrder step that re-checks a discount and counts the redemption atomically with the order.
+    // checkEligibility(discount, { customerUses, hasPreviousOrders }) returns an error message or null.
+    createDiscountRedemptionStep(businessId, code, customerJid, checkEligibility) {
+        const discountRef = this.db.collection('vendors')
+                                   .doc(businessId)
+                                   .collection(COLLECTIONS.DISCOUNTS)
+                                   .doc(code.toUpperCase());
+        const redemptionRef = discountRef.collection(COLLECTIONS.REDEMPTIONS).doc(customerJid);
+        const ordersRef = this.db.collection('vendors')
+                                 .doc(businessId)
+                                 .collection('orders');
+        const previousOrdersQuery = ordersRef.where('customerJid', '==', customerJid).limit(1);
+        const phones = legacyPhoneVariants(customerJid);
+        const legacyOrdersQuery = phones.length > 0 ? ordersRef.where('customerInfo.phone', 'in', phones).limit(1) : null;
+
+        return {
+            name: 'discount',
+            read: async (transaction) => {
+                const discountDoc = await transaction.get(discountRef);
+                if (!discountDoc.exists) {
+                    return { rejected: `Discount code ${code} is no longer valid.` };
+                }
+
+                const redemptionDoc = await transaction.get(redemptionRef);
+                const previousOrders = await transaction.get(previousOrdersQuery);
+                const legacyOrders = legacyOrdersQuery ? await transaction.get(legacyOrdersQuery) : null;
+                const customerUses = redemptionDoc.exists ? parseInt(redemptionDoc.data().count) || 0 : 0;
+
+                const rejected = checkEligibility({ id: discountDoc.id, ...discountDoc.data() }, {
+                    customerUses,
+                    hasPreviousOrders: !previousOrders.empty || (!!legacyOrders && !legacyOrders.empty)
+                });
+                return rejected ? { rejected } : { customerUses };
+            },
+            write: (transaction, state, context) => {
+                const now = new Date().toISOString();
+                transaction.update(discountRef, {
+                    usageCount: this.admin.firestore.FieldValue.increment(1),
+                    lastUsedAt: now
+                });
+                transaction.set(redemptionRef, {
+                    count: state.customerUses + 1,
+                    lastUsedAt: now,
+                    lastOrderId: context.orderRef.id,
+                    lastOrderNumber: context.orderNumber
+                }, { merge: true });
+            }
+        };
+    }
+
+    // Look up an order by Firestore ID or by its order number
+    async getOrder(orderId, businessId) {
+        if (!this.isInitialized || !orderId) {
+            return null;
+        }
+
+        try {
+            const ordersRef = this.db.collection('vendors')
+                                    .doc(businessId)
+                                    .collection('orders');
+
+            const orderNumber = parseInt(orderId);
+            if (/^\d+$/.test(String(orderId)) && orderNumber > 0) {
+                const snapshot = await ordersRef.where('orderNumber', '==', orderNumber).limit(1).get();
+                if (!snapshot.empty) {
+                    const doc = snapshot.docs[0];
+                    return { id: doc.id, ...doc.data() };
+                }
+            }
+
+            const orderDoc = await ordersRef.doc(String(orderId)).get();
+            if (orderDoc.exists) {
+                return { id: orderDoc.id, ...orderDoc.data() };
+            }
+
+            console.log(`⚠️ Order ${orderId} not found for vendor ${businessId}`);
+            return null;
+        } catch (error) {
+            console.error(`❌ Failed to get order ${orderId} for vendor ${businessId}:`, error);
+            return null;
+        }
+    }
+
+    async updateOrder(orderId, orderData, businessId) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            const orderRef = this.db.collection('vendors')
+                                   .doc(businessId)
+                                   .collection('orders')
+                                   .doc(orderId);
+
+            await orderRef.update({
+                ...orderData,
+                updatedAt: this.admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            console.log(`✅ Order ${orderId} updated for vendor ${businessId}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to update order ${orderId} for vendor ${businessId}:`, error);
+            return false;
+        }
+    }
+
+    // Record a customer notification before sending it, so each status is announced once
+    async claimOrderNotification(businessId, orderId, status) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            const orderRef = this.db.collection('vendors')
+                                   .doc(businessId)
+                                   .collection('orders')
+                                   .doc(orderId);
+
+            return await this.db.runTransaction(async (transaction) => {
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists) {
+                    return false;
+                }
+
+                const notifications = orderDoc.data().customerNotifications || {};
+                if (notifications[status]) {
+                    return false;
+                }
+
+                transaction.update(orderRef, {
+                    [`customerNotifications.${status}`]: new Date().toISOString()
+                });
+                return true;
+            });
+        } catch (error) {
+            console.error(`❌ Failed to claim ${status} notification for order ${orderId}:`, error);
+            return false;
+        }
+    }
+
+    async releaseOrderNotification(businessId, orderId, status) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            await this.db.collection('vendors')
+                         .doc(businessId)
+                         .collection('orders')
+                         .doc(orderId)
+                         .update({
+                             [`customerNotifications.${status}`]: this.admin.firestore.FieldValue.delete()
+                         });
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to release ${status} notification for order ${orderId}:`, error);
+            return false;
+        }
+    }
+
+    // Live listener on a vendor's recent orders; returns the unsubscribe function
+    watchOrders(businessId, since, onChange, onError) {
+        if (!this.isInitialized) {
             return null;
         }
+
+        return this.db.collection('vendors')
+                      .doc(businessId)
+                      .collection('orders')
+                      .where('createdAt', '>=', since)
+                      .onSnapshot(onChange, onError);
     }
 
-    async updateCustomerStats(customerPhone, businessId, orderTotal) {
+    async getOrdersSince(businessId, since, limit = 20) {
+        if (!this.isInitialized) {
+            return [];
+        }
+
+        try {
+            const snapshot = await this.db.collection('vendors')
+                                         .doc(businessId)
+                                         .collection('orders')
+                                         .where('createdAt', '>=', since)
+                                         .orderBy('createdAt', 'desc')
+                                         .limit(limit)
+                                         .get();
+
+            const orders = [];
+            snapshot.forEach(doc => {
+                orders.push({
+                    id: doc.id,
+                    ...doc.data()
+                });
+            });
+
+            console.log(`📋 Found ${orders.length} orders since ${since.toISOString()} for vendor ${businessId}`);
+            return orders;
+        } catch (error) {
+            console.error(`❌ Failed to get orders for vendor ${businessId}:`, error);
+            return [];
+        }
+    }
+
+    async updateProductStock(businessId, productId, quantity) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            const productRef = this.db.collection('vendors')
+                                     .doc(businessId)
+                                     .collection('products')
+                                     .doc(productId);
+
+            // Both field names are read by the bot, so keep them in step
+            await productRef.update({
+                stockQuantity: quantity,
+                stock: quantity,
+                updatedAt: new Date().toISOString()
+            });
+
+            console.log(`✅ Stock for product ${productId} set to ${quantity} for vendor ${businessId}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to update stock for product ${productId}:`, error);
+            return false;
+        }
+    }
+
+    async updateCustomerStats(customerId, businessId, orderTotal, earned = {}) {
         if (!this.isInitialized) {
             return;
         }
@@ -430,20 +785,712 @@ class FirebaseService {
             const customerRef = this.db.collection('vendors')
                                       .doc(businessId)
                                       .collection('customers')
-                                      .doc(customerPhone);
-            
-            await customerRef.update({
+                                      .doc(customerId);
+            const points = earned.points !== undefined ? earned.points : Math.floor(orderTotal / 10);
+
+            // Stats and the ledger entry land together; unregistered customers have no document and fail both
+            const batch = this.db.batch();
+            batch.update(customerRef, {
                 totalOrders: this.admin.firestore.FieldValue.increment(1),
                 totalSpent: this.admin.firestore.FieldValue.increment(orderTotal),
                 lastOrderDate: this.admin.firestore.FieldValue.serverTimestamp(),
-                loyaltyPoints: this.admin.firestore.FieldValue.increment(Math.floor(orderTotal / 10))
+                loyaltyPoints: this.admin.firestore.FieldValue.increment(points)
+            });
+            if (points > 0) {
+                batch.set(customerRef.collection(COLLECTIONS.POINTS_LEDGER).doc(), {
+                    type: 'earn',
+                    points,
+                    orderId: earned.orderId || null,
+                    orderNumber: earned.orderNumber || null,
+                    createdAt: new Date().toISOString()
+                });
+            }
+            await batch.commit();
+        } catch (error) {
+            console.error(`❌ Failed to update customer stats for ${customerId}:`, error);
+        }
+    }
+
+    // Stock is tracked on products that carry stockQuantity/stock; products without either are unlimited
+    readStock(productDoc) {
+        if (!productDoc.exists) {
+            return null;
+        }
+        const data = productDoc.data();
+        const value = data.stockQuantity !== undefined && data.stockQuantity !== null ? data.stockQuantity : data.stock;
+        if (value === undefined || value === null) {
+            return data.isAvailable === false ? 0 : null;
+        }
+        // Per-kg products keep stock in kg, so levels can be fractional
+        return data.isAvailable === false ? 0 : parseFloat(value) || 0;
+    }
+
+    // saveOrder step that checks and decrements stock for every line (orderData.items) with the order,
+    // including the stock of any variant options chosen. Short lines reject the order with
+    // details.shortages = [{ key, name, requested, available, option }] - option is set for variant shortages.
+    createStockReservationStep(businessId) {
+        const productsRef = this.db.collection('vendors')
+                                   .doc(businessId)
+                                   .collection('products');
+
+        return {
+            name: 'stock',
+            read: async (transaction, context) => {
+                // A product (or option) on several lines is reserved once, for the combined quantity
+                const requested = new Map();
+                (context.orderData.items || []).forEach(item => {
+                    const key = item.key || item.id;
+                    if (!key) {
+                        return;
+                    }
+                    const quantity = parseFloat(item.quantity) || 0;
+                    const line = requested.get(key) || { key, name: item.name, quantity: 0, options: new Map() };
+                    line.quantity = weighedProducts.round(line.quantity + quantity);
+                    (item.options || []).forEach(option => {
+                        const id = `${option.group}:${option.name}`;
+                        const tally = line.options.get(id) || { group: option.group, name: option.name, quantity: 0 };
+                        tally.quantity = weighedProducts.round(tally.quantity + quantity);
+                        line.options.set(id, tally);
+                    });
+                    requested.set(key, line);
+                });
+
+                const lines = [...requested.values()];
+                const productDocs = await Promise.all(lines.map(line => transaction.get(productsRef.doc(line.key))));
+
+                const updates = [];
+                const shortages = [];
+                lines.forEach((line, i) => {
+                    if (!productDocs[i].exists) {
+                        return;
+                    }
+
+                    const available = this.readStock(productDocs[i]);
+                    if (available !== null && available < line.quantity) {
+                        shortages.push({ key: line.key, name: line.name, requested: line.quantity, available: Math.max(available, 0) });
+                        return;
+                    }
+
+                    const variants = productVariants.adjustOptionStock(productDocs[i].data().variantGroups, [...line.options.values()], -1);
+                    variants.shortages.forEach(shortage => {
+                        shortages.push({
+                            key: line.key,
+                            name: `${line.name} (${shortage.name})`,
+                            requested: shortage.quantity,
+                            available: shortage.available,
+                            option: { group: shortage.group, name: shortage.name }
+                        });
+                    });
+                    if (available === null && variants.changed.length === 0) {
+                        return;
+                    }
+
+                    updates.push({
+                        key: line.key,
+                        // 0 when only option stock is tracked for this product
+                        quantity: available === null ? 0 : line.quantity,
+                        remaining: available === null ? null : weighedProducts.round(available - line.quantity),
+                        options: variants.changed,
+                        variantGroups: variants.changed.length > 0 ? variants.variantGroups : null
+                    });
+                });
+
+                if (shortages.length > 0) {
+                    const names = shortages.map(shortage => shortage.name).join(', ');
+                    return { rejected: `Not enough stock for: ${names}`, details: { shortages } };
+                }
+                return { updates };
+            },
+            write: (transaction, state, context) => {
+                const now = new Date().toISOString();
+                state.updates.forEach(update => {
+                    const productUpdate = { updatedAt: now };
+                    if (update.remaining !== null) {
+                        productUpdate.stockQuantity = update.remaining;
+                        productUpdate.stock = update.remaining;
+                    }
+                    if (update.variantGroups) {
+                        productUpdate.variantGroups = update.variantGroups;
+                    }
+                    transaction.update(productsRef.doc(update.key), productUpdate);
+                });
+                // Remember what was taken so a cancelled or rejected order can put it back
+                transaction.update(context.orderRef, {
+                    stockReserved: state.updates.map(update => ({ key: update.key, quantity: update.quantity, options: update.options })),
+                    restocked: false
+                });
+            }
+        };
+    }
+
+    // Put an order's reserved stock back; safe to call repeatedly. Resolves to the restocked lines or null.
+    async restockOrder(businessId, orderId) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        const vendorRef = this.db.collection('vendors').doc(businessId);
+        const orderRef = vendorRef.collection('orders').doc(orderId);
+
+        try {
+            const restocked = await this.db.runTransaction(async (transaction) => {
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists) {
+                    return null;
+                }
+
+                const order = orderDoc.data();
+                if (order.restocked || !Array.isArray(order.stockReserved) || order.stockReserved.length === 0) {
+                    return null;
+                }
+
+                const productRefs = order.stockReserved.map(line => vendorRef.collection('products').doc(line.key));
+                const productDocs = await Promise.all(productRefs.map(ref => transaction.get(ref)));
+
+                const now = new Date().toISOString();
+                const lines = [];
+                order.stockReserved.forEach((line, i) => {
+                    if (!productDocs[i].exists) {
+                        return;
+                    }
+                    const data = productDocs[i].data();
+                    const productUpdate = { updatedAt: now };
+                    if (line.quantity > 0) {
+                        const current = parseFloat(data.stockQuantity !== undefined ? data.stockQuantity : data.stock) || 0;
+                        const restored = weighedProducts.round(current + line.quantity);
+                        productUpdate.stockQuantity = restored;
+                        productUpdate.stock = restored;
+                    }
+                    if (Array.isArray(line.options) && line.options.length > 0) {
+                        productUpdate.variantGroups = productVariants.adjustOptionStock(data.variantGroups, line.options, 1).variantGroups;
+                    }
+                    transaction.update(productRefs[i], productUpdate);
+                    lines.push(line);
+                });
+                transaction.update(orderRef, { restocked: true, restockedAt: now });
+                return lines;
             });
+
+            if (restocked) {
+                console.log(`📦 Restocked ${restocked.length} product(s) from order ${orderId} for vendor ${businessId}`);
+            }
+            return restocked;
         } catch (error) {
-            console.error(`❌ Failed to update customer stats for ${customerPhone}:`, error);
+            console.error(`❌ Failed to restock order ${orderId}:`, error);
+            return null;
         }
     }
 
-    async getOrderHistory(customerPhone, businessId, limit = 10) {
+    // Bump the customer's score by one; resolves to { previousScore, score }, or null for unregistered customers
+    async incrementCustomerScore(businessId, customerId) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        try {
+            const customerRef = this.db.collection('vendors')
+                                      .doc(businessId)
+                                      .collection('customers')
+                                      .doc(customerId);
+
+            return await this.db.runTransaction(async (transaction) => {
+                const customerDoc = await transaction.get(customerRef);
+                if (!customerDoc.exists) {
+                    return null;
+                }
+
+                const previousScore = parseInt(customerDoc.data().score) || 0;
+                transaction.update(customerRef, {
+                    score: previousScore + 1,
+                    updatedAt: new Date().toISOString()
+                });
+                return { previousScore, score: previousScore + 1 };
+            });
+        } catch (error) {
+            console.error(`❌ Failed to increment score for ${customerId}:`, error);
+            return null;
+        }
+    }
+
+    // Referral codes are stored on the customer document
+    async findCustomerByReferralCode(businessId, code) {
+        if (!this.isInitialized || !code) {
+            return null;
+        }
+
+        try {
+            const snapshot = await this.db.collection('vendors')
+                                          .doc(businessId)
+                                          .collection('customers')
+                                          .where('referralCode', '==', code.toUpperCase())
+                                          .limit(1)
+                                          .get();
+
+            return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+        } catch (error) {
+            console.error(`❌ Failed to find referral code ${code} for vendor ${businessId}:`, error);
+            return null;
+        }
+    }
+
+    async getReferral(businessId, refereeId) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        try {
+            const doc = await this.db.collection('vendors')
+                                     .doc(businessId)
+                                     .collection(COLLECTIONS.REFERRALS)
+                                     .doc(refereeId)
+                                     .get();
+
+            return doc.exists ? { id: doc.id, ...doc.data() } : null;
+        } catch (error) {
+            console.error(`❌ Failed to get referral for ${refereeId}:`, error);
+            return null;
+        }
+    }
+
+    // One referral per new customer, keyed by their WhatsApp number; false if one already exists
+    async createReferral(businessId, refereeId, referralData) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            await this.db.collection('vendors')
+                         .doc(businessId)
+                         .collection(COLLECTIONS.REFERRALS)
+                         .doc(refereeId)
+                         .create({
+                             ...referralData,
+                             refereeId,
+                             status: 'pending',
+                             createdAt: new Date().toISOString()
+                         });
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to create referral for ${refereeId}:`, error.message);
+            return false;
+        }
+    }
+
+    // Settle a pending referral and credit both customers' points in one transaction.
+    // Resolves to { status, referrerId, referrerPoints, refereePoints } or null when there is nothing to do.
+    async completeReferral(businessId, refereeId, { phone, trigger, referrerPoints, refereePoints }) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        const vendorRef = this.db.collection('vendors').doc(businessId);
+        const referralRef = vendorRef.collection(COLLECTIONS.REFERRALS).doc(refereeId);
+        const refereeRef = vendorRef.collection('customers').doc(refereeId);
+
+        try {
+            return await this.db.runTransaction(async (transaction) => {
+                const referralDoc = await transaction.get(referralRef);
+                if (!referralDoc.exists) {
+                    return null;
+                }
+
+                const referral = referralDoc.data();
+                const refereeDoc = await transaction.get(refereeRef);
+                const creditReferee = refereeDoc.exists && !referral.refereeRewarded;
+
+                // Registered after ordering: only the new customer's share is still owed
+                if (referral.status === 'completed') {
+                    if (!creditReferee) {
+                        return null;
+                    }
+                    this.creditReferralPoints(transaction, refereeRef, refereePoints, refereeId, 'referee');
+                    transaction.update(referralRef, { refereeRewarded: true, updatedAt: new Date().toISOString() });
+                    return { status: 'completed', referrerId: referral.referrerId, referrerPoints: 0, refereePoints };
+                }
+                if (referral.status !== 'pending') {
+                    return null;
+                }
+
+                const referrerRef = vendorRef.collection('customers').doc(referral.referrerId);
+                const referrerDoc = await transaction.get(referrerRef);
+
+                // The same phone behind another WhatsApp ID, or the referrer's own number, earns nothing
+                let rejection = null;
+                if (!referrerDoc.exists) {
+                    rejection = 'referrer_missing';
+                } else if (phone && [referral.referrerId, referrerDoc.data().phone].some(referrerPhone =>
+                    referrerPhone && phoneNumbersMatch(String(phone), String(referrerPhone)))) {
+                    rejection = 'self_referral';
+                } else if (phone) {
+                    const samePhone = await transaction.get(vendorRef.collection(COLLECTIONS.REFERRALS)
+                                                                     .where('refereePhone', '==', phone)
+                                                                     .limit(5));
+                    if (samePhone.docs.some(doc => doc.id !== refereeId)) {
+                        rejection = 'duplicate_phone';
+                    }
+                }
+
+                const now = new Date().toISOString();
+                if (rejection) {
+                    transaction.update(referralRef, { status: 'rejected', rejectionReason: rejection, refereePhone: phone || null, updatedAt: now });
+                    return { status: 'rejected', reason: rejection, referrerId: referral.referrerId };
+                }
+
+                this.creditReferralPoints(transaction, referrerRef, referrerPoints, refereeId, 'referrer');
+                if (creditReferee) {
+                    this.creditReferralPoints(transaction, refereeRef, refereePoints, refereeId, 'referee');
+                }
+                transaction.update(referralRef, {
+                    status: 'completed',
+                    completedBy: trigger,
+                    completedAt: now,
+                    refereePhone: phone || null,
+                    referrerRewarded: true,
+                    refereeRewarded: creditReferee,
+                    updatedAt: now
+                });
+
+                return {
+                    status: 'completed',
+                    referrerId: referral.referrerId,
+                    referrerPoints,
+                    refereePoints: creditReferee ? refereePoints : 0
+                };
+            });
+        } catch (error) {
+            console.error(`❌ Failed to complete referral for ${refereeId}:`, error);
+            return null;
+        }
+    }
+
+    creditReferralPoints(transaction, customerRef, points, refereeId, role) {
+        if (!(points > 0)) {
+            return;
+        }
+
+        transaction.update(customerRef, {
+            loyaltyPoints: this.admin.firestore.FieldValue.increment(points)
+        });
+        transaction.set(customerRef.collection(COLLECTIONS.POINTS_LEDGER).doc(), {
+            type: 'referral',
+            role,
+            points,
+            refereeId,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    // saveOrder step that spends the points priced into the order (orderData.pricing.points)
+    // and records them in the customer's points ledger, atomically with the order
+    createPointsRedemptionStep(businessId, customerId) {
+        const customerRef = this.db.collection('vendors')
+                                   .doc(businessId)
+                                   .collection('customers')
+                                   .doc(customerId);
+
+        return {
+            name: 'points',
+            read: async (transaction, context) => {
+                const redemption = context.orderData.pricing && context.orderData.pricing.points;
+                if (!redemption) {
+                    return { points: 0 };
+                }
+
+                const customerDoc = await transaction.get(customerRef);
+                const balance = customerDoc.exists ? parseInt(customerDoc.data().loyaltyPoints) || 0 : 0;
+                if (balance < redemption.points) {
+                    return { rejected: `You only have ${balance} points, ${redemption.points} are needed.` };
+                }
+                return { points: redemption.points, amount: redemption.amount, balance };
+            },
+            write: (transaction, state, context) => {
+                if (!state.points) {
+                    return;
+                }
+
+                transaction.update(customerRef, {
+                    loyaltyPoints: this.admin.firestore.FieldValue.increment(-state.points)
+                });
+                transaction.set(customerRef.collection(COLLECTIONS.POINTS_LEDGER).doc(), {
+                    type: 'redeem',
+                    points: -state.points,
+                    amount: state.amount,
+                    balanceAfter: state.balance - state.points,
+                    orderId: context.orderRef.id,
+                    orderNumber: context.orderNumber,
+                    createdAt: new Date().toISOString()
+                });
+            }
+        };
+    }
+
+    // Subscriptions - a customer's standing order, placed automatically on each delivery date
+    async createSubscription(businessId, subscriptionData) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        try {
+            const now = new Date().toISOString();
+            const subscription = { ...subscriptionData, status: 'active', createdAt: now, updatedAt: now };
+            const docRef = await this.db.collection('vendors')
+                                        .doc(businessId)
+                                        .collection(COLLECTIONS.SUBSCRIPTIONS)
+                                        .add(subscription);
+            return { id: docRef.id, ...subscription };
+        } catch (error) {
+            console.error(`❌ Failed to create subscription for vendor ${businessId}:`, error);
+            return null;
+        }
+    }
+
+    async getCustomerSubscriptions(businessId, customerJid) {
+        if (!this.isInitialized) {
+            return [];
+        }
+
+        try {
+            const snapshot = await this.db.collection('vendors')
+                                          .doc(businessId)
+                                          .collection(COLLECTIONS.SUBSCRIPTIONS)
+                                          .where('customerJid', '==', customerJid)
+                                          .get();
+
+            const subscriptions = [];
+            snapshot.forEach(doc => subscriptions.push({ id: doc.id, ...doc.data() }));
+            return subscriptions;
+        } catch (error) {
+            console.error(`❌ Failed to get subscriptions for ${customerJid}:`, error);
+            return [];
+        }
+    }
+
+    async getActiveSubscriptions(businessId) {
+        if (!this.isInitialized) {
+            return [];
+        }
+
+        try {
+            const snapshot = await this.db.collection('vendors')
+                                          .doc(businessId)
+                                          .collection(COLLECTIONS.SUBSCRIPTIONS)
+                                          .where('status', '==', 'active')
+                                          .get();
+
+            const subscriptions = [];
+            snapshot.forEach(doc => subscriptions.push({ id: doc.id, ...doc.data() }));
+            return subscriptions;
+        } catch (error) {
+            console.error(`❌ Failed to get active subscriptions for vendor ${businessId}:`, error);
+            return [];
+        }
+    }
+
+    async updateSubscription(businessId, subscriptionId, updates) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            await this.db.collection('vendors')
+                         .doc(businessId)
+                         .collection(COLLECTIONS.SUBSCRIPTIONS)
+                         .doc(subscriptionId)
+                         .update({ ...updates, updatedAt: new Date().toISOString() });
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to update subscription ${subscriptionId}:`, error);
+            return false;
+        }
+    }
+
+    // Mark a delivery date as handled for `field` (reminder or order) so it happens once, even with two
+    // bot instances running. Only an active subscription still due on that date can be claimed.
+    async claimSubscriptionRun(businessId, subscriptionId, field, date, updates = {}) {
+        if (!this.isInitialized) {
+            return false;
+        }
+
+        try {
+            const subscriptionRef = this.db.collection('vendors')
+                                           .doc(businessId)
+                                           .collection(COLLECTIONS.SUBSCRIPTIONS)
+                                           .doc(subscriptionId);
+
+            return await this.db.runTransaction(async (transaction) => {
+                const subscriptionDoc = await transaction.get(subscriptionRef);
+                if (!subscriptionDoc.exists) {
+                    return false;
+                }
+
+                const subscription = subscriptionDoc.data();
+                if (subscription.status !== 'active' || subscription.nextDeliveryDate !== date || subscription[field] === date) {
+                    return false;
+                }
+
+                transaction.update(subscriptionRef, {
+                    ...updates,
+                    [field]: date,
+                    updatedAt: new Date().toISOString()
+                });
+                return true;
+            });
+        } catch (error) {
+            console.error(`❌ Failed to claim ${field} for subscription ${subscriptionId}:`, error);
+            return false;
+        }
+    }
+
+    // Orders booked per slot id; slots nobody has booked are left out
+    async getSlotBookings(businessId, slotIds) {
+        if (!this.isInitialized || slotIds.length === 0) {
+            return {};
+        }
+
+        try {
+            const bookingsRef = this.db.collection('vendors')
+                                       .doc(businessId)
+                                       .collection(COLLECTIONS.SLOT_BOOKINGS);
+            const docs = await Promise.all(slotIds.map(id => bookingsRef.doc(id).get()));
+
+            const counts = {};
+            docs.forEach(doc => {
+                if (doc.exists) {
+                    counts[doc.id] = doc.data().count || 0;
+                }
+            });
+            return counts;
+        } catch (error) {
+            console.error(`❌ Failed to get slot bookings for vendor ${businessId}:`, error);
+            return {};
+        }
+    }
+
+    // saveOrder step that books the order into a delivery/pickup slot, rejecting it when the slot is full
+    createSlotBookingStep(businessId, slot) {
+        const bookingRef = this.db.collection('vendors')
+                                  .doc(businessId)
+                                  .collection(COLLECTIONS.SLOT_BOOKINGS)
+                                  .doc(slot.id);
+
+        return {
+            name: 'slot',
+            read: async (transaction) => {
+                const bookingDoc = await transaction.get(bookingRef);
+                const booking = bookingDoc.exists ? bookingDoc.data() : {};
+                const count = booking.count || 0;
+                if (slot.capacity !== null && slot.capacity !== undefined && count >= slot.capacity) {
+                    return { rejected: 'That time slot has just been fully booked.', details: { slotId: slot.id } };
+                }
+                return { count, orderIds: booking.orderIds || [] };
+            },
+            write: (transaction, state, context) => {
+                transaction.set(bookingRef, {
+                    date: slot.date,
+                    start: slot.start,
+                    end: slot.end,
+                    method: slot.method,
+                    capacity: slot.capacity !== undefined ? slot.capacity : null,
+                    count: state.count + 1,
+                    orderIds: [...state.orderIds, context.orderRef.id],
+                    updatedAt: new Date().toISOString()
+                }, { merge: true });
+                // Lets a cancelled or rejected order free its place
+                transaction.update(context.orderRef, { slotBooked: true, slotReleased: false });
+            }
+        };
+    }
+
+    // Free a cancelled or rejected order's slot; safe to call repeatedly. Resolves to the slot id or null.
+    async releaseSlot(businessId, orderId) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        const vendorRef = this.db.collection('vendors').doc(businessId);
+        const orderRef = vendorRef.collection('orders').doc(orderId);
+
+        try {
+            const released = await this.db.runTransaction(async (transaction) => {
+                const orderDoc = await transaction.get(orderRef);
+                if (!orderDoc.exists) {
+                    return null;
+                }
+
+                const order = orderDoc.data();
+                if (!order.slotBooked || order.slotReleased || !order.slot) {
+                    return null;
+                }
+
+                const bookingRef = vendorRef.collection(COLLECTIONS.SLOT_BOOKINGS).doc(order.slot.id);
+                const bookingDoc = await transaction.get(bookingRef);
+                const now = new Date().toISOString();
+                if (bookingDoc.exists) {
+                    const booking = bookingDoc.data();
+                    transaction.update(bookingRef, {
+                        count: Math.max((booking.count || 0) - 1, 0),
+                        orderIds: (booking.orderIds || []).filter(id => id !== orderId),
+                        updatedAt: now
+                    });
+                }
+                transaction.update(orderRef, { slotReleased: true, slotReleasedAt: now });
+                return order.slot.id;
+            });
+
+            if (released) {
+                console.log(`🕒 Released slot ${released} from order ${orderId} for vendor ${businessId}`);
+            }
+            return released;
+        } catch (error) {
+            console.error(`❌ Failed to release slot for order ${orderId}:`, error);
+            return null;
+        }
+    }
+
+    // saveOrder step that gives the order its bank transfer reference, built from the order number it is allocated
+    createPaymentReferenceStep(referencePrefix) {
+        return {
+            name: 'payment',
+            read: async () => ({}),
+            write: (transaction, state, context) => {
+                transaction.update(context.orderRef, {
+                    paymentMethod: 'eft',
+                    paymentReference: `${referencePrefix || ''}${context.orderNumber}`,
+                    paymentStatus: 'awaiting_proof'
+                });
+            }
+        };
+    }
+
+    // Proof of payment files live in vendors/{id}/paymentProofs, keeping the watched order documents small
+    async savePaymentProof(businessId, orderId, proof) {
+        if (!this.isInitialized) {
+            return null;
+        }
+
+        try {
+            const proofRef = await this.db.collection('vendors')
+                                          .doc(businessId)
+                                          .collection(COLLECTIONS.PAYMENT_PROOFS)
+                                          .add({
+                                              orderId,
+                                              customerJid: proof.customerJid || null,
+                                              mimetype: proof.mimetype,
+                                              fileName: proof.fileName || null,
+                                              size: proof.data.length,
+                                              data: proof.data,
+                                              createdAt: this.admin.firestore.FieldValue.serverTimestamp()
+                                          });
+
+            console.log(`💳 Payment proof ${proofRef.id} saved for order ${orderId} (vendor ${businessId})`);
+            return proofRef.id;
+        } catch (error) {
+            console.error(`❌ Failed to save payment proof for order ${orderId}:`, error);
+            return null;
+        }
+    }
+
+    async getOrderHistory(customerJid, businessId, limit = 10, offset = 0) {
         if (!this.isInitialized) {
             return [];
         }
@@ -451,25 +1498,46 @@ class FirebaseService {
         try {
             const ordersRef = this.db.collection('vendors')
                                     .doc(businessId)
-                                    .collection('orders')
-                                    .where('customerInfo.phone', '==', customerPhone)
-                                    .orderBy('createdAt', 'desc')
-                                    .limit(limit);
-            
-            const snapshot = await ordersRef.get();
-            const orders = [];
-            
-            snapshot.forEach(doc => {
-                orders.push({
-                    id: doc.id,
-                    ...doc.data()
+                                    .collection('orders');
+            const phones = legacyPhoneVariants(customerJid);
+
+            // Older orders have no customerJid and are found by the phone number on them instead; both lists
+            // are merged, so each is read up to the end of the requested page
+            const [snapshot, legacySnapshot] = await Promise.all([
+                ordersRef.where('customerJid', '==', customerJid)
+                         .orderBy('createdAt', 'desc')
+                         .limit(offset + limit)
+                         .get(),
+                phones.length === 0 ? null : ordersRef.where('customerInfo.phone', 'in', phones)
+                                                      .orderBy('createdAt', 'desc')
+                                                      .limit(offset + limit)
+                                                      .get()
+                                                      .catch(error => {
+                                                          console.error(`❌ Failed to get legacy orders for ${customerJid}:`, error.message);
+                                                          return null;
+                                                      })
+            ]);
+
+            const byId = new Map();
+            snapshot.forEach(doc => byId.set(doc.id, { id: doc.id, ...doc.data() }));
+            if (legacySnapshot) {
+                legacySnapshot.forEach(doc => {
+                    const data = doc.data();
+                    if (!data.customerJid) {
+                        byId.set(doc.id, { id: doc.id, ...data });
+                    }
                 });
-            });
+            }
+
+            const createdAt = order => (helpers.toDate(order.createdAt || order.timestamp) || new Date(0)).getTime();
+            const orders = [...byId.values()]
+                .sort((a, b) => createdAt(b) - createdAt(a))
+                .slice(offset, offset + limit);
 
-            console.log(`📋 Found ${orders.length} orders for customer ${customerPhone}`);
+            console.log(`📋 Found ${orders.length} orders for customer ${customerJid}`);
             return orders;
         } catch (error) {
-            console.error(`❌ Failed to get order history for ${customerPhone}:`, error);
+            console.error(`❌ Failed to get order history for ${customerJid}:`, error);
             return [];
         }
     }
@@ -0,0 +1,51 @@
+const businessManager = require('./businessManager');
+const helpers = require('../utils/helpers');
+
+class LoyaltyService {
+    // Balance for a customer, or null when they are not registered with the vendor
+    async getBalance(businessId, whatsappId) {
+        return await businessManager.getCustomerPoints(businessId, whatsappId);
+    }
+
+    pointsValue(points, loyaltyRules) {
+        return helpers.roundToTwo(points * (parseFloat(loyaltyRules.pointValue) || 0));
+    }
+
+    // Work out how many points can go towards an order; requested = null means "as many as allowed"
+    quote(balance, requested, loyaltyRules, totalBeforePoints) {
+        if (!loyaltyRules || !loyaltyRules.enabled) {
+            return { allowed: false, message: 'Loyalty points are not available at this store.' };
+        }
+
+        const minPoints = parseInt(loyaltyRules.minRedeemPoints) || 0;
+        if (balance === null) {
+            return { allowed: false, message: 'Register with *register* to start earning points.' };
+        }
+        if (balance < minPoints || balance <= 0) {
+            return { allowed: false, message: `You need at least ${minPoints} points to redeem. You have ${balance}.` };
+        }
+        if (requested !== null && requested > balance) {
+            return { allowed: false, message: `You only have ${balance} points.` };
+        }
+        if (requested !== null && requested < minPoints) {
+            return { allowed: false, message: `You can redeem a minimum of ${minPoints} points.` };
+        }
+
+        const pointValue = parseFloat(loyaltyRules.pointValue) || 0;
+        const maxRatio = parseFloat(loyaltyRules.maxRedeemRatio) || 1;
+        const maxPoints = pointValue > 0 ? Math.floor(totalBeforePoints * maxRatio / pointValue + 1e-9) : 0;
+        const points = Math.min(requested === null ? balance : requested, maxPoints);
+        if (points <= 0) {
+            return { allowed: false, message: 'Points cannot be used on this order.' };
+        }
+
+        return { allowed: true, points, amount: this.pointsValue(points, loyaltyRules), capped: points < (requested || balance) };
+    }
+
+    // saveOrder step that deducts the redeemed points in the order transaction
+    createRedemptionStep(businessId, whatsappId) {
+        return businessManager.createPointsRedemptionStep(businessId, whatsappId);
+    }
+}
+
+module.exports = new LoyaltyService();
@@ -0,0 +1,320 @@
+const { OWNER_NUMBER, ORDER_CONFIG } = require('../config/constants');
+const businessManager = require('./businessManager');
+const messageGenerators = require('../utils/messageGenerators');
+const helpers = require('../utils/helpers');
+
+class OrderAlertService {
+    constructor() {
+        this.whatsappService = null;
+        this.isInitialized = false;
+    }
+
+    initialize(whatsappService) {
+        this.whatsappService = whatsappService;
+        this.isInitialized = true;
+        console.log('✅ Order alerts initialized');
+    }
+
+    // Vendor WhatsApp numbers that receive order alerts and may accept/reject orders
+    async getVendorRecipients(businessId) {
+        const settings = await businessManager.getVendorSettings(businessId);
+        const recipients = (settings.notifications.vendorNumbers || [])
+            .map(number => helpers.toWhatsAppJid(number))
+            .filter(Boolean);
+
+        return recipients.length > 0 ? recipients : [OWNER_NUMBER];
+    }
+
+    async isVendorNumber(businessId, userId) {
+        const recipients = await this.getVendorRecipients(businessId);
+        return recipients.includes(userId);
+    }
+
+    // Send the structured new-order summary to every vendor recipient
+    async notifyNewOrder(businessId, order) {
+        if (!order) {
+            return false;
+        }
+
+        const settings = await businessManager.getVendorSettings(businessId);
+        if (!settings.notifications.orderAlerts) {
+            console.log(`🔕 Order alerts disabled for business ${businessId}`);
+            return false;
+        }
+
+        const delivered = await this.notifyVendors(businessId, messageGenerators.generateVendorOrderAlert(order));
+        console.log(`📣 Order #${order.orderNumber || order.id} alert sent to ${delivered} vendor numbers`);
+        return delivered > 0;
+    }
+
+    // Resolves to the number of vendor recipients the text reached. With a file, the text is its caption.
+    async notifyVendors(businessId, text, file = null) {
+        const recipients = await this.getVendorRecipients(businessId);
+
+        let delivered = 0;
+        for (const recipient of recipients) {
+            const sent = file ? await this.sendFile(recipient, file, text) : await this.send(recipient, text);
+            if (sent) {
+                delivered++;
+            }
+        }
+        return delivered;
+    }
+
+    async acceptOrder(businessId, orderRef) {
+        const order = await businessManager.getOrder(orderRef, businessId);
+        if (!order) {
+            return { success: false, message: `Order ${orderRef} not found` };
+        }
+        if (!ORDER_CONFIG.OPEN_STATUSES.includes(order.status)) {
+            return { success: false, message: `Order #${order.orderNumber || order.id} is already ${order.status}` };
+        }
+
+        const result = await businessManager.updateOrderStatus(order.id, 'confirmed', businessId, {
+            acceptedAt: new Date().toISOString()
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        await this.notifyCustomer(businessId, result.order, 'confirmed');
+        return result;
+    }
+
+    async rejectOrder(businessId, orderRef, reason) {
+        const order = await businessManager.getOrder(orderRef, businessId);
+        if (!order) {
+            return { success: false, message: `Order ${orderRef} not found` };
+        }
+        if (!ORDER_CONFIG.OPEN_STATUSES.includes(order.status)) {
+            return { success: false, message: `Order #${order.orderNumber || order.id} is already ${order.status}` };
+        }
+
+        const result = await businessManager.updateOrderStatus(order.id, 'rejected', businessId, {
+            rejectionReason: reason,
+            rejectedAt: new Date().toISOString()
+        });
+        if (!result.success) {
+            return result;
+        }
+
+        await this.notifyCustomer(businessId, result.order, 'rejected', { reason });
+        return result;
+    }
+
+    // Vendor records the weighed amount of a per-kg line; the last one sends the customer the final invoice
+    async recordWeight(businessId, orderRef, lineNumber, weight) {
+        const result = await businessManager.recordItemWeight(businessId, orderRef, lineNumber, weight);
+        if (!result.success || result.remaining.length > 0) {
+            return result;
+        }
+
+        if (!result.order.customerJid) {
+            console.log(`⚠️ Order ${result.order.id} has no customer WhatsApp ID, final invoice not sent`);
+            return { ...result, invoiceSent: false };
+        }
+
+        const invoiceSent = await this.send(result.order.customerJid, messageGenerators.generateFinalInvoice(result.order));
+        return { ...result, invoiceSent };
+    }
+
+    // Customer accepts or disputes a final invoice; accepting makes the weighed pricing the order's pricing
+    async respondToInvoice(businessId, order, accepted, reason = null) {
+        const now = new Date().toISOString();
+        const update = accepted ? {
+            invoiceStatus: 'accepted',
+            invoiceAcceptedAt: now,
+            estimatedTotal: order.total,
+            pricing: order.finalPricing,
+            total: order.finalPricing.total
+        } : {
+            invoiceStatus: 'disputed',
+            invoiceDisputedAt: now,
+            invoiceDisputeReason: reason
+        };
+
+        const updated = await businessManager.updateOrder(order.id, update, businessId);
+        if (!updated) {
+            return { success: false, message: 'Could not update the invoice. Please try again.' };
+        }
+
+        const result = { ...order, ...update };
+        await this.notifyVendors(businessId, messageGenerators.generateVendorInvoiceResponse(result));
+        return { success: true, order: result };
+    }
+
+    // Customer sent proof of payment for an EFT order. The file is kept against the order and forwarded to the
+    // vendor; a new order moves to payment_submitted, one the vendor already accepted keeps its status.
+    async submitPaymentProof(businessId, order, proof) {
+        const proofId = await businessManager.savePaymentProof(businessId, order.id, proof);
+        if (!proofId) {
+            return { success: false, message: 'We could not save your proof of payment. Please send it again.' };
+        }
+
+        const update = {
+            paymentStatus: 'submitted',
+            paymentProofId: proofId,
+            paymentSubmittedAt: new Date().toISOString()
+        };
+
+        let result;
+        if (ORDER_CONFIG.OPEN_STATUSES.includes(order.status || 'pending')) {
+            result = await businessManager.updateOrderStatus(order.id, 'payment_submitted', businessId, update);
+        } else {
+            const updated = await businessManager.updateOrder(order.id, update, businessId);
+            result = updated ? { success: true, order: { ...order, ...update } } : { success: false };
+        }
+        if (!result.success) {
+            return { success: false, message: 'We could not update your order. Please send your proof of payment again.' };
+        }
+
+        const delivered = await this.notifyVendors(businessId, messageGenerators.generateVendorPaymentProof(result.order), proof);
+        console.log(`💳 Order #${order.orderNumber || order.id} proof of payment sent to ${delivered} vendor numbers`);
+        return { ...result, vendorNotified: delivered > 0 };
+    }
+
+    // Vendor found the transfer. A new order is accepted at the same time, so the customer hears it once.
+    async markPaid(businessId, orderRef) {
+        const order = await businessManager.getOrder(orderRef, businessId);
+        const check = this.checkEftOrder(order, orderRef);
+        if (check) {
+            return check;
+        }
+
+        const now = new Date().toISOString();
+        const update = { paymentStatus: 'paid', paidAt: now };
+        if (ORDER_CONFIG.OPEN_STATUSES.includes(order.status)) {
+            const result = await businessManager.updateOrderStatus(order.id, 'confirmed', businessId, { ...update, acceptedAt: now });
+            if (result.success) {
+                await this.notifyCustomer(businessId, result.order, 'confirmed', { paymentReceived: true });
+            }
+            return { ...result, accepted: result.success };
+        }
+
+        const updated = await businessManager.updateOrder(order.id, update, businessId);
+        if (!updated) {
+            return { success: false, message: `Could not update order ${orderRef}` };
+        }
+
+        const paidOrder = { ...order, ...update };
+        if (order.customerJid) {
+            await this.send(order.customerJid, messageGenerators.generatePaymentReceived(paidOrder));
+        }
+        return { success: true, order: paidOrder, accepted: false };
+    }
+
+    // Vendor could not find the transfer; the customer is asked to check it and send a new proof
+    async markUnpaid(businessId, orderRef, reason = null) {
+        const order = await businessManager.getOrder(orderRef, businessId);
+        const check = this.checkEftOrder(order, orderRef);
+        if (check) {
+            return check;
+        }
+
+        const update = {
+            paymentStatus: 'unpaid',
+            paymentRejectedAt: new Date().toISOString(),
+            paymentRejectionReason: reason || null
+        };
+
+        // Back to a plain new order, which the vendor can still accept or reject
+        let result;
+        if (order.status === 'payment_submitted') {
+            result = await businessManager.updateOrderStatus(order.id, 'pending', businessId, update);
+        } else {
+            const updated = await businessManager.updateOrder(order.id, update, businessId);
+            result = updated ? { success: true, order: { ...order, ...update } } : { success: false, message: `Could not update order ${orderRef}` };
+        }
+        if (!result.success) {
+            return result;
+        }
+
+        const customerNotified = order.customerJid
+            ? await this.send(order.customerJid, messageGenerators.generatePaymentNotReceived(result.order, reason))
+            : false;
+        return { ...result, customerNotified };
+    }
+
+    // Result for paid/unpaid on an order that cannot take it, or null when it can
+    checkEftOrder(order, orderRef) {
+        if (!order) {
+            return { success: false, message: `Order ${orderRef} not found` };
+        }
+
+        const ref = order.orderNumber || order.id;
+        if (order.paymentMethod !== 'eft') {
+            return { success: false, message: `Order #${ref} is not paid by EFT` };
+        }
+        if (order.paymentStatus === 'paid') {
+            return { success: false, message: `Order #${ref} is already marked as paid` };
+        }
+        if (!ORDER_CONFIG.ACTIVE_STATUSES.includes(order.status || 'pending')) {
+            return { success: false, message: `Order #${ref} is already ${order.status}` };
+        }
+        return null;
+    }
+
+    // Send a status template to the customer, recorded on the order so it goes out only once
+    async notifyCustomer(businessId, order, status, orderInfo = {}) {
+        if (!order.customerJid) {
+            console.log(`⚠️ Order ${order.id} has no customer WhatsApp ID, skipping notification`);
+            return false;
+        }
+
+        const claimed = await businessManager.claimOrderNotification(businessId, order.id, status);
+        if (!claimed) {
+            console.log(`🔁 Customer already notified of ${status} for order ${order.id}`);
+            return false;
+        }
+
+        const text = messageGenerators.generateOrderStatusMessage(status, {
+            id: order.orderNumber || order.id,
+            pickup: !!order.fulfilment && order.fulfilment.method === 'pickup',
+            ...orderInfo,
+            // The booked slot or delivery day, unless the vendor set an estimate themselves
+            delivery: orderInfo.delivery || messageGenerators.describeOrderTiming(order)
+        });
+
+        const sent = await this.send(order.customerJid, text);
+        if (!sent) {
+            // Let the next status event retry
+            await businessManager.releaseOrderNotification(businessId, order.id, status);
+        }
+        return sent;
+    }
+
+    // Images are sent as photos and anything else as a document, with the text as caption
+    async sendFile(to, file, caption) {
+        if (!this.whatsappService || typeof this.whatsappService.sendMessage !== 'function') {
+            console.error('❌ Order alerts: WhatsApp service not available');
+            return false;
+        }
+
+        const content = file.mimetype.startsWith('image/')
+            ? { image: file.data, mimetype: file.mimetype, caption }
+            : { document: file.data, mimetype: file.mimetype, fileName: file.fileName || 'proof-of-payment.pdf', caption };
+
+        try {
+            return await this.whatsappService.sendMessage(to, content);
+        } catch (error) {
+            console.error(`❌ Order alerts: failed to send file to ${to}:`, error.message);
+            return false;
+        }
+    }
+
+    async send(to, text) {
+        if (!this.whatsappService || typeof this.whatsappService.sendTextMessage !== 'function') {
+            console.error('❌ Order alerts: WhatsApp service not available');
+            return false;
+        }
+
+        try {
+            return await this.whatsappService.sendTextMessage(to, text);
+        } catch (error) {
+            console.error(`❌ Order alerts: failed to message ${to}:`, error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new OrderAlertService();
@@ -0,0 +1,115 @@
+const businessManager = require('./businessManager');
+const orderAlerts = require('./orderAlerts');
+const messageGenerators = require('../utils/messageGenerators');
+const helpers = require('../utils/helpers');
+
+class ReferralService {
+    // Account name plus the last digits of the number, e.g. JOHND482
+    generateCode(accountName, whatsappId) {
+        const base = String(accountName || '').toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 8) || 'FRIEND';
+        const digits = String(whatsappId || '').split('@')[0].replace(/\D/g, '');
+        return base + digits.slice(-3);
+    }
+
+    // Registered customers get a code the first time they ask for one; null for everyone else
+    async getOrCreateCode(businessId, whatsappId) {
+        const customer = await businessManager.getCustomerRecord(businessId, whatsappId);
+        if (!customer) {
+            return null;
+        }
+        if (customer.referralCode) {
+            return customer.referralCode;
+        }
+
+        const code = this.generateCode(customer.accountName || customer.name, whatsappId);
+        const saved = await businessManager.setReferralCode(businessId, whatsappId, code);
+        return saved ? code : null;
+    }
+
+    // Opens a chat with the bot with "ref CODE" already typed
+    buildLink(botPhoneNumber, code) {
+        const digits = String(botPhoneNumber || '').split('@')[0].replace(/\D/g, '');
+        return `https://wa.me/${digits}?text=${encodeURIComponent(`ref ${code}`)}`;
+    }
+
+    // Phone numbers and JIDs reduced to the same digits so one number cannot pass as two
+    normalizePhone(phone) {
+        const jid = helpers.toWhatsAppJid(phone);
+        return jid ? jid.split('@')[0] : null;
+    }
+
+    // A new number arriving with "ref CODE"; the reward waits until they register or order
+    async applyCode(businessId, refereeJid, code, referralRules) {
+        if (!referralRules || !referralRules.enabled) {
+            return { success: false, message: 'Referrals are not available at this store.' };
+        }
+
+        const referrer = await businessManager.findCustomerByReferralCode(businessId, code);
+        if (!referrer) {
+            return { success: false, message: `Referral code ${code.toUpperCase()} was not found.` };
+        }
+
+        const refereeNumber = this.normalizePhone(refereeJid);
+        if (referrer.id === refereeJid.split('@')[0] ||
+            (refereeNumber && [referrer.id, referrer.phone].some(number => this.normalizePhone(number) === refereeNumber))) {
+            return { success: false, message: "You can't use your own referral code." };
+        }
+
+        const [existingCustomer, previousOrders, existingReferral] = await Promise.all([
+            businessManager.getCustomerRecord(businessId, refereeJid),
+            businessManager.getCustomerOrders(refereeJid, businessId, 1),
+            businessManager.getReferral(businessId, refereeJid)
+        ]);
+
+        if (existingReferral) {
+            return { success: false, message: 'You have already used a referral code.' };
+        }
+        if (existingCustomer || previousOrders.length > 0) {
+            return { success: false, message: 'Referral codes are for new customers only.' };
+        }
+
+        const created = await businessManager.createReferral(businessId, refereeJid, {
+            code: code.toUpperCase(),
+            referrerId: referrer.id,
+            referrerName: referrer.name || referrer.accountName || null
+        });
+        if (!created) {
+            return { success: false, message: 'You have already used a referral code.' };
+        }
+
+        return { success: true, referrerName: referrer.name || referrer.accountName || 'a friend' };
+    }
+
+    // Called after a referred customer registers or confirms an order; rewards both sides once
+    async complete(businessId, refereeJid, trigger, phone, referralRules) {
+        if (!referralRules || !referralRules.enabled) {
+            return null;
+        }
+
+        const result = await businessManager.completeReferral(businessId, refereeJid, {
+            phone: this.normalizePhone(phone),
+            trigger,
+            referrerPoints: parseInt(referralRules.referrerPoints) || 0,
+            refereePoints: parseInt(referralRules.refereePoints) || 0
+        });
+
+        if (!result) {
+            return null;
+        }
+
+        if (result.status === 'rejected') {
+            console.log(`🚫 Referral for ${refereeJid} rejected: ${result.reason}`);
+            return result;
+        }
+
+        if (result.referrerPoints > 0) {
+            const referrerJid = helpers.toWhatsAppJid(result.referrerId);
+            if (referrerJid) {
+                await orderAlerts.send(referrerJid, messageGenerators.generateReferralReward(result.referrerPoints));
+            }
+        }
+        return result;
+    }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,116 @@
+const { DEFAULT_BUSINESS, STATUS_NOTIFICATION_CONFIG, ORDER_CONFIG } = require('../config/constants');
+const businessManager = require('./businessManager');
+const orderAlerts = require('./orderAlerts');
+const helpers = require('../utils/helpers');
+
+class OrderStatusNotifier {
+    constructor() {
+        this.listeners = new Map(); // businessId -> unsubscribe function
+    }
+
+    // Start listening to a vendor's orders (safe to call on every message)
+    watchBusiness(businessId) {
+        if (!businessId || businessId === DEFAULT_BUSINESS || this.listeners.has(businessId)) {
+            return false;
+        }
+
+        const since = new Date(Date.now() - STATUS_NOTIFICATION_CONFIG.LOOKBACK_DAYS * 86400000);
+        let isInitialSnapshot = true;
+
+        const unsubscribe = businessManager.watchOrders(
+            businessId,
+            since,
+            (snapshot) => {
+                const initial = isInitialSnapshot;
+                isInitialSnapshot = false;
+                this.handleSnapshot(businessId, snapshot, initial).catch(error => {
+                    console.error(`❌ Status notifier failed for business ${businessId}:`, error.message);
+                });
+            },
+            (error) => {
+                console.error(`❌ Order listener error for business ${businessId}:`, error.message);
+                // Drop the listener so the next message for this business re-subscribes
+                this.listeners.delete(businessId);
+            }
+        );
+
+        if (!unsubscribe) {
+            return false;
+        }
+
+        this.listeners.set(businessId, unsubscribe);
+        console.log(`👂 Watching order status changes for business ${businessId}`);
+        return true;
+    }
+
+    async handleSnapshot(businessId, snapshot, isInitialSnapshot) {
+        for (const change of snapshot.docChanges()) {
+            if (change.type === 'removed') {
+                continue;
+            }
+
+            const order = { id: change.doc.id, ...change.doc.data() };
+
+            // Orders cancelled or rejected from the vendor frontend release their stock and slot here
+            if (ORDER_CONFIG.RESTOCK_STATUSES.includes(order.status) && order.stockReserved && !order.restocked) {
+                await businessManager.restockOrder(businessId, order.id);
+            }
+            if (ORDER_CONFIG.RESTOCK_STATUSES.includes(order.status) && order.slotBooked && !order.slotReleased) {
+                await businessManager.releaseSlot(businessId, order.id);
+            }
+
+            if (!this.shouldNotify(order, isInitialSnapshot)) {
+                continue;
+            }
+
+            await this.notify(businessId, order);
+        }
+    }
+
+    shouldNotify(order, isInitialSnapshot) {
+        if (!STATUS_NOTIFICATION_CONFIG.STATUSES.includes(order.status)) {
+            return false;
+        }
+
+        if (order.customerNotifications && order.customerNotifications[order.status]) {
+            return false;
+        }
+
+        // The first snapshot lists every recent order; only catch up on changes made while we were offline
+        if (isInitialSnapshot) {
+            const updatedAt = helpers.toDate(order.updatedAt);
+            if (!updatedAt) {
+                return false;
+            }
+            return Date.now() - updatedAt.getTime() <= STATUS_NOTIFICATION_CONFIG.CATCH_UP_HOURS * 3600000;
+        }
+
+        return true;
+    }
+
+    async notify(businessId, order) {
+        // Orders saved before customerJid was stored only carry the phone number
+        const customerJid = order.customerJid || helpers.toWhatsAppJid(order.customerInfo && order.customerInfo.phone);
+
+        console.log(`📬 Order ${order.orderNumber || order.id} is now ${order.status}, notifying customer`);
+        return await orderAlerts.notifyCustomer(businessId, { ...order, customerJid }, order.status, {
+            reason: order.rejectionReason || order.cancellationReason,
+            delivery: order.estimatedDelivery,
+            eta: order.eta
+        });
+    }
+
+    stopAll() {
+        for (const [businessId, unsubscribe] of this.listeners) {
+            try {
+                unsubscribe();
+            } catch (error) {
+                console.error(`❌ Failed to stop order listener for business ${businessId}:`, error.message);
+            }
+        }
+        this.listeners.clear();
+        console.log('✅ Order status listeners stopped');
+    }
+}
+
+module.exports = new OrderStatusNotifier();
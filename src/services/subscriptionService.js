@@ -0,0 +1,305 @@
+const { DEFAULT_BUSINESS, SUBSCRIPTION_CONFIG } = require('../config/constants');
+const businessManager = require('./businessManager');
+const orderAlerts = require('./orderAlerts');
+const messageGenerators = require('../utils/messageGenerators');
+const orderRebuilder = require('../utils/orderRebuilder');
+const eftPayments = require('../utils/eftPayments');
+const productVariants = require('../utils/productVariants');
+const helpers = require('../utils/helpers');
+
+// Delivery dates are "YYYY-MM-DD" strings in the business time zone; the first given weekday strictly after dateKey
+function nextWeekday(dateKey, day) {
+    return helpers.addDaysToDateKey(dateKey, ((day - helpers.getDateKeyWeekday(dateKey) + 7) % 7) || 7);
+}
+
+class SubscriptionService {
+    constructor() {
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    // Check every business the bot serves on a fixed interval; runs once straight away
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.runDue().catch(error => console.error('❌ Subscription run failed:', error.message));
+        }, SUBSCRIPTION_CONFIG.CHECK_INTERVAL);
+        this.runDue().catch(error => console.error('❌ Subscription run failed:', error.message));
+        console.log('🔁 Subscription scheduler started');
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('🔁 Subscription scheduler stopped');
+        }
+    }
+
+    // "weekly", "fortnightly"/"biweekly" or "monthly"
+    parseFrequency(word) {
+        const frequency = word === 'biweekly' ? 'fortnightly' : word;
+        return Object.prototype.hasOwnProperty.call(SUBSCRIPTION_CONFIG.FREQUENCIES, frequency) ? frequency : null;
+    }
+
+    getToday(now = new Date()) {
+        return helpers.getZonedDateKey(now, SUBSCRIPTION_CONFIG.TIME_ZONE);
+    }
+
+    getFirstDeliveryDate(deliveryDay, now = new Date()) {
+        return nextWeekday(this.getToday(now), deliveryDay);
+    }
+
+    // The delivery after dateKey; monthly runs a calendar month on, then forward to the delivery weekday
+    getFollowingDate(dateKey, frequency, deliveryDay) {
+        const days = SUBSCRIPTION_CONFIG.FREQUENCIES[frequency];
+        if (days) {
+            return helpers.addDaysToDateKey(dateKey, days);
+        }
+
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        const dayOfMonth = date.getUTCDate();
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(dayOfMonth, lastDay));
+        return nextWeekday(helpers.addDaysToDateKey(date.toISOString().slice(0, 10), -1), deliveryDay);
+    }
+
+    // Turn the session's cart into a subscription. Discounts and points apply to one order only and are not copied;
+    // the pickup or delivery choice is, and each order's own date is filled in when it is placed.
+    async create(session, frequency, deliveryDay, fulfilment = null) {
+        const subscriptionData = {
+            customerJid: session.userId,
+            customerInfo: { ...session.customerInfo },
+            location: session.location || null,
+            items: session.cart.map(line => ({
+                key: line.key,
+                name: line.name,
+                price: line.price,
+                unit: line.unit || null,
+                options: line.options || [],
+                variantKey: line.variantKey || null,
+                quantity: line.quantity
+            })),
+            fulfilment: fulfilment ? { ...fulfilment, date: null } : null,
+            frequency,
+            deliveryDay,
+            nextDeliveryDate: this.getFirstDeliveryDate(deliveryDay),
+            reminderSentFor: null,
+            lastOrderDate: null,
+            lastOrderId: null
+        };
+
+        return await businessManager.createSubscription(session.businessId, subscriptionData);
+    }
+
+    // Paused and active subscriptions, oldest first - the numbering customers use in "skip 2"
+    async getCustomerSubscriptions(businessId, customerJid) {
+        const subscriptions = await businessManager.getCustomerSubscriptions(businessId, customerJid);
+        return subscriptions
+            .filter(subscription => subscription.status !== 'cancelled')
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+    }
+
+    // Active deliveries due within the next `days` days, soonest first
+    async getUpcoming(businessId, days = SUBSCRIPTION_CONFIG.UPCOMING_DAYS) {
+        const today = this.getToday();
+        const until = helpers.addDaysToDateKey(today, days);
+        const subscriptions = await businessManager.getActiveSubscriptions(businessId);
+        return subscriptions
+            .filter(subscription => subscription.nextDeliveryDate >= today && subscription.nextDeliveryDate <= until)
+            .sort((a, b) => a.nextDeliveryDate.localeCompare(b.nextDeliveryDate));
+    }
+
+    async skip(businessId, subscription) {
+        const nextDeliveryDate = this.getFollowingDate(
+            subscription.nextDeliveryDate,
+            subscription.frequency,
+            subscription.deliveryDay
+        );
+        const updated = await businessManager.updateSubscription(businessId, subscription.id, { nextDeliveryDate });
+        return updated ? { ...subscription, nextDeliveryDate } : null;
+    }
+
+    async pause(businessId, subscription) {
+        const updated = await businessManager.updateSubscription(businessId, subscription.id, { status: 'paused' });
+        return updated ? { ...subscription, status: 'paused' } : null;
+    }
+
+    // Deliveries that fell due while paused are dropped, not caught up
+    async resume(businessId, subscription) {
+        const today = this.getToday();
+        const nextDeliveryDate = subscription.nextDeliveryDate > today
+            ? subscription.nextDeliveryDate
+            : this.getFirstDeliveryDate(subscription.deliveryDay);
+        const updated = await businessManager.updateSubscription(businessId, subscription.id, {
+            status: 'active',
+            nextDeliveryDate
+        });
+        return updated ? { ...subscription, status: 'active', nextDeliveryDate } : null;
+    }
+
+    async cancel(businessId, subscription) {
+        const updated = await businessManager.updateSubscription(businessId, subscription.id, {
+            status: 'cancelled',
+            cancelledAt: new Date().toISOString()
+        });
+        return updated ? { ...subscription, status: 'cancelled' } : null;
+    }
+
+    async runDue(now = new Date()) {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            for (const businessId of new Set(businessManager.botToBusinessMap.values())) {
+                if (businessId !== DEFAULT_BUSINESS) {
+                    await this.processBusiness(businessId, now);
+                }
+            }
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async processBusiness(businessId, now = new Date()) {
+        const today = this.getToday(now);
+        const tomorrow = helpers.addDaysToDateKey(today, 1);
+        const hour = helpers.getZonedHour(now, SUBSCRIPTION_CONFIG.TIME_ZONE);
+        const subscriptions = await businessManager.getActiveSubscriptions(businessId);
+
+        for (const subscription of subscriptions) {
+            try {
+                if (subscription.nextDeliveryDate < today) {
+                    // The bot was offline on the delivery day; move on rather than deliver late
+                    let nextDeliveryDate = subscription.nextDeliveryDate;
+                    while (nextDeliveryDate < today) {
+                        nextDeliveryDate = this.getFollowingDate(nextDeliveryDate, subscription.frequency, subscription.deliveryDay);
+                    }
+                    await businessManager.updateSubscription(businessId, subscription.id, { nextDeliveryDate });
+                    console.log(`⏭️ Subscription ${subscription.id} missed ${subscription.nextDeliveryDate}, next is ${nextDeliveryDate}`);
+                } else if (subscription.nextDeliveryDate === today && hour >= SUBSCRIPTION_CONFIG.ORDER_HOUR) {
+                    await this.placeOrder(businessId, subscription);
+                } else if (subscription.nextDeliveryDate === tomorrow && hour >= SUBSCRIPTION_CONFIG.REMINDER_HOUR) {
+                    await this.sendReminder(businessId, subscription);
+                }
+            } catch (error) {
+                console.error(`❌ Subscription ${subscription.id} for business ${businessId} failed:`, error.message);
+            }
+        }
+    }
+
+    async sendReminder(businessId, subscription) {
+        const claimed = await businessManager.claimSubscriptionRun(
+            businessId, subscription.id, 'reminderSentFor', subscription.nextDeliveryDate
+        );
+        if (!claimed) {
+            return false;
+        }
+
+        const sent = await orderAlerts.send(subscription.customerJid, messageGenerators.generateSubscriptionReminder(subscription));
+        console.log(`🔔 Subscription ${subscription.id} reminder for ${subscription.nextDeliveryDate}: ${sent ? 'sent' : 'failed'}`);
+        return sent;
+    }
+
+    // Create the delivery's order at today's prices, reserving stock like a customer-placed order
+    async placeOrder(businessId, subscription) {
+        const deliveryDate = subscription.nextDeliveryDate;
+        const nextDeliveryDate = this.getFollowingDate(deliveryDate, subscription.frequency, subscription.deliveryDay);
+        const claimed = await businessManager.claimSubscriptionRun(
+            businessId, subscription.id, 'lastOrderDate', deliveryDate, { nextDeliveryDate }
+        );
+        if (!claimed) {
+            return null;
+        }
+
+        const products = {};
+        (await businessManager.getBusinessProducts(businessId)).forEach(product => {
+            products[product.id] = product;
+        });
+        const rebuilt = orderRebuilder.rebuild(products, subscription.items);
+
+        let result = null;
+        if (rebuilt.items.length > 0) {
+            result = await this.saveOrder(businessId, subscription, rebuilt.items, deliveryDate);
+
+            // Sold out since the reminder: drop the short lines and try once more with the rest
+            if (!result.success && result.rejected && result.step === 'stock') {
+                const shortages = result.details.shortages;
+                rebuilt.items = rebuilt.items.filter(item => {
+                    const short = shortages.find(shortage => shortage.key === item.key &&
+                        (!shortage.option || productVariants.hasOption(item, shortage.option)));
+                    if (short) {
+                        rebuilt.unavailable.push(productVariants.displayName(item));
+                    }
+                    return !short;
+                });
+                result = rebuilt.items.length > 0
+                    ? await this.saveOrder(businessId, subscription, rebuilt.items, deliveryDate)
+                    : null;
+            }
+        }
+
+        const updated = { ...subscription, nextDeliveryDate };
+        if (!result || !result.success) {
+            console.log(`⚠️ Subscription ${subscription.id} order for ${deliveryDate} not placed: ${result ? result.message : 'nothing available'}`);
+            const reason = result && result.rejected && result.step !== 'stock' ? result.message : null;
+            await orderAlerts.send(subscription.customerJid, messageGenerators.generateSubscriptionOrderFailed(updated, rebuilt, reason));
+            return null;
+        }
+
+        await businessManager.updateSubscription(businessId, subscription.id, { lastOrderId: result.orderId });
+        await businessManager.incrementCustomerScore(businessId, subscription.customerJid);
+
+        const savedOrder = await businessManager.getOrder(result.orderId, businessId);
+        await orderAlerts.notifyNewOrder(businessId, savedOrder);
+        let text = messageGenerators.generateSubscriptionOrderPlaced(updated, savedOrder || { orderNumber: result.orderNumber }, rebuilt);
+        if (savedOrder && savedOrder.paymentReference) {
+            const settings = await businessManager.getVendorSettings(businessId);
+            text += '\n\n' + messageGenerators.generatePaymentInstructions(savedOrder, settings.payments);
+        }
+        await orderAlerts.send(subscription.customerJid, text);
+
+        console.log(`🔁 Subscription ${subscription.id} placed order #${result.orderNumber || result.orderId} for ${deliveryDate}`);
+        return result;
+    }
+
+    async saveOrder(businessId, subscription, items, deliveryDate) {
+        const order = {
+            items,
+            customerInfo: subscription.customerInfo,
+            customerJid: subscription.customerJid,
+            location: subscription.location || null,
+            fulfilment: subscription.fulfilment || null,
+            discount: null,
+            redeemPoints: 0,
+            subscriptionId: subscription.id,
+            deliveryDate,
+            source: 'subscription',
+            timestamp: Date.now()
+        };
+
+        // Each delivery is its own order, paid by EFT with its own reference when the vendor takes transfers
+        const settings = await businessManager.getVendorSettings(businessId);
+        const steps = [businessManager.createStockReservationStep(businessId)];
+        if (eftPayments.isEnabled(settings.payments)) {
+            steps.push(businessManager.createPaymentReferenceStep(eftPayments.getRules(settings.payments).referencePrefix));
+        }
+
+        return await businessManager.saveOrder(
+            businessId,
+            subscription.customerJid,
+            order,
+            `subscription_${subscription.id}_${deliveryDate}`,
+            steps
+        );
+    }
+}
+
+module.exports = new SubscriptionService();
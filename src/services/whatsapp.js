@@ -1,5 +1,5 @@
 // Import Baileys functions directly (not as default)
-const { makeWASocket, useMultiFileAuthState, DisconnectReason } = require('@whiskeysockets/baileys');
+const { makeWASocket, useMultiFileAuthState, DisconnectReason, downloadMediaMessage } = require('@whiskeysockets/baileys');
 const { Boom } = require('@hapi/boom');
 const { getSocketConfig, getHealthCheckQuery } = require('../config/socket');
 const { CONNECTION_CONFIG, CACHE_CONFIG } = require('../config/constants');
@@ -293,6 +293,24 @@ class WhatsAppService {
         return await this.sendMessage(to, { text });
     }
 
+    // Download the image or document of an incoming message as a Buffer; null when it cannot be fetched
+    async downloadMedia(message) {
+        try {
+            if (!this.socket) {
+                throw new Error('WhatsApp socket not initialized');
+            }
+
+            // Media older than a few days has to be re-uploaded by the sender's phone first
+            return await downloadMediaMessage(message, 'buffer', {}, {
+                logger: this.socket.logger,
+                reuploadRequest: this.socket.updateMediaMessage
+            });
+        } catch (error) {
+            console.error('❌ Failed to download media:', error.message);
+            return null;
+        }
+    }
+
     // Event handler registration
     onMessage(handler) {
         if (this.socket) {
@@ -0,0 +1,104 @@
+const { VENDOR_SETTINGS_DEFAULTS } = require('../config/constants');
+const helpers = require('./helpers');
+
+const TIER_EMOJIS = {
+    VIP: '💎',
+    Gold: '🥇',
+    Silver: '🥈',
+    Bronze: '🥉'
+};
+
+class CustomerTiers {
+    // Levels from lowest to highest threshold
+    getLevels(tierRules = VENDOR_SETTINGS_DEFAULTS.tiers) {
+        if (!tierRules || !tierRules.enabled || !Array.isArray(tierRules.levels)) {
+            return [];
+        }
+        return [...tierRules.levels].sort((a, b) => (a.minScore || 0) - (b.minScore || 0));
+    }
+
+    // Highest level the score qualifies for, or null when tiers are off
+    getTier(score, tierRules = VENDOR_SETTINGS_DEFAULTS.tiers) {
+        let tier = null;
+        this.getLevels(tierRules).forEach(level => {
+            if ((score || 0) >= (level.minScore || 0)) {
+                tier = level;
+            }
+        });
+        return tier;
+    }
+
+    getNextTier(score, tierRules = VENDOR_SETTINGS_DEFAULTS.tiers) {
+        return this.getLevels(tierRules).find(level => (level.minScore || 0) > (score || 0)) || null;
+    }
+
+    // The level reached when a score goes from previousScore to score, if any. Reaching a first level from
+    // below every threshold counts as an upgrade.
+    getUpgrade(previousScore, score, tierRules = VENDOR_SETTINGS_DEFAULTS.tiers) {
+        const before = this.getTier(previousScore, tierRules);
+        const after = this.getTier(score, tierRules);
+        if (!after || (before && before.name === after.name)) {
+            return null;
+        }
+        return !before || (after.minScore || 0) > (before.minScore || 0) ? after : null;
+    }
+
+    getEmoji(tier) {
+        return tier ? TIER_EMOJIS[tier.name] || '⭐' : '👤';
+    }
+
+    // Benefits the pricing engine applies
+    toPricingTier(tier) {
+        if (!tier || (!(tier.discountRate > 0) && !tier.freeDelivery)) {
+            return null;
+        }
+        return {
+            name: tier.name,
+            discountRate: parseFloat(tier.discountRate) || 0,
+            freeDelivery: !!tier.freeDelivery
+        };
+    }
+
+    // Specials open to everyone at specialStartsAt; higher tiers see them earlyAccessHours sooner
+    isVisible(product, tier, now = new Date()) {
+        if (!product || !product.isSpecial) {
+            return true;
+        }
+
+        const startsAt = helpers.toDate(product.specialStartsAt);
+        if (!startsAt) {
+            return true;
+        }
+
+        const earlyMs = (tier && tier.earlyAccessHours > 0 ? tier.earlyAccessHours : 0) * 3600000;
+        return now.getTime() >= startsAt.getTime() - earlyMs;
+    }
+
+    isEarlyAccess(product, now = new Date()) {
+        const startsAt = product && product.isSpecial ? helpers.toDate(product.specialStartsAt) : null;
+        return !!startsAt && now < startsAt;
+    }
+
+    // Catalog as this customer may see it right now
+    applyEarlyAccess(businessData, tier, now = new Date()) {
+        if (!businessData || !businessData.products) {
+            return businessData;
+        }
+
+        const hidden = Object.keys(businessData.products)
+            .filter(key => !this.isVisible(businessData.products[key], tier, now));
+        if (hidden.length === 0) {
+            return businessData;
+        }
+
+        const products = { ...businessData.products };
+        hidden.forEach(key => delete products[key]);
+        return {
+            ...businessData,
+            products,
+            productOrder: (businessData.productOrder || []).filter(key => !hidden.includes(key))
+        };
+    }
+}
+
+module.exports = new CustomerTiers();
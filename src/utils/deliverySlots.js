@@ -0,0 +1,83 @@
+const { VENDOR_SETTINGS_DEFAULTS } = require('../config/constants');
+const helpers = require('./helpers');
+
+// Vendors override these in the schedule section of their settings
+const DEFAULT_RULES = VENDOR_SETTINGS_DEFAULTS.schedule;
+
+// "8:00" / "08:00" -> "08:00"; null for anything else
+function toTime(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        return null;
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+class DeliverySlots {
+    getRules(rules) {
+        return { ...DEFAULT_RULES, ...(rules || {}) };
+    }
+
+    // Weekly slots for one method (slots without a method serve both), with day as a Date.getDay() number
+    getWeeklySlots(rules, method) {
+        const { slots } = this.getRules(rules);
+        return (Array.isArray(slots) ? slots : [])
+            .map(slot => ({
+                day: slot ? helpers.parseWeekday(slot.day) : null,
+                start: slot ? toTime(slot.start) : null,
+                end: slot ? toTime(slot.end) : null,
+                capacity: slot && slot.capacity !== undefined && slot.capacity !== null ? parseInt(slot.capacity) || 0 : null,
+                method: slot && ['pickup', 'delivery'].includes(slot.method) ? slot.method : null
+            }))
+            .filter(slot => slot.day !== null && slot.start && slot.end && (!slot.method || slot.method === method))
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    // Capacity is counted per slot id, so a pickup and a delivery slot at the same time fill up separately
+    getSlotId(date, slot) {
+        return `${date}_${slot.start.replace(':', '')}-${slot.end.replace(':', '')}${slot.method ? `_${slot.method}` : ''}`;
+    }
+
+    // Dated slots for the next daysAhead days that have not passed their cut-off, soonest first.
+    // days limits delivery to a zone's days (Date.getDay() numbers). Returns null when the vendor
+    // has no slots for this method, so checkout can skip the question.
+    getUpcoming(rules, method, days = null, now = new Date()) {
+        const scheduleRules = this.getRules(rules);
+        const weekly = this.getWeeklySlots(scheduleRules, method);
+        if (weekly.length === 0) {
+            return null;
+        }
+
+        const blackout = new Set(Array.isArray(scheduleRules.blackoutDates) ? scheduleRules.blackoutDates : []);
+        const cutoff = now.getTime() + (parseFloat(scheduleRules.cutoffHours) || 0) * 3600000;
+        const today = helpers.getZonedDateKey(now);
+        const upcoming = [];
+
+        for (let i = 0; i <= (parseInt(scheduleRules.daysAhead) || 0); i++) {
+            const date = helpers.addDaysToDateKey(today, i);
+            const weekday = helpers.getDateKeyWeekday(date);
+            if (blackout.has(date) || (days && !days.includes(weekday))) {
+                continue;
+            }
+
+            const dayStart = helpers.getZonedDayStart(new Date(`${date}T12:00:00Z`)).getTime();
+            weekly.filter(slot => slot.day === weekday).forEach(slot => {
+                const [hours, minutes] = slot.start.split(':').map(Number);
+                if (dayStart + (hours * 60 + minutes) * 60000 < cutoff) {
+                    return;
+                }
+                upcoming.push({
+                    id: this.getSlotId(date, slot),
+                    date,
+                    start: slot.start,
+                    end: slot.end,
+                    method: slot.method || method,
+                    capacity: slot.capacity
+                });
+            });
+        }
+        return upcoming;
+    }
+}
+
+module.exports = new DeliverySlots();
@@ -0,0 +1,45 @@
+const { VENDOR_SETTINGS_DEFAULTS, PAYMENT_CONFIG, ORDER_CONFIG } = require('../config/constants');
+
+// Vendors override these in the payments section of their settings
+const DEFAULT_RULES = VENDOR_SETTINGS_DEFAULTS.payments;
+
+class EftPayments {
+    getRules(rules) {
+        return { ...DEFAULT_RULES, ...(rules || {}) };
+    }
+
+    // Bank transfer is only offered once the vendor has entered an account to pay into
+    isEnabled(rules) {
+        const paymentRules = this.getRules(rules);
+        return !!paymentRules.eftEnabled && !!String(paymentRules.accountNumber || '').trim();
+    }
+
+    // Bank transfer orders that are still active and not yet marked paid can take a proof of payment
+    isAwaitingPayment(order) {
+        return !!order && order.paymentMethod === 'eft' && order.paymentStatus !== 'paid' &&
+            ORDER_CONFIG.ACTIVE_STATUSES.includes(order.status || 'pending');
+    }
+
+    // The order a proof is for: the one whose number or reference is in the caption, otherwise the newest
+    // one waiting. orders are newest first; null when none is waiting for payment.
+    findOrder(orders, caption = '') {
+        const waiting = (orders || []).filter(order => this.isAwaitingPayment(order));
+        const words = String(caption || '').toUpperCase().match(/[A-Z]*\d+/g) || [];
+        const named = waiting.find(order => words.some(word =>
+            word === String(order.orderNumber) || word === String(order.paymentReference || '').toUpperCase()
+        ));
+        return named || waiting[0] || null;
+    }
+
+    // "image/jpeg; charset=..." -> "image/jpeg"
+    getMimetype(media) {
+        return String((media && media.mimetype) || '').split(';')[0].trim().toLowerCase();
+    }
+
+    // Screenshots and PDFs only; anything else cannot be checked by the vendor on their phone
+    isProofFile(media) {
+        return PAYMENT_CONFIG.PROOF_MIMETYPES.includes(this.getMimetype(media));
+    }
+}
+
+module.exports = new EftPayments();
@@ -0,0 +1,295 @@
+const { VENDOR_SETTINGS_DEFAULTS, WEEKDAYS } = require('../config/constants');
+const helpers = require('./helpers');
+
+// Vendors override these in the fulfilment section of their settings
+const DEFAULT_RULES = VENDOR_SETTINGS_DEFAULTS.fulfilment;
+
+function toAmount(value) {
+    const amount = parseFloat(value);
+    return isNaN(amount) ? 0 : amount;
+}
+
+// [lat, lng], { lat, lng } or { latitude, longitude } -> { lat, lng }
+function toPoint(value) {
+    if (Array.isArray(value)) {
+        return { lat: toAmount(value[0]), lng: toAmount(value[1]) };
+    }
+    return value ? { lat: toAmount(value.lat ?? value.latitude), lng: toAmount(value.lng ?? value.longitude) } : null;
+}
+
+// Great-circle distance in km between two { lat, lng } points (haversine, mean Earth radius)
+function distanceKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting; good enough for suburb-sized zones that do not straddle the antimeridian
+function isInsidePolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.lng > point.lng) !== (b.lng > point.lng) &&
+            point.lat < (b.lat - a.lat) * (point.lng - a.lng) / (b.lng - a.lng) + a.lat) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+class Fulfilment {
+    getRules(rules) {
+        return { ...DEFAULT_RULES, ...(rules || {}) };
+    }
+
+    // Pickup needs at least one pickup point; delivery stays on if the vendor switched both off
+    getMethods(rules) {
+        const fulfilmentRules = this.getRules(rules);
+        const pickup = fulfilmentRules.pickupEnabled !== false && this.getPickupChoices(fulfilmentRules).length > 0;
+        const delivery = fulfilmentRules.deliveryEnabled !== false || !pickup;
+        return { pickup, delivery };
+    }
+
+    // One choice per pickup point and time, in the order the customer sees them
+    getPickupChoices(rules) {
+        const { pickupPoints } = this.getRules(rules);
+        const points = Array.isArray(pickupPoints) ? pickupPoints : [];
+        const choices = [];
+        points.filter(point => point && point.name).forEach(point => {
+            const times = Array.isArray(point.times) && point.times.length > 0 ? point.times : [null];
+            times.forEach(time => {
+                choices.push({ point: point.name, address: point.address || null, time: time || null });
+            });
+        });
+        return choices;
+    }
+
+    // Zones with their fee (null: the standard delivery fee), minimum and delivery days (Date.getDay() numbers, null for every day)
+    getZones(rules) {
+        const zones = this.getRules(rules).zones;
+        return (Array.isArray(zones) ? zones : [])
+            .filter(zone => zone && zone.name)
+            .map(zone => {
+                const days = (Array.isArray(zone.days) ? zone.days : [])
+                    .map(day => helpers.parseWeekday(day))
+                    .filter(day => day !== null);
+                return {
+                    name: zone.name,
+                    areas: (Array.isArray(zone.areas) ? zone.areas : []).filter(Boolean).map(area => String(area).trim()),
+                    polygon: Array.isArray(zone.polygon) && zone.polygon.length >= 3 ? zone.polygon.map(toPoint) : null,
+                    fee: zone.fee !== undefined && zone.fee !== null ? toAmount(zone.fee) : null,
+                    minOrder: toAmount(zone.minOrder),
+                    freeDeliveryThreshold: zone.freeDeliveryThreshold !== undefined ? toAmount(zone.freeDeliveryThreshold) : null,
+                    days: days.length > 0 ? days : null
+                };
+            });
+    }
+
+    // A pinned location is matched against zone polygons first; otherwise the address text against the
+    // suburb/town lists, preferring the longest match so "Klein Windhoek" beats "Windhoek"
+    findZone(zones, { address, location } = {}) {
+        const point = toPoint(location);
+        if (point) {
+            const zone = zones.find(z => z.polygon && isInsidePolygon(point, z.polygon));
+            if (zone) {
+                return zone;
+            }
+        }
+
+        const text = ` ${String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+        let best = null;
+        zones.forEach(zone => {
+            zone.areas.forEach(area => {
+                const words = area.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+                if (words && text.includes(` ${words} `) && (!best || words.length > best.length)) {
+                    best = { zone, length: words.length };
+                }
+            });
+        });
+        return best ? best.zone : null;
+    }
+
+    // The farm and fee bands sorted by distance (each with its lower bound), or null when the vendor charges by zone
+    getDistancePricing(rules) {
+        const fulfilmentRules = this.getRules(rules);
+        const origin = toPoint(fulfilmentRules.origin);
+        const bands = (Array.isArray(fulfilmentRules.distanceBands) ? fulfilmentRules.distanceBands : [])
+            .filter(band => band && band.fee !== undefined && band.fee !== null)
+            .map(band => ({
+                upTo: band.upTo !== undefined && band.upTo !== null ? toAmount(band.upTo) : null,
+                fee: toAmount(band.fee)
+            }))
+            .sort((a, b) => (a.upTo === null ? Infinity : a.upTo) - (b.upTo === null ? Infinity : b.upTo));
+        if (!origin || bands.length === 0) {
+            return null;
+        }
+
+        bands.forEach((band, i) => {
+            band.from = i > 0 ? bands[i - 1].upTo : 0;
+        });
+        const maxDistance = parseFloat(fulfilmentRules.maxDistance);
+        return { origin, bands, maxDistance: maxDistance > 0 ? maxDistance : null };
+    }
+
+    // "0-10 km" or "30+ km"
+    describeBand(band) {
+        return band.upTo === null ? `${band.from}+ km` : `${band.from}-${band.upTo} km`;
+    }
+
+    // Fee for a pinned location: { success, distance, band, fee } or a refusal like resolve's
+    measureDistance(distancePricing, location) {
+        const point = toPoint(location);
+        if (!point) {
+            return {
+                success: false,
+                reason: 'location_required',
+                message: 'Our delivery fee depends on how far you are from the farm - please share your location.'
+            };
+        }
+
+        const distance = Math.round(distanceKm(distancePricing.origin, point) * 10) / 10;
+        const band = distancePricing.bands.find(b => b.upTo === null || distance <= b.upTo);
+        const limit = distancePricing.maxDistance;
+        if (!band || (limit !== null && distance > limit)) {
+            const furthest = limit !== null ? limit : distancePricing.bands[distancePricing.bands.length - 1].upTo;
+            return {
+                success: false,
+                reason: 'outside_radius',
+                message: `Sorry, we only deliver within ${furthest} km of the farm - you are ${distance} km away.`
+            };
+        }
+        return { success: true, distance, band: this.describeBand(band), fee: band.fee };
+    }
+
+    // First delivery day after today (next-day delivery at the earliest)
+    getNextDeliveryDate(days, now = new Date()) {
+        let date = helpers.getZonedDateKey(now);
+        for (let i = 0; i < 7; i++) {
+            date = helpers.addDaysToDateKey(date, 1);
+            if (!days || days.includes(helpers.getDateKeyWeekday(date))) {
+                return date;
+            }
+        }
+        return date;
+    }
+
+    describeDays(days) {
+        return days ? days.map(day => helpers.capitalizeFirst(WEEKDAYS[day])).join(', ') : 'every day';
+    }
+
+    // Check a pickup or delivery choice against the vendor's current rules.
+    // context: { address, location, subtotal, date } - date fixes the delivery day (subscriptions).
+    // Resolves to { success, fulfilment } or { success: false, reason, message }.
+    resolve(rules, pricingRules, requested, context = {}) {
+        const methods = this.getMethods(rules);
+        const method = requested && requested.method === 'pickup' ? 'pickup' : 'delivery';
+
+        if (method === 'pickup') {
+            const choice = this.getPickupChoices(rules).find(c => c.point === requested.point && c.time === (requested.time || null));
+            if (!methods.pickup || !choice) {
+                return { success: false, reason: 'pickup_unavailable', message: 'That pickup point or time is no longer available.' };
+            }
+            return { success: true, fulfilment: { method: 'pickup', ...choice } };
+        }
+
+        if (!methods.delivery) {
+            return { success: false, reason: 'delivery_unavailable', message: "We don't deliver at the moment - orders are for pickup only." };
+        }
+
+        const distancePricing = this.getDistancePricing(rules);
+        const measured = distancePricing ? this.measureDistance(distancePricing, context.location) : null;
+        if (measured && !measured.success) {
+            return measured;
+        }
+        const distance = measured ? { distance: measured.distance, band: measured.band } : { distance: null, band: null };
+
+        const zones = this.getZones(rules);
+        if (zones.length === 0) {
+            return {
+                success: true,
+                fulfilment: {
+                    method: 'delivery',
+                    zone: null,
+                    fee: measured ? measured.fee : toAmount((pricingRules || {}).deliveryFee),
+                    ...distance,
+                    minOrder: 0,
+                    date: context.date || null
+                }
+            };
+        }
+
+        const zone = this.findZone(zones, context);
+        if (!zone) {
+            return { success: false, reason: 'outside_zones', message: "Sorry, we don't deliver to that address." };
+        }
+
+        const currency = (pricingRules && pricingRules.currency) || 'N$';
+        if (toAmount(context.subtotal) < zone.minOrder) {
+            return {
+                success: false,
+                reason: 'below_minimum',
+                message: `The minimum order for delivery to ${zone.name} is ${currency}${zone.minOrder.toFixed(2)}.`
+            };
+        }
+
+        if (context.date && zone.days && !zone.days.includes(helpers.getDateKeyWeekday(context.date))) {
+            return {
+                success: false,
+                reason: 'day_unavailable',
+                message: `We deliver to ${zone.name} on ${this.describeDays(zone.days)} only.`
+            };
+        }
+
+        return {
+            success: true,
+            fulfilment: {
+                method: 'delivery',
+                zone: zone.name,
+                fee: measured ? measured.fee : (zone.fee !== null ? zone.fee : toAmount((pricingRules || {}).deliveryFee)),
+                ...distance,
+                minOrder: zone.minOrder,
+                freeDeliveryThreshold: zone.freeDeliveryThreshold,
+                days: zone.days,
+                date: context.date || this.getNextDeliveryDate(zone.days)
+            }
+        };
+    }
+
+    // Delivery as the cart would be charged before pickup or delivery is chosen: vendors who charge by distance
+    // quote from the customer's pin. null when the standard fee is all there is to show.
+    estimateDelivery(rules, pricingRules, location) {
+        if (!location || !this.getDistancePricing(rules)) {
+            return null;
+        }
+        const choice = this.resolve(rules, pricingRules, { method: 'delivery' }, { location, subtotal: Infinity });
+        return choice.success ? choice.fulfilment : null;
+    }
+
+    // Pricing rules with the chosen fulfilment's delivery fee (pickup is free)
+    toPricingRules(pricingRules, fulfilment) {
+        if (!fulfilment) {
+            return pricingRules;
+        }
+        if (fulfilment.method === 'pickup') {
+            return { ...pricingRules, deliveryFee: 0, fulfilment: 'pickup' };
+        }
+
+        const rules = {
+            ...pricingRules,
+            deliveryFee: fulfilment.fee,
+            fulfilment: 'delivery',
+            deliveryZone: fulfilment.zone || null,
+            deliveryDistance: fulfilment.distance ?? null,
+            deliveryBand: fulfilment.band || null
+        };
+        if (fulfilment.freeDeliveryThreshold !== null && fulfilment.freeDeliveryThreshold !== undefined) {
+            rules.freeDeliveryThreshold = fulfilment.freeDeliveryThreshold;
+        }
+        return rules;
+    }
+}
+
+module.exports = new Fulfilment();
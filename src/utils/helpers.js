@@ -1,4 +1,4 @@
-const { RATE_LIMIT_CONFIG } = require('../config/constants');
+const { RATE_LIMIT_CONFIG, WEEKDAYS } = require('../config/constants');
 
 class Helpers {
     // Date and time utilities
@@ -14,6 +14,15 @@ class Helpers {
         });
     }
 
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString('en-NA', {
+            timeZone: 'Africa/Windhoek',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+    }
+
     getCurrentTimestamp() {
         return new Date().toISOString();
     }
@@ -52,6 +61,69 @@ class Helpers {
         return date >= weekAgo;
     }
 
+    // Convert Firestore Timestamps, ISO strings and epoch millis to a Date
+    toDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) return value;
+        if (typeof value.toDate === 'function') return value.toDate();
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Midnight of the given day in the business time zone, as a UTC Date
+    getZonedDayStart(date = new Date(), timeZone = 'Africa/Windhoek') {
+        const day = new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+        const utcMidnight = new Date(`${day}T00:00:00Z`);
+        const zoned = new Date(utcMidnight.toLocaleString('en-US', { timeZone }));
+        const utc = new Date(utcMidnight.toLocaleString('en-US', { timeZone: 'UTC' }));
+        return new Date(utcMidnight.getTime() - (zoned.getTime() - utc.getTime()));
+    }
+
+    // "2026-03-14" for the given moment in the business time zone
+    getZonedDateKey(date = new Date(), timeZone = 'Africa/Windhoek') {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    // Calendar arithmetic on "YYYY-MM-DD" keys, done on UTC midnights so DST never shifts the day
+    addDaysToDateKey(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    getDateKeyWeekday(dateKey) {
+        return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    }
+
+    // Hour of the day (0-23) in the business time zone
+    getZonedHour(date = new Date(), timeZone = 'Africa/Windhoek') {
+        return parseInt(new Intl.DateTimeFormat('en-GB', {
+            timeZone,
+            hour: '2-digit',
+            hourCycle: 'h23'
+        }).format(date), 10);
+    }
+
+    // "friday" or "fri" -> 5 (Date.getDay() numbering); null when it is not a day
+    parseWeekday(word) {
+        const name = typeof word === 'string' ? word.trim().toLowerCase() : '';
+        if (name.length < 3) {
+            return null;
+        }
+        const day = WEEKDAYS.findIndex(weekday => weekday.startsWith(name));
+        return day >= 0 ? day : null;
+    }
+
     // String utilities
     capitalizeFirst(str) {
         if (!str || typeof str !== 'string') return '';
@@ -83,6 +155,52 @@ class Helpers {
                   .substring(0, 100);
     }
 
+    // Text similarity (0-1) based on Levenshtein distance
+    calculateSimilarity(text1, text2) {
+        if (!text1 || !text2) return 0;
+        
+        const str1 = text1.toLowerCase().trim();
+        const str2 = text2.toLowerCase().trim();
+        
+        if (str1 === str2) return 1.0;
+        
+        const maxLength = Math.max(str1.length, str2.length);
+        if (maxLength === 0) return 1.0;
+        
+        const distance = this.levenshteinDistance(str1, str2);
+        return (maxLength - distance) / maxLength;
+    }
+
+    // Levenshtein distance algorithm
+    levenshteinDistance(str1, str2) {
+        const matrix = [];
+        
+        // Initialize matrix
+        for (let i = 0; i <= str2.length; i++) {
+            matrix[i] = [i];
+        }
+        for (let j = 0; j <= str1.length; j++) {
+            matrix[0][j] = j;
+        }
+        
+        // Fill matrix
+        for (let i = 1; i <= str2.length; i++) {
+            for (let j = 1; j <= str1.length; j++) {
+                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                    matrix[i][j] = matrix[i - 1][j - 1];
+                } else {
+                    matrix[i][j] = Math.min(
+                        matrix[i - 1][j - 1] + 1, // substitution
+                        matrix[i][j - 1] + 1,     // insertion
+                        matrix[i - 1][j] + 1      // deletion
+                    );
+                }
+            }
+        }
+        
+        return matrix[str2.length][str1.length];
+    }
+
     // Number utilities
     formatCurrency(amount, currency = 'N$') {
         if (typeof amount !== 'number') return `${currency}0.00`;
@@ -238,6 +356,17 @@ class Helpers {
         return phoneRegex.test(phone) && phone.replace(/\D/g, '').length >= 8;
     }
 
+    // Convert local (081...) or international (26481...) numbers to a WhatsApp JID
+    toWhatsAppJid(number) {
+        let digits = String(number || '').split('@')[0].replace(/\D/g, '');
+        if (digits.startsWith('0')) {
+            digits = '264' + digits.slice(1);
+        } else if (digits.length === 9) {
+            digits = '264' + digits;
+        }
+        return /^\d{10,15}$/.test(digits) ? `${digits}@s.whatsapp.net` : null;
+    }
+
     isValidUrl(url) {
         try {
             new URL(url);
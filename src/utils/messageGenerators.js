@@ -1,3 +1,12 @@
+const helpers = require('./helpers');
+const pricingEngine = require('./pricingEngine');
+const customerTiers = require('./customerTiers');
+const weighedProducts = require('./weighedProducts');
+const productVariants = require('./productVariants');
+const fulfilment = require('./fulfilment');
+const eftPayments = require('./eftPayments');
+const { WEEKDAYS } = require('../config/constants');
+
 class MessageGenerators {
     // Helper method to safely convert price to number
     safePrice(price) {
@@ -5,25 +14,82 @@ class MessageGenerators {
         return isNaN(numPrice) ? 0 : numPrice;
     }
 
-    // Calculate cart totals directly from cart data
-    calculateCartTotals(cart) {
-        const subtotal = cart.reduce((sum, item) => {
-            const price = this.safePrice(item.price);
-            const quantity = parseInt(item.quantity) || 1;
-            return sum + (price * quantity);
-        }, 0);
-
-        const tax = subtotal * 0.1; // 10% tax
-        const shipping = subtotal >= 50 ? 0 : 5; // Free shipping over N$50
-        const total = subtotal + tax + shipping;
-
-        return {
-            subtotal,
-            tax,
-            shipping,
-            total,
-            itemCount: cart.length
-        };
+    // Quantity on a saved order line - the weighed amount once the vendor has recorded it
+    itemQuantity(item) {
+        if (weighedProducts.isWeighed(item) && item.weighedQuantity !== undefined && item.weighedQuantity !== null) {
+            return this.safePrice(item.weighedQuantity);
+        }
+        return this.safePrice(item.quantity) || 1;
+    }
+
+    // Menu price: "N$80.00", "N$120.00/kg", or "from N$80.00" when options change the price
+    formatProductPrice(product) {
+        if (productVariants.hasVariants(product)) {
+            return `from ${weighedProducts.formatPrice(productVariants.getFromPrice(product), product)}`;
+        }
+        return weighedProducts.formatPrice(product.price, product);
+    }
+
+    // Itemized totals for a session, from the pricing engine
+    getSessionPricing(session) {
+        if (typeof session.getPricing === 'function') {
+            return session.getPricing();
+        }
+        return pricingEngine.calculate(session.cart || [], session.pricingRules, session.discount);
+    }
+
+    // Subtotal, discount, delivery, tax and total lines shared by the cart and checkout views
+    generatePricingLines(pricing) {
+        const currency = pricing.currency || 'N$';
+        const taxPercent = Math.round(pricing.taxRate * 1000) / 10;
+        let msg = `Subtotal: ${currency}${pricing.subtotal.toFixed(2)}\n`;
+
+        if (pricing.discount) {
+            msg += `Discount (${pricing.discount.code || 'Applied'}): -${currency}${pricing.discount.amount.toFixed(2)}\n`;
+        }
+
+        if (pricing.tier && pricing.tier.amount > 0) {
+            const tierPercent = Math.round(pricing.tier.discountRate * 1000) / 10;
+            msg += `${pricing.tier.name} discount (${tierPercent}%): -${currency}${pricing.tier.amount.toFixed(2)}\n`;
+        }
+
+        const deliveryDetails = [pricing.deliveryZone, pricing.deliveryDistance !== null && pricing.deliveryDistance !== undefined
+            ? `${pricing.deliveryDistance} km`
+            : null].filter(Boolean);
+        const deliveryLabel = deliveryDetails.length > 0 ? `Delivery (${deliveryDetails.join(', ')})` : 'Delivery';
+        if (pricing.fulfilment === 'pickup') {
+            msg += `Pickup: FREE\n`;
+        } else if (pricing.delivery > 0) {
+            msg += `${deliveryLabel}: ${currency}${pricing.delivery.toFixed(2)}`;
+            msg += pricing.freeDeliveryThreshold > 0
+                ? ` (FREE over ${currency}${pricing.freeDeliveryThreshold.toFixed(2)})\n`
+                : `\n`;
+            if (pricing.deliveryBand) {
+                msg += `   📏 ${pricing.deliveryBand} band from the farm\n`;
+            }
+        } else if (pricing.tier && pricing.tier.freeDelivery) {
+            msg += `${deliveryLabel}: FREE (${pricing.tier.name} benefit)\n`;
+        } else {
+            msg += `${deliveryLabel}: FREE\n`;
+        }
+
+        if (pricing.taxRate > 0) {
+            msg += pricing.taxInclusive
+                ? `VAT (${taxPercent}%, included): ${currency}${pricing.tax.toFixed(2)}\n`
+                : `VAT (${taxPercent}%): ${currency}${pricing.tax.toFixed(2)}\n`;
+        }
+
+        if (pricing.points) {
+            msg += `Points (${pricing.points.points}): -${currency}${pricing.points.amount.toFixed(2)}\n`;
+        }
+
+        if (pricing.estimated) {
+            msg += `*Estimated total: ${currency}${pricing.total.toFixed(2)}*\n`;
+            msg += `⚖️ _Items sold per kg are charged on their actual weight - you'll get a final invoice to accept._\n`;
+        } else {
+            msg += `*Total: ${currency}${pricing.total.toFixed(2)}*\n`;
+        }
+        return msg;
     }
 
     // Main menu message
@@ -68,22 +134,43 @@ class MessageGenerators {
         return msg;
     }
 
-    // Product menu for quick ordering
-    generateProductMenu(businessData) {
+    // Category menu for quick ordering
+    generateCategoryMenu(businessData, categories) {
+        const businessName = businessData.profile.businessName || 'Our Business';
+        let msg = `🛒 *${businessName.toUpperCase()} QUICK ORDER* 🛒\n\n`;
+        msg += "Choose a category:\n\n";
+        categories.forEach((category, i) => {
+            msg += `${i + 1}. *${category.name}* (${category.keys.length} item${category.keys.length === 1 ? '' : 's'})\n`;
+        });
+        msg += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
+        msg += `💡 Type the category number\n`;
+        msg += `• Type *cart* to view cart\n`;
+        msg += `• Type *menu* for the main menu`;
+        return msg;
+    }
+
+    // Product menu for quick ordering - one page of a category
+    generateProductMenu(businessData, view) {
         const businessName = businessData.profile.businessName || 'Our Business';
         let msg = `🛒 *${businessName.toUpperCase()} QUICK ORDER* 🛒\n\n`;
         
-        if (businessData.productOrder.length === 0) {
+        if (view.keys.length === 0) {
             msg += "⏳ Loading products...\n\nPlease try again in a moment or contact support if this persists.";
             return msg;
         }
         
-        msg += "Popular items - Order directly:\n\n";
-        businessData.productOrder.forEach((key, i) => {
+        if (view.category && view.hasCategories) {
+            msg += `📂 *${view.category}*`;
+        } else {
+            msg += "Popular items - Order directly:";
+        }
+        msg += view.totalPages > 1 ? ` (page ${view.page}/${view.totalPages})\n\n` : "\n\n";
+
+        view.keys.forEach((key, i) => {
             const p = businessData.products[key];
             if (p) {
-                const price = this.safePrice(p.price);
-                msg += `${i + 1}. ${p.image} *${p.name}* - N$${price.toFixed(2)}\n`;
+                msg += `${view.startNumber + i}. ${p.image || '🛍️'} *${p.name}* - ${this.formatProductPrice(p)}`;
+                msg += customerTiers.isEarlyAccess(p) ? ` ✨ _Early access_\n` : `\n`;
                 if (p.description) {
                     msg += `   ${p.description.substring(0, 60)}${p.description.length > 60 ? '...' : ''}\n`;
                 }
@@ -92,12 +179,110 @@ class MessageGenerators {
         msg += `\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
         msg += `💡 *How to order:*\n`;
         msg += `• Type the number to add to cart\n`;
+        msg += `• *3x4* or *4 of 3* - 4 of item 3\n`;
+        msg += `• *1x2, 5x1* - several items at once\n`;
+        if (view.page < view.totalPages) {
+            msg += `• Type *next* for more products\n`;
+        }
+        if (view.page > 1) {
+            msg += `• Type *prev* for the previous page\n`;
+        }
+        if (view.hasCategories) {
+            msg += `• Type *back* for categories\n`;
+        }
         msg += `• Type *catalog* for full product range\n`;
         msg += `• Type *cart* to view cart\n`;
         msg += `• Type *checkout* to finish\n`;
         return msg;
     }
 
+    // Product search results, numbered for selection
+    generateSearchResults(businessData, query, keys) {
+        if (!keys || keys.length === 0) {
+            return `🔍 No products found for *${query}*.\n\n` +
+                   "• Check the spelling or try a shorter word\n" +
+                   "• Type *quick* to browse by category";
+        }
+
+        let msg = `🔍 *RESULTS FOR "${query.toUpperCase()}"*\n\n`;
+        keys.forEach((key, i) => {
+            const p = businessData.products[key];
+            if (p) {
+                msg += `${i + 1}. ${p.image || '🛍️'} *${p.name}* - ${this.formatProductPrice(p)}\n`;
+            }
+        });
+        msg += `\n💡 Type the number to add to cart, e.g. *1* or *1x3*\n`;
+        msg += `• Type *back* for categories`;
+        return msg;
+    }
+
+    // Question for a free-text order line that matches several products
+    generateOrderClarification(businessData, question) {
+        let msg = `🤔 Which one did you mean for *${question.fragment.text}*?\n\n`;
+        question.keys.forEach((key, i) => {
+            const p = businessData.products[key];
+            if (p) {
+                msg += `${i + 1}. *${p.name}* - N$${this.safePrice(p.price).toFixed(2)}\n`;
+            }
+        });
+        msg += `\nReply with the number, or *skip* to leave it out.`;
+        return msg;
+    }
+
+    // Follow-up question for a product with variants - chosen holds the options picked so far
+    generateOptionQuestion(product, group, quantity, chosen = []) {
+        let msg = `⚙️ *${product.name}* × ${weighedProducts.formatQuantity(quantity, product)}`;
+        msg += chosen.length > 0 ? ` (${chosen.join(', ')})\n` : `\n`;
+        msg += `Choose a *${group.name.toLowerCase()}*:\n\n`;
+        group.options.forEach((option, i) => {
+            msg += `${i + 1}. ${option.name}`;
+            if (option.priceDelta !== 0) {
+                const sign = option.priceDelta > 0 ? '+' : '-';
+                msg += ` (${sign}${weighedProducts.formatPrice(Math.abs(option.priceDelta), product)})`;
+            }
+            msg += option.stock === 0 ? ` - _sold out_\n` : `\n`;
+        });
+        msg += `\nReply with the number, or *skip* to leave it out.`;
+        return msg;
+    }
+
+    // Proposed cart built from a free-text order, for the customer to confirm
+    generateOrderProposal(businessData, proposal) {
+        let msg = '';
+
+        if (proposal.items.length > 0) {
+            msg += "📝 *HERE'S WHAT I UNDERSTOOD*\n\n";
+            let total = 0;
+            proposal.items.forEach((item, i) => {
+                const p = businessData.products[item.key];
+                const lineTotal = this.safePrice(p.price) * item.quantity;
+                total += lineTotal;
+                msg += `${i + 1}. *${p.name}* × ${weighedProducts.formatQuantity(item.quantity, p)} = N$${lineTotal.toFixed(2)}\n`;
+                if (item.rounded) {
+                    msg += `   _"${item.source}" - ${weighedProducts.isWeighed(p) ? 'rounded' : 'rounded up'}_\n`;
+                } else {
+                    msg += `   _"${item.source}"_\n`;
+                }
+            });
+            msg += `\n💰 Items total: *N$${total.toFixed(2)}*\n`;
+        }
+
+        if (proposal.unmatched.length > 0) {
+            msg += `${msg ? '\n' : ''}⚠️ *Couldn't find:*\n`;
+            proposal.unmatched.forEach(text => {
+                msg += `• ${text}\n`;
+            });
+        }
+
+        if (proposal.items.length > 0) {
+            msg += "\n✅ Reply *yes* to add these to your cart\n";
+            msg += "❌ Reply *no* to cancel";
+        } else {
+            msg += "\n💡 Try *search <name>* or type *quick* to browse our products.";
+        }
+        return msg;
+    }
+
     // Cart summary
     generateCartSummary(session) {
         if (!session.cart || session.cart.length === 0) {
@@ -108,47 +293,35 @@ class MessageGenerators {
                    "• Type *menu* to return to main menu";
         }
         
+        const pricing = this.getSessionPricing(session);
+        const currency = pricing.currency || 'N$';
+
         let msg = "🛒 *YOUR CART*\n\n";
         session.cart.forEach((item, i) => {
-            const price = this.safePrice(item.price);
-            const quantity = parseInt(item.quantity) || 1;
-            const itemTotal = price * quantity;
-            
-            msg += `${i + 1}. ${item.image || '🛍️'} *${item.name}*\n`;
-            msg += `   Qty: ${quantity} × N${price.toFixed(2)} = N${itemTotal.toFixed(2)}\n\n`;
+            const line = pricing.lines[i];
+            msg += `${i + 1}. ${item.image || '🛍️'} *${line.name}*\n`;
+            if (item.options && item.options.length > 0) {
+                msg += `   ${item.options.map(option => `${option.group}: ${option.name}`).join(' • ')}\n`;
+            }
+            msg += `   Qty: ${weighedProducts.formatQuantity(line.quantity, line)} × ${weighedProducts.formatPrice(line.price, line, currency)} = ${currency}${line.lineTotal.toFixed(2)}${line.estimated ? ' (est.)' : ''}\n\n`;
         });
         
-        // Calculate totals directly from cart data
-        const totals = this.calculateCartTotals(session.cart);
-        const discount = session.discountAmount || 0;
-        const finalTotal = totals.total - discount;
-        
         msg += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
         msg += `📊 *SUMMARY*\n`;
-        msg += `Subtotal: N${totals.subtotal.toFixed(2)}\n`;
-        
-        if (totals.shipping > 0) {
-            msg += `Delivery: N${totals.shipping.toFixed(2)}\n`;
-        } else {
-            msg += `Delivery: FREE (orders over N$50)\n`;
-        }
-        
-        msg += `Tax (10%): N${totals.tax.toFixed(2)}\n`;
-        
-        if (discount > 0) {
-            msg += `Discount (${session.discountCode || 'Applied'}): -N${discount.toFixed(2)}\n`;
+        msg += this.generatePricingLines(pricing);
+        if (!pricing.fulfilment && fulfilment.getDistancePricing(session.fulfilmentRules)) {
+            msg += `📍 Delivery is charged by distance from the farm - share your location to see your fee\n`;
         }
-        
-        msg += `*Total: N${finalTotal.toFixed(2)}*\n`;
         msg += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n`;
         
         msg += `💡 *Next steps:*\n`;
         msg += `• Type *checkout* to complete order\n`;
         msg += `• Type *catalog* to browse more items\n`;
         msg += `• Type *quick* to add popular items\n`;
+        msg += `• *remove 2* / *qty 1 5* / *clear* / *undo* to edit\n`;
         
-        if (!discount) {
-            msg += `• Try: *discount WELCOME10* for 10% off`;
+        if (!pricing.discount) {
+            msg += `• Have a code? Type *discount CODE*`;
         }
         
         return msg;
@@ -168,18 +341,103 @@ class MessageGenerators {
         msg += "• *quick* - Quick order popular items\n";
         msg += "• *cart* - View your shopping cart\n";
         msg += "• *checkout* - Complete your order\n";
+        msg += "• *pickup* / *delivery* - Collect your order or have it delivered\n";
+        msg += "• *address <address>* - Change your delivery address\n";
+        msg += "• *slot* - Choose another delivery or pickup time\n";
         msg += "• *menu* - Back to main menu\n";
-        msg += "• *register* - Create account\n\n";
+        msg += "• *register* - Create account\n";
+        msg += "• *search <name>* - Find a product\n";
+        msg += "• Or just tell us: _2 kg mince and a dozen eggs_\n\n";
+        msg += "✏️ *EDIT YOUR CART:*\n";
+        msg += "• *remove 2* - Remove item 2\n";
+        msg += "• *qty 1 5* - Set item 1 to 5 (or *qty 2 1.5* kg)\n";
+        msg += "• *clear* - Empty your cart\n";
+        msg += "• *undo* - Undo the last change\n\n";
+        msg += "📦 *MY ORDERS:*\n";
+        msg += "• *orders* - Your past orders\n";
+        msg += "• *order <number>* - Order details\n";
+        msg += "• *track* - Where is my order?\n";
+        msg += "• *reorder* / *reorder <number>* - Order the same again\n";
+        msg += "• *accept invoice* - Accept the final invoice for weighed items\n";
+        msg += "• *pay* - Bank details for paying by EFT; then send your proof of payment as a screenshot or PDF\n\n";
+        msg += "🔁 *SUBSCRIPTIONS:*\n";
+        msg += "• *subscribe weekly friday* - Get your cart delivered regularly (or *fortnightly* / *monthly*)\n";
+        msg += "• *subscriptions* - See and manage your subscriptions\n";
+        msg += "• *skip* / *pause* / *cancel subscription* - Change or stop deliveries (*resume subscription* restarts)\n\n";
+        msg += "⭐ *LOYALTY POINTS:*\n";
+        msg += "• *points* - Your points balance\n";
+        msg += "• *redeem* / *redeem 100* - Pay with points at checkout\n";
+        msg += "• *redeem off* - Stop using points\n";
+        msg += "• *refer* - Invite friends and earn points\n\n";
         msg += "🎯 *ORDERING TIPS:*\n";
         msg += "• Register for faster checkout\n";
         msg += "• Use discount codes for savings\n";
-        msg += "• Free delivery on orders over N$50\n";
-        msg += "• Try codes: WELCOME10, SAVE20, FIRSTORDER\n\n";
+        msg += "• Free delivery on larger orders - your cart shows how close you are\n";
+        msg += "• Have a code? Type *discount CODE* before checkout\n\n";
         msg += "📞 *NEED MORE HELP?*\n";
         msg += "Just type what you're looking for and we'll help you find it!";
         return msg;
     }
 
+    // Loyalty points balance
+    generatePointsBalance(balance, loyaltyRules, currency = 'N$') {
+        if (balance === null) {
+            return "⭐ *LOYALTY POINTS*\n\n" +
+                   "Register with *register* to start earning points on every order.";
+        }
+
+        let msg = "⭐ *LOYALTY POINTS*\n\n";
+        msg += `Balance: *${balance}* points\n`;
+        msg += `Worth: ${currency}${(balance * loyaltyRules.pointValue).toFixed(2)}\n\n`;
+        msg += `You earn ${Math.round(loyaltyRules.pointsPerCurrency * 100) / 100} points per ${currency}1 spent.\n`;
+
+        if (balance >= loyaltyRules.minRedeemPoints) {
+            msg += "Type *redeem* at checkout to pay with points.";
+        } else {
+            msg += `Collect ${loyaltyRules.minRedeemPoints} points to start redeeming.`;
+        }
+        return msg;
+    }
+
+    // What changed in the cart when stock ran out at confirmation
+    generateStockAdjustment(shortages) {
+        let msg = "⚠️ *STOCK UPDATE*\n\nSome items sold out before your order went through:\n\n";
+        shortages.forEach(shortage => {
+            if (shortage.available > 0) {
+                msg += `• *${shortage.name}*: only ${shortage.available} left (you asked for ${shortage.requested}) - quantity changed to ${shortage.available}\n`;
+            } else {
+                msg += `• *${shortage.name}*: sold out - removed from your cart\n`;
+            }
+        });
+        msg += "\nYour order has *not* been placed yet.";
+        return msg;
+    }
+
+    // Referral invite the customer forwards to friends
+    generateReferralInvite(code, link, referralRules) {
+        let msg = "🤝 *INVITE FRIENDS*\n\n";
+        msg += `Your referral code: *${code}*\n\n`;
+        if (referralRules.referrerPoints > 0 || referralRules.refereePoints > 0) {
+            msg += `When a friend registers or orders with your code, you get *${referralRules.referrerPoints}* points `;
+            msg += `and they get *${referralRules.refereePoints}* points.\n\n`;
+        }
+        msg += "Share this link - it opens a chat with your code ready to send:\n";
+        msg += link;
+        return msg;
+    }
+
+    generateReferralWelcome(referrerName, referralRules) {
+        let msg = `🤝 *${referrerName}* invited you!\n\n`;
+        if (referralRules.refereePoints > 0) {
+            msg += `Register or place your first order to get *${referralRules.refereePoints}* bonus points.\n\n`;
+        }
+        return msg;
+    }
+
+    generateReferralReward(points) {
+        return `🎉 *REFERRAL BONUS!*\n\nA friend you invited just joined. *${points}* points have been added to your balance.\n\nType *points* to see your balance.`;
+    }
+
     // Registration message
     generateRegistrationMessage() {
         let msg = "📝 *CREATE YOUR ACCOUNT* 📝\n\n";
@@ -196,6 +454,154 @@ class MessageGenerators {
         return msg;
     }
 
+    // "🚜 Pickup: Farm gate, Saturday 08:00-12:00" or "🚚 Delivery: Windhoek East - Tuesday 20 Oct"
+    describeFulfilment(choice) {
+        if (!choice) {
+            return null;
+        }
+        if (choice.method === 'pickup') {
+            return `🚜 Pickup: ${choice.point}${choice.time ? `, ${choice.time}` : ''}`;
+        }
+
+        let text = '🚚 Delivery';
+        if (choice.zone) {
+            text += `: ${choice.zone}`;
+        }
+        if (choice.distance !== null && choice.distance !== undefined) {
+            text += ` (${choice.distance} km)`;
+        }
+        if (choice.date) {
+            text += ` - ${this.formatDeliveryDate(choice.date)}`;
+        }
+        return text;
+    }
+
+    // "Tuesday 20 Oct, 09:00-12:00"
+    describeSlot(slot) {
+        return `${this.formatDeliveryDate(slot.date)}, ${slot.start}-${slot.end}`;
+    }
+
+    // When the customer can expect the order: the booked slot, pickup point or delivery day (null if unknown)
+    describeOrderTiming(order) {
+        const choice = order.fulfilment;
+        if (order.slot) {
+            return choice && choice.method === 'pickup'
+                ? `${this.describeSlot(order.slot)} at ${choice.point}`
+                : this.describeSlot(order.slot);
+        }
+        if (choice && choice.method === 'pickup') {
+            return `${choice.point}${choice.time ? `, ${choice.time}` : ''}`;
+        }
+        return choice && choice.date ? this.formatDeliveryDate(choice.date) : null;
+    }
+
+    // Pickup or delivery, asked once the customer's details are known
+    generateFulfilmentQuestion(session, pickupChoices) {
+        const points = [...new Set(pickupChoices.map(choice => choice.point))];
+        let msg = "📦 *PICKUP OR DELIVERY?*\n\n";
+        msg += `*1.* 🚜 Pickup from ${points.length === 1 ? points[0] : `${points.length} pickup points`} - free\n`;
+        msg += `*2.* 🚚 Delivery to ${session.customerInfo?.address || 'your address'}\n\n`;
+        msg += "Reply *1* or *2*";
+        return msg;
+    }
+
+    generatePickupOptions(choices) {
+        let msg = "🚜 *CHOOSE A PICKUP POINT*\n\n";
+        choices.forEach((choice, i) => {
+            msg += `*${i + 1}.* ${choice.point}${choice.time ? ` - ${choice.time}` : ''}\n`;
+            if (choice.address) {
+                msg += `   📍 ${choice.address}\n`;
+            }
+        });
+        msg += "\nReply with the number of your choice";
+        return msg;
+    }
+
+    // Upcoming slots with room left; the places left are shown once a slot is nearly full
+    generateSlotOptions(method, slots) {
+        let msg = method === 'pickup' ? "🕒 *CHOOSE A PICKUP TIME*\n\n" : "🕒 *CHOOSE A DELIVERY TIME*\n\n";
+        slots.forEach((slot, i) => {
+            const few = slot.remaining !== null && slot.remaining !== undefined && slot.remaining <= 3;
+            msg += `*${i + 1}.* ${this.describeSlot(slot)}${few ? ` (${slot.remaining} left)` : ''}\n`;
+        });
+        msg += "\nReply with the number of your choice";
+        return msg;
+    }
+
+    generateNoSlots(method, canSwitch) {
+        const other = method === 'pickup' ? 'delivery' : 'pickup';
+        let msg = `😕 All ${method} times for the next few days are fully booked.\n\n`;
+        msg += "Please try again tomorrow";
+        msg += canSwitch ? `, or type *${other}* to ${other === 'pickup' ? 'collect your order' : 'have it delivered'} instead.` : '.';
+        return msg;
+    }
+
+    // Google Maps link for a shared location pin
+    getMapLink(location) {
+        return `https://maps.google.com/?q=${location.latitude},${location.longitude}`;
+    }
+
+    // Stands in for the address line when the customer only shared a pin
+    describeLocation(location) {
+        return location.address || location.name ||
+               `Pinned location (${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)})`;
+    }
+
+    generateLocationReceived(location) {
+        let msg = "📍 *LOCATION RECEIVED*\n\n";
+        if (location.name || location.address) {
+            msg += `${[location.name, location.address].filter(Boolean).join(', ')}\n`;
+        }
+        msg += "Saved as your delivery location.";
+        if (location.live) {
+            msg += "\n\n🛰️ We saved where you are now; the pin won't move with you.";
+        }
+        return msg;
+    }
+
+    // Distance fee bands, shown when a pin is missing or too far away
+    generateDistanceRefused(message, distancePricing, canPickup, pricingRules) {
+        const currency = (pricingRules && pricingRules.currency) || 'N$';
+        let msg = `📍 ${message}\n\n🚚 *DELIVERY FEES*\n`;
+        distancePricing.bands.forEach(band => {
+            msg += `• ${fulfilment.describeBand(band)}: ${currency}${band.fee.toFixed(2)}\n`;
+        });
+        if (distancePricing.maxDistance !== null) {
+            msg += `• Beyond ${distancePricing.maxDistance} km: no delivery\n`;
+        }
+
+        msg += "\n👉 Share your location (📎 → Location) to work out your fee";
+        if (canPickup) {
+            msg += "\n🚜 Or type *pickup* to collect your order instead";
+        }
+        return msg;
+    }
+
+    // Address outside every delivery zone
+    generateDeliveryRefused(address, zones, canPickup, pricingRules = {}) {
+        const currency = pricingRules.currency || 'N$';
+        let msg = `❌ Sorry, we don't deliver to *${address || 'your address'}*.\n\n`;
+        msg += "🚚 *WE DELIVER TO:*\n";
+        zones.forEach(zone => {
+            msg += `• *${zone.name}*${zone.areas.length > 0 ? `: ${zone.areas.join(', ')}` : ''}\n`;
+            const details = [];
+            details.push(`fee ${currency}${(zone.fee !== null ? zone.fee : this.safePrice(pricingRules.deliveryFee)).toFixed(2)}`);
+            if (zone.minOrder > 0) {
+                details.push(`min. order ${currency}${zone.minOrder.toFixed(2)}`);
+            }
+            if (zone.days) {
+                details.push(zone.days.map(day => helpers.capitalizeFirst(WEEKDAYS[day])).join(', '));
+            }
+            msg += `   ${details.join(' • ')}\n`;
+        });
+
+        msg += "\n📍 Type *address <your full address>* or share your location if we got it wrong";
+        if (canPickup) {
+            msg += "\n🚜 Or type *pickup* to collect your order instead";
+        }
+        return msg;
+    }
+
     // Checkout message
     generateCheckoutMessage(session) {
         // If cart is empty, redirect to shopping
@@ -210,30 +616,59 @@ class MessageGenerators {
         let msg = "📝 *CHECKOUT - CUSTOMER DETAILS* 📝\n\n";
         
         // Show cart summary first
-        const totals = this.calculateCartTotals(session.cart);
-        msg += `🛒 *Your Order: ${session.cart.length} items - N${totals.total.toFixed(2)}*\n\n`;
+        const pricing = this.getSessionPricing(session);
+        msg += `🛒 *Your Order: ${pricing.itemCount} items - ${pricing.currency}${pricing.total.toFixed(2)}*\n\n`;
         
         msg += "Please provide your information for delivery:\n\n";
         msg += "Format: *name|email|phone|address*\n\n";
         msg += "📋 *Example:*\n";
         msg += "*John Doe|john@gmail.com|+264812345678|123 Main St, Windhoek*\n\n";
+        msg += "📍 *No street address?* Share your location (📎 → Location) and then send *name|email|phone*\n\n";
         msg += "💡 *Tip:* Register an account for faster future checkouts!";
         return msg;
     }
 
-    // Checkout confirmation
-    generateCheckoutConfirmation(session) {
+    // Checkout confirmation - pointsBalance is null for customers who are not registered
+    generateCheckoutConfirmation(session, pointsBalance = null) {
         let msg = "📋 *CHECKOUT CONFIRMATION* 📋\n\n";
         msg += this.generateOrderSummary(session);
         msg += "\n👤 *CUSTOMER DETAILS*\n";
         msg += `Name: ${session.customerInfo?.name || 'Not provided'}\n`;
         msg += `Email: ${session.customerInfo?.email || 'Not provided'}\n`;
         msg += `Phone: ${session.customerInfo?.phone || 'Not provided'}\n`;
-        msg += `Address: ${session.customerInfo?.address || 'Not provided'}\n\n`;
+        msg += `Address: ${session.customerInfo?.address || 'Not provided'}\n`;
+        msg += session.location ? "📍 Location pin shared\n\n" : "\n";
+
+        if (session.fulfilment) {
+            msg += `${this.describeFulfilment(session.fulfilment)}\n`;
+            if (session.fulfilment.method === 'pickup' && session.fulfilment.address) {
+                msg += `📍 ${session.fulfilment.address}\n`;
+            }
+            if (session.slot) {
+                msg += `🕒 Time: *${this.describeSlot(session.slot)}*\n`;
+                msg += "Type *slot* to choose another time\n";
+            }
+            msg += session.fulfilment.method === 'pickup'
+                ? "Type *delivery* to have it delivered instead\n\n"
+                : "Type *pickup* to collect it instead\n\n";
+        }
         
         if (session.customerAccount) {
             msg += `Account: ${session.customerAccount}\n\n`;
         }
+
+        const loyalty = session.loyaltyRules;
+        if (pointsBalance !== null && loyalty && loyalty.enabled) {
+            const currency = this.getSessionPricing(session).currency || 'N$';
+            msg += `⭐ You have *${pointsBalance}* points (worth ${currency}${(pointsBalance * loyalty.pointValue).toFixed(2)})\n`;
+            if (session.redeemPoints > 0) {
+                msg += "Type *redeem off* to keep your points for later\n\n";
+            } else if (pointsBalance >= loyalty.minRedeemPoints) {
+                msg += "Type *redeem* to pay part of this order with points\n\n";
+            } else {
+                msg += `Collect ${loyalty.minRedeemPoints} points to start redeeming\n\n`;
+            }
+        }
         
         msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
         msg += "✅ Type *confirm* to place your order\n";
@@ -243,23 +678,45 @@ class MessageGenerators {
     }
 
     // Order confirmation
-    generateOrderConfirmation(session) {
-        const totals = this.calculateCartTotals(session.cart || []);
+    generateOrderConfirmation(session, orderNumber = null, pointsEarned = 0) {
+        const pricing = this.getSessionPricing(session);
         const customerName = session.customerInfo?.name || 'Customer';
         
         let msg = "🎉 *ORDER CONFIRMED!* 🎉\n\n";
         msg += `Thank you, *${customerName}*!\n\n`;
-        msg += `📋 Order Total: *N${totals.total.toFixed(2)}*\n`;
-        msg += `📦 Items: ${totals.itemCount} products\n\n`;
+        if (orderNumber) {
+            msg += `🧾 Order number: *#${orderNumber}*\n`;
+        }
+        msg += `📋 ${pricing.estimated ? 'Estimated Total' : 'Order Total'}: *${pricing.currency}${pricing.total.toFixed(2)}*\n`;
+        msg += `📦 Items: ${pricing.itemCount} products\n\n`;
+        if (pricing.estimated) {
+            msg += "⚖️ We'll weigh your per-kg items and send a final invoice for you to accept.\n\n";
+        }
         
         if (session.customerAccount) {
             msg += `👤 Account: ${session.customerAccount}\n`;
-            msg += `🏆 You earned 1 loyalty point!\n\n`;
+            msg += pointsEarned > 0 ? `⭐ You earned ${pointsEarned} loyalty points!\n\n` : `\n`;
         }
         
+        const choice = session.fulfilment;
         msg += "📱 *WHAT'S NEXT?*\n";
-        msg += "• We'll contact you soon to confirm delivery\n";
-        msg += "• Expect delivery within 24-48 hours\n";
+        if (choice && choice.method === 'pickup') {
+            msg += session.slot
+                ? `• Collect your order at *${choice.point}* on *${this.describeSlot(session.slot)}*\n`
+                : `• Collect your order at *${choice.point}*${choice.time ? `, ${choice.time}` : ''}\n`;
+            if (choice.address) {
+                msg += `• 📍 ${choice.address}\n`;
+            }
+        } else if (session.slot) {
+            msg += "• We'll contact you soon to confirm delivery\n";
+            msg += `• Delivery on *${this.describeSlot(session.slot)}*\n`;
+        } else if (choice && choice.date) {
+            msg += "• We'll contact you soon to confirm delivery\n";
+            msg += `• Delivery on *${this.formatDeliveryDate(choice.date)}*\n`;
+        } else {
+            msg += "• We'll contact you soon to confirm delivery\n";
+            msg += "• Expect delivery within 24-48 hours\n";
+        }
         msg += "• You'll receive updates via WhatsApp\n\n";
         msg += "🛍️ *WANT TO ORDER AGAIN?*\n";
         msg += "Type *start* to place another order\n\n";
@@ -267,15 +724,74 @@ class MessageGenerators {
         return msg;
     }
 
+    // Bank details and reference for paying an order by EFT
+    generatePaymentInstructions(order, rules) {
+        const bank = eftPayments.getRules(rules);
+        let msg = "💳 *PAY BY EFT*\n";
+        if (bank.bankName) {
+            msg += `Bank: ${bank.bankName}\n`;
+        }
+        if (bank.accountName) {
+            msg += `Account name: ${bank.accountName}\n`;
+        }
+        msg += `Account number: *${bank.accountNumber}*\n`;
+        if (bank.branchCode) {
+            msg += `Branch code: ${bank.branchCode}\n`;
+        }
+        msg += `Reference: *${order.paymentReference}*\n`;
+        msg += order.pricing && order.pricing.estimated && order.invoiceStatus !== 'accepted'
+            ? "Amount: the final invoice total, once your per-kg items are weighed\n"
+            : `Amount: *N$${this.safePrice(order.total).toFixed(2)}*\n`;
+        msg += "\n📎 Please use the reference exactly, then send a screenshot or PDF of your proof of payment here.";
+        return msg;
+    }
+
+    generatePaymentProofReceived(order) {
+        const ref = order.orderNumber || order.id;
+        return `📎 Thank you! We've sent your proof of payment for order *#${ref}* to the shop.\n\n` +
+               "We'll let you know as soon as they've confirmed the money is in.";
+    }
+
+    generatePaymentReceived(order) {
+        const ref = order.orderNumber || order.id;
+        return `✅ *PAYMENT RECEIVED*\n\nThank you! Your payment for order *#${ref}* has been received.`;
+    }
+
+    // The vendor could not find the transfer; the customer can pay or send the proof again
+    generatePaymentNotReceived(order, reason = null) {
+        const ref = order.orderNumber || order.id;
+        let msg = `⚠️ *PAYMENT NOT RECEIVED*\n\nThe shop couldn't find your payment for order *#${ref}*.\n`;
+        if (reason) {
+            msg += `Reason: ${reason}\n`;
+        }
+        msg += `\nPlease check that the transfer used the reference *${order.paymentReference}*, then send a new proof of payment here.\n`;
+        msg += "Type *pay* to see the bank details again.";
+        return msg;
+    }
+
+    // One line on where an EFT order's payment stands; null for orders not paid by EFT
+    describePayment(order) {
+        if (!order || order.paymentMethod !== 'eft') {
+            return null;
+        }
+
+        const states = {
+            awaiting_proof: 'waiting for payment',
+            submitted: 'proof of payment sent',
+            paid: 'paid',
+            unpaid: 'payment not received'
+        };
+        return `💳 EFT ${order.paymentReference}: ${states[order.paymentStatus] || order.paymentStatus}`;
+    }
+
     // Detailed order summary for checkout
     generateOrderSummary(session) {
         if (!session.cart || session.cart.length === 0) {
             return "🛒 Cart is empty! Type 'catalog' to browse items.";
         }
         
-        const totals = this.calculateCartTotals(session.cart);
-        const discount = session.discountAmount || 0;
-        const finalTotal = totals.total - discount;
+        const pricing = this.getSessionPricing(session);
+        const currency = pricing.currency || 'N$';
         
         let msg = "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
         msg += "📋 *ORDER SUMMARY*\n";
@@ -283,38 +799,19 @@ class MessageGenerators {
         
         // Items section
         msg += "🛍️ *ITEMS*\n";
-        session.cart.forEach((item, i) => {
-            const price = this.safePrice(item.price);
-            const quantity = parseInt(item.quantity) || 1;
-            const itemTotal = price * quantity;
-            
-            msg += `${i + 1}. ${item.name || 'Product'}\n`;
-            msg += `   Qty: ${quantity} × N${price.toFixed(2)} = N${itemTotal.toFixed(2)}\n\n`;
+        pricing.lines.forEach((line, i) => {
+            msg += `${i + 1}. ${productVariants.displayName({ name: line.name, options: session.cart[i] && session.cart[i].options })}\n`;
+            msg += `   Qty: ${weighedProducts.formatQuantity(line.quantity, line)} × ${weighedProducts.formatPrice(line.price, line, currency)} = ${currency}${line.lineTotal.toFixed(2)}${line.estimated ? ' (est.)' : ''}\n\n`;
         });
         
         msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
         
         // Pricing breakdown
         msg += `📊 *PRICING BREAKDOWN*\n\n`;
-        msg += `Subtotal • ${session.cart.length} items${' '.repeat(20 - session.cart.length.toString().length)}N${totals.subtotal.toFixed(2)}\n`;
+        msg += this.generatePricingLines(pricing);
         
-        if (totals.shipping > 0) {
-            msg += `Delivery${' '.repeat(31)}N${totals.shipping.toFixed(2)}\n`;
-        } else {
-            msg += `Delivery${' '.repeat(20)}~~N${(totals.subtotal * 0.1).toFixed(2)}~~ FREE\n`;
-        }
-        
-        msg += `Tax (10%)${' '.repeat(29)}N${totals.tax.toFixed(2)}\n`;
-        
-        if (discount > 0) {
-            msg += `Discount (${session.discountCode || 'Applied'})${' '.repeat(20)}-N${discount.toFixed(2)}\n`;
-        }
-        
-        msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
-        msg += `💰 *TOTAL*${' '.repeat(28)}N${finalTotal.toFixed(2)}\n`;
-        
-        if (discount > 0) {
-            msg += `💎 *TOTAL SAVINGS*${' '.repeat(19)}N${discount.toFixed(2)}\n`;
+        if (pricing.discount) {
+            msg += `💎 *TOTAL SAVINGS:* ${currency}${pricing.discount.amount.toFixed(2)}\n`;
         }
         
         msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
@@ -340,34 +837,61 @@ class MessageGenerators {
     }
 
     // Welcome back message for returning customers
-    generateWelcomeBackMessage(customer, businessProfile) {
+    generateWelcomeBackMessage(customer, businessProfile, tier = null) {
         const businessName = businessProfile.businessName || 'Our Business';
         let msg = `🎉 *WELCOME BACK TO ${businessName.toUpperCase()}!* 🎉\n\n`;
         
-        // Customer level badge
-        if (customer.score >= 50) {
-            msg += `💎 VIP Customer • ${customer.name}\n`;
-        } else if (customer.score >= 20) {
-            msg += `🥇 Gold Customer • ${customer.name}\n`;
-        } else if (customer.score >= 10) {
-            msg += `🥈 Silver Customer • ${customer.name}\n`;
+        // Customer level badge from the vendor's tier rules
+        if (tier) {
+            msg += `${customerTiers.getEmoji(tier)} ${tier.name} Customer • ${customer.name}\n`;
         } else {
-            msg += `🥉 Bronze Customer • ${customer.name}\n`;
+            msg += `👤 ${customer.name}\n`;
         }
         
         msg += `📊 Account: ${customer.id}\n`;
-        msg += `⭐ Loyalty Points: ${customer.score}\n\n`;
+        msg += `⭐ Loyalty Points: ${parseInt(customer.loyaltyPoints) || 0}\n\n`;
         
-        // Special offers for VIP customers
-        if (customer.score >= 50) {
-            msg += `🎁 *VIP BONUS:* Use code *VIP20* for 20% off!\n\n`;
-        } else if (customer.score >= 20) {
-            msg += `🎁 *GOLD BONUS:* Use code *GOLD15* for 15% off!\n\n`;
+        const benefits = this.generateTierBenefits(tier);
+        if (benefits) {
+            msg += `🎁 *${tier.name.toUpperCase()} BENEFITS:* ${benefits}\n\n`;
         }
         
         return msg;
     }
 
+    // One-line list of what a tier gives, or '' when it gives nothing
+    generateTierBenefits(tier) {
+        if (!tier) {
+            return '';
+        }
+
+        const benefits = [];
+        if (tier.discountRate > 0) {
+            benefits.push(`${Math.round(tier.discountRate * 1000) / 10}% off every order`);
+        }
+        if (tier.freeDelivery) {
+            benefits.push('free delivery');
+        }
+        if (tier.earlyAccessHours > 0) {
+            benefits.push(`specials ${tier.earlyAccessHours}h early`);
+        }
+        return benefits.join(', ');
+    }
+
+    generateTierUpgrade(tier, nextTier = null) {
+        let msg = `${customerTiers.getEmoji(tier)} *YOU'RE NOW ${tier.name.toUpperCase()}!*\n\n`;
+        msg += `Thanks for your loyalty - you've reached ${tier.name} level.\n`;
+
+        const benefits = this.generateTierBenefits(tier);
+        if (benefits) {
+            msg += `🎁 Your benefits: ${benefits}\n`;
+        }
+        if (nextTier) {
+            msg += `Next up: ${nextTier.name} after ${nextTier.minScore} orders.`;
+        }
+        return msg.trim();
+    }
+
     // Loading message
     generateLoadingMessage() {
         return "⏳ Loading your personalized shopping experience...\n\nPlease wait a moment.";
@@ -381,19 +905,521 @@ class MessageGenerators {
                "Thank you for your patience! 🙏";
     }
 
+    // Replies to messages without text; hint says what the bot is waiting for
+    generateNonTextReply(incoming, hint) {
+        const replies = {
+            image: "📷 Thanks for the picture! I can't see images, so please type what you need.",
+            video: "🎬 Thanks for the video! I can't play videos, so please type what you need.",
+            audio: incoming.media && incoming.media.voiceNote
+                ? "🎤 Sorry, I can't listen to voice notes yet. Please type your message instead."
+                : "🎵 Sorry, I can't play audio. Please type your message instead.",
+            document: "📄 Thanks for the file! I can't open documents here, so please type what you need.",
+            sticker: "😄 Nice sticker!",
+            contact: "📇 Thanks! I can't save contacts, but you can send me a message any time."
+        };
+        const reply = replies[incoming.type] || "🤖 I can only read text messages and location pins.";
+        return `${reply}\n\n👉 ${hint}`;
+    }
+
+    generateContactReferralHint(names) {
+        const who = names.length === 1 ? names[0] : (names.length > 1 ? 'your friends' : 'them');
+        return `👥 Want to invite ${who}?\n\n` +
+               "Type *refer* to get your referral link, then forward it - you earn points when they register or order.";
+    }
+
     // Order status messages
     generateOrderStatusMessage(status, orderInfo = {}) {
         const statusMessages = {
             pending: `⏳ *ORDER PENDING*\n\nYour order is being processed.\nWe'll update you soon!`,
-            confirmed: `✅ *ORDER CONFIRMED*\n\nOrder #${orderInfo.id || 'N/A'}\nEstimated delivery: ${orderInfo.delivery || '24-48 hours'}`,
+            confirmed: `✅ *ORDER CONFIRMED*\n\nOrder #${orderInfo.id || 'N/A'}\n${orderInfo.paymentReceived ? '💳 Payment received - thank you!\n' : ''}${orderInfo.pickup ? 'Pickup' : 'Estimated delivery'}: ${orderInfo.delivery || '24-48 hours'}`,
             preparing: `👨‍🍳 *ORDER PREPARING*\n\nYour order is being prepared.\nAlmost ready for delivery!`,
             dispatched: `🚚 *ORDER DISPATCHED*\n\nYour order is on the way!\nExpected arrival: ${orderInfo.eta || 'Soon'}`,
-            delivered: `🎉 *ORDER DELIVERED*\n\nEnjoy your purchase!\nRate your experience: ${orderInfo.ratingUrl || 'Reply with 1-5 stars'}`
+            delivered: `🎉 *ORDER DELIVERED*\n\nEnjoy your purchase!\nRate your experience: ${orderInfo.ratingUrl || 'Reply with 1-5 stars'}`,
+            cancelled: `🚫 *ORDER CANCELLED*\n\nOrder #${orderInfo.id || 'N/A'} has been cancelled.${orderInfo.reason ? `\nReason: ${orderInfo.reason}` : ''}\n\nType *menu* to place a new order.`,
+            rejected: `😔 *ORDER NOT ACCEPTED*\n\nOrder #${orderInfo.id || 'N/A'}\nReason: ${orderInfo.reason || 'Not specified'}\n\nType *menu* to place a new order.`
         };
         
         return statusMessages[status] || statusMessages.pending;
     }
 
+    // Customer order history, newest first
+    generateCustomerOrderHistory(orders, page = 1, hasMore = false) {
+        if (!orders || orders.length === 0) {
+            return page > 1
+                ? "📋 No more orders.\n\nType *orders* to go back to your latest orders."
+                : "📋 You haven't placed any orders yet.\n\nType *catalog* to browse products.";
+        }
+
+        let msg = `📋 *MY ORDERS*${page > 1 ? ` (page ${page})` : ''}\n\n`;
+        orders.forEach(order => {
+            const ref = order.orderNumber || order.id;
+            const date = helpers.toDate(order.createdAt || order.timestamp);
+            msg += `#${ref} • ${date ? helpers.formatDate(date) : ''} • N$${this.safePrice(order.total).toFixed(2)} • *${order.status || 'pending'}*\n`;
+        });
+        msg += `\n💡 Type *order <number>* for details`;
+        if (hasMore) {
+            msg += `\n➡️ Type *orders ${page + 1}* for older orders`;
+        }
+        return msg;
+    }
+
+    // What changed since the order being repeated; the checkout confirmation follows it
+    generateReorderSummary(order, rebuilt) {
+        const ref = order.orderNumber || order.id;
+        let msg = `🔁 *REORDER #${ref}*\n\n`;
+
+        if (rebuilt.items.length === 0) {
+            msg += `😕 None of the items from order #${ref} are available right now.`;
+            if (rebuilt.unavailable.length > 0) {
+                msg += `\n\n` + rebuilt.unavailable.map(name => `• ${name}`).join('\n');
+            }
+            return msg;
+        }
+
+        msg += `🛒 ${rebuilt.items.length} item${rebuilt.items.length === 1 ? '' : 's'} added to your cart at today's prices.`;
+
+        if (rebuilt.priceChanges.length > 0) {
+            msg += "\n\n💲 *Price changes:*\n";
+            rebuilt.priceChanges.forEach(change => {
+                const product = { unit: change.unit };
+                msg += `• ${change.name}: ${weighedProducts.formatPrice(change.previousPrice, product)} → ` +
+                       `*${weighedProducts.formatPrice(change.price, product)}*\n`;
+            });
+            msg = msg.trimEnd();
+        }
+
+        if (rebuilt.unavailable.length > 0) {
+            msg += "\n\n⚠️ *No longer available:*\n";
+            msg += rebuilt.unavailable.map(name => `• ${name}`).join('\n');
+        }
+        return msg;
+    }
+
+    // "Friday 23 Oct" for a subscription's YYYY-MM-DD delivery date
+    formatDeliveryDate(dateKey) {
+        return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-GB', {
+            timeZone: 'UTC',
+            weekday: 'long',
+            day: 'numeric',
+            month: 'short'
+        });
+    }
+
+    // "Weekly on Fridays"
+    describeSchedule(subscription) {
+        const day = WEEKDAYS[subscription.deliveryDay] || '';
+        return `${helpers.capitalizeFirst(subscription.frequency)} on ${helpers.capitalizeFirst(day)}s`;
+    }
+
+    subscriptionItemLines(items) {
+        return (items || []).map(item => {
+            return `• ${productVariants.displayName(item)} × ${weighedProducts.formatQuantity(this.safePrice(item.quantity), item)}`;
+        }).join('\n');
+    }
+
+    generateSubscriptionCreated(subscription) {
+        let msg = "🔁 *SUBSCRIPTION STARTED*\n\n";
+        msg += `📅 ${this.describeSchedule(subscription)}\n`;
+        msg += `🚚 First delivery: *${this.formatDeliveryDate(subscription.nextDeliveryDate)}*\n`;
+        if (subscription.fulfilment) {
+            msg += `${this.describeFulfilment(subscription.fulfilment)}\n`;
+        }
+        msg += "\n";
+        msg += `🛍️ *ITEMS*\n${this.subscriptionItemLines(subscription.items)}\n\n`;
+        msg += "We'll place each order automatically at that day's prices and remind you the day before.\n\n";
+        msg += "Type *subscriptions* to manage it. Your cart is unchanged - type *checkout* to also order it now.";
+        return msg;
+    }
+
+    // The customer's subscriptions, numbered for "skip 2", "pause 2" and so on
+    generateCustomerSubscriptions(subscriptions) {
+        if (subscriptions.length === 0) {
+            return "🔁 You have no subscriptions.\n\n" +
+                   "Fill your cart, then type *subscribe weekly friday* (or *fortnightly* / *monthly*) to get it delivered regularly.";
+        }
+
+        let msg = "🔁 *YOUR SUBSCRIPTIONS*\n\n";
+        subscriptions.forEach((subscription, i) => {
+            msg += `*${i + 1}.* ${this.describeSchedule(subscription)}`;
+            msg += subscription.status === 'paused'
+                ? ' - ⏸️ *paused*\n'
+                : `\n   Next delivery: *${this.formatDeliveryDate(subscription.nextDeliveryDate)}*\n`;
+            msg += this.subscriptionItemLines(subscription.items).replace(/^/gm, '   ') + '\n\n';
+        });
+
+        const n = subscriptions.length > 1 ? ' <number>' : '';
+        msg += `⏭️ *skip subscription${n}* - Skip the next delivery\n`;
+        msg += `⏸️ *pause subscription${n}* / *resume subscription${n}* - Pause or restart deliveries\n`;
+        msg += `❌ *cancel subscription${n}* - Stop the subscription`;
+        return msg;
+    }
+
+    // Answer to skip, pause, resume or cancel
+    generateSubscriptionUpdate(action, subscription) {
+        const schedule = this.describeSchedule(subscription);
+        switch (action) {
+            case 'skip':
+                return `⏭️ Delivery skipped. Your next delivery is *${this.formatDeliveryDate(subscription.nextDeliveryDate)}* (${schedule.toLowerCase()}).`;
+            case 'pause':
+                return `⏸️ Subscription paused (${schedule.toLowerCase()}). Type *resume subscription* to start deliveries again.`;
+            case 'resume':
+                return `▶️ Subscription resumed. Next delivery: *${this.formatDeliveryDate(subscription.nextDeliveryDate)}*.`;
+            default:
+                return `❌ Subscription cancelled (${schedule.toLowerCase()}). No further orders will be placed.`;
+        }
+    }
+
+    // Sent the day before a subscription delivery
+    generateSubscriptionReminder(subscription) {
+        let msg = "🔁 *SUBSCRIPTION REMINDER*\n\n";
+        const pickup = subscription.fulfilment && subscription.fulfilment.method === 'pickup';
+        msg += `Your ${subscription.frequency} order will be placed for ${pickup ? 'pickup' : 'delivery'} tomorrow, *${this.formatDeliveryDate(subscription.nextDeliveryDate)}*:\n\n`;
+        msg += `${this.subscriptionItemLines(subscription.items)}\n\n`;
+        msg += "_Charged at tomorrow's prices._\n\n";
+        msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
+        msg += "⏭️ Reply *skip* to skip this delivery\n";
+        msg += "⏸️ Reply *pause* to pause your subscription\n";
+        msg += "❌ Reply *cancel* to stop it\n";
+        msg += "No reply needed to keep it coming.";
+        return msg;
+    }
+
+    generateSubscriptionOrderPlaced(subscription, order, rebuilt) {
+        const ref = order.orderNumber || order.id;
+        let msg = `🔁 *SUBSCRIPTION ORDER #${ref}*\n\n`;
+        msg += `Today's ${subscription.frequency} order has been placed.\n\n`;
+        msg += `🛍️ *ITEMS*\n${this.subscriptionItemLines(order.items || rebuilt.items)}\n`;
+        if (order.total !== undefined && order.total !== null) {
+            const label = order.pricing && order.pricing.estimated ? 'Estimated total' : 'Total';
+            msg += `\n💰 *${label}: N$${this.safePrice(order.total).toFixed(2)}*\n`;
+        }
+
+        if (rebuilt.unavailable.length > 0) {
+            msg += "\n⚠️ *Not available this time:*\n";
+            msg += rebuilt.unavailable.map(name => `• ${name}`).join('\n') + '\n';
+        }
+
+        msg += `\n📅 Next delivery: *${this.formatDeliveryDate(subscription.nextDeliveryDate)}*\n`;
+        msg += `Type *track ${ref}* to follow this order.`;
+        return msg;
+    }
+
+    // reason is set when the order was refused for something other than stock, e.g. the delivery zone
+    generateSubscriptionOrderFailed(subscription, rebuilt, reason = null) {
+        let msg = "🔁 *SUBSCRIPTION*\n\n";
+        msg += reason
+            ? `😕 We couldn't place today's subscription order: ${reason}`
+            : "😕 We couldn't place today's subscription order - none of the items are available right now.";
+        if (rebuilt.unavailable.length > 0) {
+            msg += "\n\n" + rebuilt.unavailable.map(name => `• ${name}`).join('\n');
+        }
+        msg += `\n\n📅 Next delivery: *${this.formatDeliveryDate(subscription.nextDeliveryDate)}*\n`;
+        msg += "Type *quick* to see what we have today.";
+        return msg;
+    }
+
+    // One of the customer's orders: items, status timeline and totals
+    generateCustomerOrderDetails(order) {
+        const ref = order.orderNumber || order.id;
+        let msg = `🧾 *ORDER #${ref}*\n\n`;
+        msg += `Status: *${(order.status || 'pending').toUpperCase()}*\n`;
+        if (order.paymentMethod === 'eft') {
+            msg += `${this.describePayment(order)}\n`;
+        }
+        if (order.fulfilment) {
+            msg += `${this.describeFulfilment(order.fulfilment)}\n`;
+        }
+        if (order.slot) {
+            msg += `🕒 Time: ${this.describeSlot(order.slot)}\n`;
+        }
+
+        msg += `\n🛍️ *ITEMS*\n`;
+        let subtotal = 0;
+        (order.items || []).forEach((item, i) => {
+            const name = productVariants.displayName(item);
+            const price = this.safePrice(item.price ?? item.product?.price);
+            const quantity = this.itemQuantity(item);
+            subtotal += price * quantity;
+            msg += `${i + 1}. ${name} × ${weighedProducts.formatQuantity(quantity, item)} = N$${(price * quantity).toFixed(2)}\n`;
+        });
+
+        if (order.pricing) {
+            // Breakdown as it was calculated when the order was placed
+            msg += `\n` + this.generatePricingLines(order.pricing);
+            if (order.invoiceStatus === 'sent' && order.finalPricing) {
+                msg += `🧾 Final invoice: *N$${this.safePrice(order.finalPricing.total).toFixed(2)}* - reply *accept invoice ${ref}* to accept\n`;
+            }
+        } else {
+            msg += `\nSubtotal: N$${subtotal.toFixed(2)}\n`;
+            if (order.discountCode) {
+                msg += `Discount (${order.discountCode}): -N$${this.safePrice(order.discountAmount).toFixed(2)}\n`;
+            }
+            msg += `💰 *Total: N$${this.safePrice(order.total).toFixed(2)}*\n`;
+        }
+
+        const history = order.statusHistory && order.statusHistory.length > 0
+            ? order.statusHistory
+            : [{ status: order.status || 'pending', changedAt: order.updatedAt || order.createdAt || order.timestamp }];
+        msg += `\n🕒 *TIMELINE*\n`;
+        history.forEach(entry => {
+            const date = helpers.toDate(entry.changedAt);
+            msg += `• ${entry.status}${date ? ` - ${helpers.formatTimestamp(date)}` : ''}\n`;
+        });
+
+        if (order.rejectionReason) {
+            msg += `\nReason: ${order.rejectionReason}\n`;
+        }
+        msg += `\n🔁 Type *reorder ${ref}* to order this again`;
+        return msg.trim();
+    }
+
+    // Owner admin console help
+    generateAdminHelp() {
+        let msg = "👑 *OWNER CONSOLE* 👑\n\n";
+        msg += "📋 *ORDERS*\n";
+        msg += "• *orders today* - Today's orders\n";
+        msg += "• *order <id>* - Order details\n";
+        msg += "• *order <id> status <status>* - Update status\n\n";
+        msg += "🔔 *ORDER ALERTS*\n";
+        msg += "• *accept <id>* - Accept a new order\n";
+        msg += "• *reject <id> <reason>* - Reject a new order\n";
+        msg += "• *weigh <id> <line> <kg>* - Record a weighed item\n";
+        msg += "• *subscriptions* - Upcoming subscription deliveries\n\n";
+        msg += "📦 *STOCK*\n";
+        msg += "• *stock <product> <qty>* - Set stock level\n\n";
+        msg += "🛡️ *SECURITY*\n";
+        msg += "• *block <number> [hours]* - Block a number\n";
+        msg += "• *unblock <number>* - Unblock a number\n\n";
+        msg += "📊 *MONITORING*\n";
+        msg += "• *stats* - Bot statistics\n";
+        msg += "• *help* - Show this list";
+        return msg;
+    }
+
+    // Owner admin console order list
+    generateAdminOrderList(orders, title = "TODAY'S ORDERS") {
+        if (!orders || orders.length === 0) {
+            return `📋 *${title}*\n\nNo orders yet.`;
+        }
+
+        const revenue = orders.reduce((sum, order) => sum + this.safePrice(order.total), 0);
+        let msg = `📋 *${title}* (${orders.length})\n\n`;
+        orders.forEach(order => {
+            const ref = order.orderNumber || order.id;
+            const name = order.customerInfo?.name || order.customerName || 'Customer';
+            msg += `#${ref} • ${name} • N$${this.safePrice(order.total).toFixed(2)} • ${order.status || 'pending'}\n`;
+        });
+        msg += `\n💰 *Total: N$${revenue.toFixed(2)}*\n`;
+        msg += `\n💡 Type *order <id>* for details`;
+        return msg;
+    }
+
+    // Owner admin console order details
+    generateAdminOrderDetails(order) {
+        const ref = order.orderNumber || order.id;
+        let msg = `🧾 *ORDER #${ref}*\n\n`;
+        msg += `Status: *${order.status || 'pending'}*\n`;
+        if (order.paymentMethod === 'eft') {
+            msg += `${this.describePayment(order)}\n`;
+        }
+        msg += `Customer: ${order.customerInfo?.name || order.customerName || 'Customer'}\n`;
+        if (order.customerInfo?.phone) {
+            msg += `Phone: ${order.customerInfo.phone}\n`;
+        }
+        if (order.customerInfo?.address) {
+            msg += `Address: ${order.customerInfo.address}\n`;
+        }
+        if (order.location) {
+            msg += `📍 Map: ${this.getMapLink(order.location)}\n`;
+        }
+        msg += `\n🛍️ *ITEMS*\n`;
+        (order.items || []).forEach((item, i) => {
+            const name = productVariants.displayName(item);
+            const price = this.safePrice(item.price ?? item.product?.price);
+            const quantity = this.itemQuantity(item);
+            msg += `${i + 1}. ${name} × ${weighedProducts.formatQuantity(quantity, item)} = N$${(price * quantity).toFixed(2)}\n`;
+        });
+        if (order.discountCode) {
+            msg += `\nDiscount: ${order.discountCode}\n`;
+        }
+        msg += `\n💰 *Total: N$${this.safePrice(order.total).toFixed(2)}*\n`;
+        msg += `\n💡 *order ${ref} status <status>* to update`;
+        return msg;
+    }
+
+    // Owner admin console statistics
+    generateAdminStats(stats) {
+        const bot = stats.bot || {};
+        const security = stats.security || {};
+        let msg = "📊 *BOT STATISTICS*\n\n";
+        msg += `⏰ Uptime: ${Math.floor((bot.uptime || 0) / 60)} minutes\n`;
+        msg += `📨 Messages processed: ${bot.messagesProcessed || 0}\n`;
+        msg += `👥 Active sessions: ${bot.sessionsActive || 0}\n`;
+        msg += `🛒 Orders completed: ${bot.ordersCompleted || 0}\n`;
+        msg += `💾 Memory: ${bot.memoryUsage?.heapUsed || '0'}MB\n\n`;
+        msg += `🛡️ Threats detected: ${security.threatsDetected || 0}\n`;
+        msg += `🚫 Users blocked: ${security.blockedUsers || 0}\n`;
+        msg += `🚫 Messages blocked: ${security.messagesBlocked || 0}`;
+        return msg;
+    }
+
+    // New-order alert sent to the vendor's WhatsApp number(s)
+    generateVendorOrderAlert(order) {
+        const ref = order.orderNumber || order.id;
+        const customer = order.customerInfo || {};
+        let msg = `🔔 *NEW ORDER #${ref}* 🔔\n\n`;
+
+        msg += "🛍️ *ITEMS*\n";
+        (order.items || []).forEach((item, i) => {
+            const name = productVariants.displayName(item);
+            const price = this.safePrice(item.price ?? item.product?.price);
+            const quantity = this.itemQuantity(item);
+            msg += `${i + 1}. ${name} × ${weighedProducts.formatQuantity(quantity, item)} = N$${(price * quantity).toFixed(2)}\n`;
+        });
+
+        if (order.discountCode) {
+            msg += `\nDiscount: ${order.discountCode}\n`;
+        }
+        const totalLabel = order.pricing && order.pricing.estimated ? 'Estimated total' : 'Total';
+        msg += `\n💰 *${totalLabel}: N$${this.safePrice(order.total).toFixed(2)}*\n\n`;
+        if (order.fulfilment) {
+            msg += `${this.describeFulfilment(order.fulfilment)}\n`;
+            msg += order.slot ? `🕒 Slot: *${this.describeSlot(order.slot)}*\n\n` : '\n';
+        }
+        if (order.source === 'subscription' && order.deliveryDate) {
+            msg += `🔁 Subscription delivery for *${this.formatDeliveryDate(order.deliveryDate)}*\n\n`;
+        }
+        if (order.paymentMethod === 'eft') {
+            msg += `${this.describePayment(order)}\n\n`;
+        }
+
+        msg += "👤 *CUSTOMER*\n";
+        msg += `Name: ${customer.name || order.customerName || 'Customer'}\n`;
+        msg += `Phone: ${customer.phone || 'Not provided'}\n`;
+        if (order.customerJid) {
+            msg += `WhatsApp: wa.me/${order.customerJid.split('@')[0]}\n`;
+        }
+        msg += `Email: ${customer.email || 'Not provided'}\n`;
+        msg += `Address: ${customer.address || 'Not provided'}\n`;
+        if (order.location) {
+            msg += `📍 Map: ${this.getMapLink(order.location)}\n`;
+        }
+        msg += "\n";
+
+        msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
+        msg += `✅ Reply *accept ${ref}* to accept\n`;
+        msg += `❌ Reply *reject ${ref} <reason>* to reject`;
+
+        const weighed = (order.items || [])
+            .map((item, i) => weighedProducts.isWeighed(item) ? i + 1 : null)
+            .filter(Boolean);
+        if (weighed.length > 0) {
+            msg += `\n⚖️ Weigh line ${weighed.join(', ')} and reply *weigh ${ref} <line> <kg>* for each`;
+        }
+        return msg;
+    }
+
+    // Vendor reply commands
+    generateVendorHelp() {
+        let msg = "🧑‍🌾 *VENDOR COMMANDS* 🧑‍🌾\n\n";
+        msg += "• *accept <id>* - Accept a new order\n";
+        msg += "• *reject <id> <reason>* - Reject a new order\n";
+        msg += "• *weigh <id> <line> <kg>* - Record a weighed item; the last one sends the final invoice\n";
+        msg += "• *paid <id>* - Confirm an EFT payment has arrived (also accepts a new order)\n";
+        msg += "• *unpaid <id> <reason>* - Tell the customer their payment was not found\n";
+        msg += "• *subscriptions* - Upcoming subscription deliveries";
+        return msg;
+    }
+
+    // Final invoice for an order whose per-kg items have been weighed, for the customer to accept
+    generateFinalInvoice(order) {
+        const ref = order.orderNumber || order.id;
+        const pricing = order.finalPricing;
+        const currency = pricing.currency || 'N$';
+
+        let msg = `🧾 *FINAL INVOICE - ORDER #${ref}*\n\n`;
+        msg += "Your per-kg items have been weighed:\n\n";
+        pricing.lines.forEach((line, i) => {
+            msg += `${i + 1}. ${productVariants.displayName({ name: line.name, options: order.items[i] && order.items[i].options })}\n`;
+            if (weighedProducts.isWeighed(line)) {
+                const ordered = this.safePrice(order.items[i] && order.items[i].quantity);
+                msg += `   Ordered ${weighedProducts.round(ordered)} kg → weighed *${line.quantity} kg*\n`;
+            }
+            msg += `   ${weighedProducts.formatQuantity(line.quantity, line)} × ${weighedProducts.formatPrice(line.price, line, currency)} = ${currency}${line.lineTotal.toFixed(2)}\n`;
+        });
+
+        msg += `\n${this.generatePricingLines(pricing)}`;
+        if (order.total !== undefined && order.total !== null) {
+            msg += `_Estimated at checkout: ${currency}${this.safePrice(order.total).toFixed(2)}_\n`;
+        }
+
+        msg += "\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
+        msg += `✅ Reply *accept invoice ${ref}* to accept\n`;
+        msg += `❓ Reply *dispute invoice ${ref} <reason>* if something looks wrong`;
+        return msg;
+    }
+
+    // Customer's answer to a final invoice, for the vendor
+    generateVendorInvoiceResponse(order) {
+        const ref = order.orderNumber || order.id;
+        const name = order.customerInfo?.name || order.customerName || 'The customer';
+        if (order.invoiceStatus === 'accepted') {
+            return `✅ ${name} accepted the final invoice for order *#${ref}* (N$${this.safePrice(order.total).toFixed(2)}).`;
+        }
+
+        let msg = `⚠️ ${name} disputed the final invoice for order *#${ref}*.\n`;
+        if (order.invoiceDisputeReason) {
+            msg += `Reason: ${order.invoiceDisputeReason}\n`;
+        }
+        msg += `\nCorrect a weight with *weigh ${ref} <line> <kg>* to send a new invoice`;
+        if (order.customerJid) {
+            msg += `, or contact them on wa.me/${order.customerJid.split('@')[0]}`;
+        }
+        return msg;
+    }
+
+    // Caption on the proof of payment forwarded to the vendor
+    generateVendorPaymentProof(order) {
+        const ref = order.orderNumber || order.id;
+        const name = order.customerInfo?.name || order.customerName || 'The customer';
+        const label = order.pricing && order.pricing.estimated && order.invoiceStatus !== 'accepted' ? 'Estimated total' : 'Total';
+        let msg = `💳 *PROOF OF PAYMENT - ORDER #${ref}*\n\n`;
+        msg += `${name} sent this proof of payment.\n`;
+        msg += `Reference: *${order.paymentReference}*\n`;
+        msg += `${label}: *N$${this.safePrice(order.total).toFixed(2)}*\n\n`;
+        msg += "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n";
+        msg += `✅ Reply *paid ${ref}* once the money is in your account\n`;
+        msg += `❌ Reply *unpaid ${ref} <reason>* if it hasn't arrived`;
+        return msg;
+    }
+
+    // Active subscription deliveries coming up, for the vendor to plan stock
+    generateVendorSubscriptionList(subscriptions, days) {
+        if (subscriptions.length === 0) {
+            return `🔁 No subscription deliveries in the next ${days} days.`;
+        }
+
+        let msg = `🔁 *UPCOMING SUBSCRIPTIONS* (next ${days} days)\n\n`;
+        let currentDate = null;
+        subscriptions.forEach(subscription => {
+            if (subscription.nextDeliveryDate !== currentDate) {
+                currentDate = subscription.nextDeliveryDate;
+                msg += `📅 *${this.formatDeliveryDate(currentDate)}*\n`;
+            }
+
+            const customer = subscription.customerInfo || {};
+            msg += `👤 ${customer.name || 'Customer'}`;
+            if (subscription.customerJid) {
+                msg += ` (wa.me/${subscription.customerJid.split('@')[0]})`;
+            }
+            msg += ` - ${subscription.frequency}\n`;
+            msg += this.subscriptionItemLines(subscription.items).replace(/^/gm, '   ') + '\n\n';
+        });
+
+        msg += "_Orders are created automatically on the morning of each delivery day._";
+        return msg;
+    }
+
     // Discount promotion messages
     generatePromotionMessage(promotion = {}) {
         let msg = `🎉 *SPECIAL OFFER!* 🎉\n\n`;
@@ -0,0 +1,105 @@
+const { MESSAGE_TYPE_CONFIG } = require('../config/constants');
+
+// Baileys message keys -> the types the bot dispatches on, checked in this order
+const TYPE_KEYS = [
+    ['conversation', 'text'],
+    ['extendedTextMessage', 'text'],
+    ['imageMessage', 'image'],
+    ['videoMessage', 'video'],
+    ['audioMessage', 'audio'],
+    ['documentMessage', 'document'],
+    ['stickerMessage', 'sticker'],
+    ['contactMessage', 'contact'],
+    ['contactsArrayMessage', 'contact'],
+    ['locationMessage', 'location'],
+    ['liveLocationMessage', 'location'],
+    ['reactionMessage', 'reaction']
+];
+
+// Wrappers around the real content (disappearing messages, view once, captioned documents)
+const WRAPPER_KEYS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'documentWithCaptionMessage', 'editedMessage'];
+
+class MessageTypes {
+    // Group chats, channels and status updates are never conversations with a customer
+    isIgnoredJid(jid) {
+        return !jid || MESSAGE_TYPE_CONFIG.IGNORED_JID_SUFFIXES.some(suffix => jid.endsWith(suffix));
+    }
+
+    unwrap(message) {
+        let content = message;
+        for (let depth = 0; content && depth < 3; depth++) {
+            const wrapper = WRAPPER_KEYS.find(key => content[key] && content[key].message);
+            if (!wrapper) {
+                break;
+            }
+            content = content[wrapper].message;
+        }
+        return content || {};
+    }
+
+    // { type, text, location, contact, media, emoji } for a raw WhatsApp message. Captions count as text.
+    // type is 'system' for protocol traffic (deletes, key exchanges) and 'unsupported' for anything else unknown.
+    parse(message) {
+        const content = this.unwrap(message);
+        const match = TYPE_KEYS.find(([key]) => content[key]);
+        if (!match) {
+            const system = Object.keys(content).every(key => MESSAGE_TYPE_CONFIG.SYSTEM_KEYS.includes(key));
+            return { type: system ? 'system' : 'unsupported', text: '' };
+        }
+
+        const [key, type] = match;
+        const body = content[key];
+        const parsed = { type, text: '' };
+
+        switch (type) {
+            case 'text':
+                parsed.text = typeof body === 'string' ? body : (body.text || '');
+                break;
+            case 'image':
+            case 'video':
+            case 'document':
+                parsed.text = body.caption || '';
+                parsed.media = {
+                    key,
+                    mimetype: body.mimetype || null,
+                    fileName: body.fileName || null
+                };
+                break;
+            case 'audio':
+                parsed.media = { key, mimetype: body.mimetype || null, voiceNote: !!body.ptt };
+                break;
+            case 'contact': {
+                const contacts = key === 'contactsArrayMessage' ? (body.contacts || []) : [body];
+                parsed.contact = contacts.map(contact => ({
+                    name: contact.displayName || null,
+                    phone: this.getVcardPhone(contact.vcard)
+                }));
+                break;
+            }
+            case 'location': {
+                const latitude = parseFloat(body.degreesLatitude);
+                const longitude = parseFloat(body.degreesLongitude);
+                parsed.location = isNaN(latitude) || isNaN(longitude) ? null : {
+                    latitude,
+                    longitude,
+                    name: body.name || null,
+                    address: body.address || null,
+                    live: key === 'liveLocationMessage'
+                };
+                break;
+            }
+            case 'reaction':
+                parsed.emoji = body.text || '';
+                break;
+        }
+        return parsed;
+    }
+
+    // First phone number on a shared contact card, digits only
+    getVcardPhone(vcard) {
+        const match = String(vcard || '').match(/waid=(\d+)/) || String(vcard || '').match(/^TEL[^:]*:([+\d\s-]+)$/m);
+        return match ? match[1].replace(/\D/g, '') : null;
+    }
+}
+
+module.exports = new MessageTypes();
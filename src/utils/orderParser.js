@@ -0,0 +1,171 @@
+const { ORDER_PARSER_CONFIG } = require('../config/constants');
+const productSearch = require('./productSearch');
+const weighedProducts = require('./weighedProducts');
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    fifteen: 15, twenty: 20, couple: 2, half: 0.5
+};
+
+// Unit aliases -> canonical unit, with a factor into the unit we order in
+const UNITS = {
+    kg: { unit: 'kg', factor: 1 }, kgs: { unit: 'kg', factor: 1 }, kilo: { unit: 'kg', factor: 1 },
+    kilos: { unit: 'kg', factor: 1 }, kilogram: { unit: 'kg', factor: 1 }, kilograms: { unit: 'kg', factor: 1 },
+    g: { unit: 'kg', factor: 0.001 }, gram: { unit: 'kg', factor: 0.001 }, grams: { unit: 'kg', factor: 0.001 },
+    l: { unit: 'l', factor: 1 }, litre: { unit: 'l', factor: 1 }, litres: { unit: 'l', factor: 1 },
+    liter: { unit: 'l', factor: 1 }, liters: { unit: 'l', factor: 1 }, ml: { unit: 'l', factor: 0.001 },
+    dozen: { unit: 'dozen', factor: 1 }, dozens: { unit: 'dozen', factor: 1 },
+    pack: { unit: 'pack', factor: 1 }, packs: { unit: 'pack', factor: 1 },
+    packet: { unit: 'pack', factor: 1 }, packets: { unit: 'pack', factor: 1 },
+    pc: { unit: 'piece', factor: 1 }, pcs: { unit: 'piece', factor: 1 },
+    piece: { unit: 'piece', factor: 1 }, pieces: { unit: 'piece', factor: 1 },
+    tray: { unit: 'tray', factor: 1 }, trays: { unit: 'tray', factor: 1 },
+    box: { unit: 'box', factor: 1 }, boxes: { unit: 'box', factor: 1 },
+    bag: { unit: 'bag', factor: 1 }, bags: { unit: 'bag', factor: 1 },
+    bunch: { unit: 'bunch', factor: 1 }, bunches: { unit: 'bunch', factor: 1 },
+    loaf: { unit: 'loaf', factor: 1 }, loaves: { unit: 'loaf', factor: 1 }
+};
+
+const LEAD_IN = /^(?:hi|hello|hey|please|pls|i want|i'd like|i would like|i need|can i (?:get|have)|could i (?:get|have)|give me|order|send me|add)\s+/;
+
+class OrderParser {
+    // Split "2 kg mince, 1 whole chicken and a dozen eggs" into quantity/unit/name fragments
+    parse(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+
+        let clean = text.toLowerCase()
+            .replace(/\*+/g, '')
+            .replace(/half a dozen/g, '6')
+            .replace(/[.!?]+$/g, '')
+            .trim();
+
+        let previous;
+        do {
+            previous = clean;
+            clean = clean.replace(LEAD_IN, '');
+        } while (clean !== previous);
+
+        return clean.split(/\s*(?:,|;|\n|&|\+|\band\b|\bplus\b)\s*/)
+            .map(part => part.replace(/\bplease\b/g, '').trim())
+            .filter(Boolean)
+            .map(part => this.parseFragment(part));
+    }
+
+    parseFragment(fragment) {
+        const words = fragment.split(/\s+/);
+        let amount = null;
+        let unit = null;
+
+        // Leading amount: "2", "2.5", "two", "2kg"
+        const glued = words[0].match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
+        if (glued && UNITS[glued[2]]) {
+            amount = parseFloat(glued[1]);
+            words.splice(0, 1, glued[2]);
+        } else if (/^\d+(?:\.\d+)?$/.test(words[0])) {
+            amount = parseFloat(words.shift());
+        } else if (NUMBER_WORDS[words[0]] !== undefined && words.length > 1) {
+            amount = NUMBER_WORDS[words.shift()];
+            // "a couple of", "half a kg"
+            if (amount === 0.5 && ['a', 'an'].includes(words[0])) {
+                words.shift();
+            }
+        }
+
+        if (words.length > 1 && UNITS[words[0]]) {
+            unit = UNITS[words.shift()];
+        }
+        if (words[0] === 'of' && words.length > 1) {
+            words.shift();
+        }
+
+        let name = words.join(' ');
+
+        // Trailing amount: "eggs x2", "eggs 2x"
+        const trailing = name.match(/^(.+?)\s*(?:x\s*(\d+)|(\d+)\s*x)$/);
+        if (amount === null && trailing) {
+            name = trailing[1];
+            amount = parseInt(trailing[2] || trailing[3]);
+        }
+
+        return {
+            text: fragment,
+            name: name.trim(),
+            amount: amount === null ? 1 : amount * (unit ? unit.factor : 1),
+            unit: unit ? unit.unit : null,
+            hasQuantity: amount !== null || unit !== null
+        };
+    }
+
+    // Only treat free text as an order when it names quantities or lists several things
+    looksLikeOrder(fragments) {
+        return fragments.length > 1 || fragments.some(fragment => fragment.hasQuantity);
+    }
+
+    // Resolve fragments against the catalog: matched items, questions to ask and leftovers
+    resolve(businessData, fragments) {
+        const result = { items: [], ambiguous: [], unmatched: [] };
+
+        fragments.forEach(fragment => {
+            if (!fragment.name) {
+                result.unmatched.push(fragment.text);
+                return;
+            }
+
+            const matches = productSearch.search(businessData, fragment.name, ORDER_PARSER_CONFIG.MAX_OPTIONS);
+            if (matches.length === 0) {
+                result.unmatched.push(fragment.text);
+                return;
+            }
+
+            const [best, runnerUp] = matches;
+            const clearWinner = !runnerUp || best.score - runnerUp.score >= ORDER_PARSER_CONFIG.AMBIGUITY_MARGIN;
+            if (clearWinner) {
+                result.items.push(this.toItem(fragment, best.key, best.product));
+                return;
+            }
+
+            result.ambiguous.push({
+                fragment,
+                keys: matches
+                    .filter(match => best.score - match.score < ORDER_PARSER_CONFIG.AMBIGUITY_MARGIN)
+                    .map(match => match.key)
+            });
+        });
+
+        return result;
+    }
+
+    // Turn a fragment's amount into a cart quantity for the chosen product: a weight for
+    // per-kg products, otherwise a whole number of pieces
+    toItem(fragment, key, product) {
+        let quantity = fragment.amount;
+
+        if (weighedProducts.isWeighed(product) && (!fragment.unit || fragment.unit === 'kg')) {
+            const weight = weighedProducts.roundWeight(quantity);
+            return {
+                key,
+                quantity: weight,
+                source: fragment.text,
+                rounded: weight !== weighedProducts.round(quantity)
+            };
+        }
+
+        // "2 dozen eggs" is 24 eggs unless the product is itself sold by the dozen
+        if (fragment.unit === 'dozen' && !/dozen/i.test(`${product.name} ${product.unit || ''}`)) {
+            quantity = quantity * 12;
+        }
+
+        const rounded = Math.max(1, Math.ceil(quantity - 1e-9));
+        return {
+            key,
+            quantity: rounded,
+            source: fragment.text,
+            rounded: rounded !== quantity
+        };
+    }
+}
+
+module.exports = new OrderParser();
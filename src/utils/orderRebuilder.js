@@ -0,0 +1,58 @@
+const weighedProducts = require('./weighedProducts');
+const productVariants = require('./productVariants');
+const { CART_CONFIG } = require('../config/constants');
+
+class OrderRebuilder {
+    // Order lines -> cart items at current prices, noting lines whose price moved and lines we can no longer sell.
+    // products is keyed by product id, as on session.businessData.products.
+    rebuild(products, lines) {
+        const result = { items: [], priceChanges: [], unavailable: [] };
+
+        (lines || []).forEach(item => {
+            const key = item.key || item.id;
+            const product = key ? products[key] : null;
+            const name = productVariants.displayName(item);
+            if (!product || product.isAvailable === false) {
+                result.unavailable.push(name);
+                return;
+            }
+
+            // The previous options must still be on offer, one per group
+            const groups = productVariants.getGroups(product);
+            const chosen = (item.options || []).map(option => option.name);
+            const optionsMatch = groups.length === chosen.length && groups.every((group, i) => {
+                return group.name === item.options[i].group && group.options.some(option => option.name === chosen[i]);
+            });
+            if (!optionsMatch) {
+                result.unavailable.push(name);
+                return;
+            }
+
+            const selection = groups.length > 0
+                ? productVariants.buildSelection(product, chosen)
+                : { options: [], variantKey: null, price: parseFloat(product.price) || 0 };
+            const previousPrice = parseFloat(item.price) || 0;
+            if (Math.abs(selection.price - previousPrice) >= 0.01) {
+                result.priceChanges.push({ name, unit: product.unit, previousPrice, price: selection.price });
+            }
+
+            // The ordered amount, not the weighed one; products that switched units get a sensible quantity
+            const ordered = parseFloat(item.quantity) || 1;
+            const quantity = weighedProducts.isWeighed(product)
+                ? weighedProducts.roundWeight(ordered)
+                : Math.max(1, Math.ceil(ordered - 1e-9));
+
+            result.items.push({
+                key,
+                name: product.name,
+                unit: product.unit || null,
+                quantity: Math.min(quantity, CART_CONFIG.MAX_ITEM_QUANTITY),
+                ...selection
+            });
+        });
+
+        return result;
+    }
+}
+
+module.exports = new OrderRebuilder();
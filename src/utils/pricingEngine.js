@@ -0,0 +1,127 @@
+const { VENDOR_SETTINGS_DEFAULTS } = require('../config/constants');
+const helpers = require('./helpers');
+const weighedProducts = require('./weighedProducts');
+
+// Vendors override these in the pricing section of their settings
+const DEFAULT_RULES = VENDOR_SETTINGS_DEFAULTS.pricing;
+
+class PricingEngine {
+    getDefaultRules() {
+        return { ...DEFAULT_RULES };
+    }
+
+    // The single place order totals are worked out: cart view, checkout and saved orders.
+    // redemption is { points, pointValue, maxRedeemRatio } when the customer pays with loyalty points;
+    // tier is { name, discountRate, freeDelivery } for customers whose level carries benefits.
+    // Pickup, delivery-zone and distance fees arrive in the rules (see fulfilment.toPricingRules).
+    // Weighed lines are charged on weighedQuantity once the vendor has recorded it, and are estimates until then.
+    calculate(items, rules = {}, discount = null, redemption = null, tier = null) {
+        const pricingRules = { ...DEFAULT_RULES, ...(rules || {}) };
+
+        const lines = (items || []).map(item => {
+            const price = this.toAmount(item.price);
+            const weighed = weighedProducts.isWeighed(item);
+            const measured = weighed && item.weighedQuantity !== undefined && item.weighedQuantity !== null;
+            const quantity = this.toAmount(measured ? item.weighedQuantity : item.quantity);
+            return {
+                key: item.key || item.id || null,
+                name: item.name || 'Product',
+                price,
+                quantity,
+                unit: weighed ? 'kg' : null,
+                estimated: weighed && !measured,
+                lineTotal: helpers.roundToTwo(price * quantity)
+            };
+        });
+
+        const subtotal = helpers.roundToTwo(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+        const discountAmount = this.calculateDiscount(subtotal, discount);
+        // The tier discount stacks on top of a code, on what is left after it
+        const tierAmount = tier ? this.calculateDiscount(subtotal - discountAmount, {
+            type: 'percentage',
+            value: tier.discountRate
+        }) : 0;
+        const discountedSubtotal = helpers.roundToTwo(subtotal - discountAmount - tierAmount);
+
+        const threshold = this.toAmount(pricingRules.freeDeliveryThreshold);
+        const freeDelivery = lines.length === 0 || (tier && tier.freeDelivery) ||
+            (threshold > 0 && discountedSubtotal >= threshold);
+        const delivery = freeDelivery ? 0 : helpers.roundToTwo(this.toAmount(pricingRules.deliveryFee));
+
+        // Inclusive prices already carry VAT, so it is reported but not added on top
+        const taxRate = this.toAmount(pricingRules.taxRate);
+        const tax = pricingRules.taxInclusive
+            ? helpers.roundToTwo(discountedSubtotal - discountedSubtotal / (1 + taxRate))
+            : helpers.roundToTwo(discountedSubtotal * taxRate);
+
+        const totalBeforePoints = helpers.roundToTwo(discountedSubtotal + delivery + (pricingRules.taxInclusive ? 0 : tax));
+        const points = this.calculatePoints(totalBeforePoints, redemption);
+        const total = helpers.roundToTwo(totalBeforePoints - (points ? points.amount : 0));
+
+        return {
+            lines,
+            itemCount: lines.length,
+            subtotal,
+            discount: discountAmount > 0 ? {
+                code: discount.code || null,
+                type: discount.type,
+                value: discount.value,
+                amount: discountAmount
+            } : null,
+            tier: tier ? {
+                name: tier.name,
+                discountRate: this.toAmount(tier.discountRate),
+                amount: tierAmount,
+                freeDelivery: !!tier.freeDelivery
+            } : null,
+            delivery,
+            fulfilment: pricingRules.fulfilment || null,
+            deliveryZone: pricingRules.deliveryZone || null,
+            deliveryDistance: pricingRules.deliveryDistance ?? null,
+            deliveryBand: pricingRules.deliveryBand || null,
+            freeDeliveryThreshold: threshold,
+            taxRate,
+            taxInclusive: !!pricingRules.taxInclusive,
+            tax,
+            points,
+            total,
+            estimated: lines.some(line => line.estimated),
+            currency: pricingRules.currency
+        };
+    }
+
+    // Percentage values are fractions (0.1 = 10%); a discount never exceeds the subtotal
+    calculateDiscount(subtotal, discount) {
+        if (!discount || !discount.type || subtotal <= 0) {
+            return 0;
+        }
+
+        const value = this.toAmount(discount.value);
+        const amount = discount.type === 'percentage' ? subtotal * value : value;
+        return helpers.roundToTwo(Math.min(Math.max(amount, 0), subtotal));
+    }
+
+    // Points pay part of the total like a voucher, in whole points and never more than the cap
+    calculatePoints(total, redemption) {
+        if (!redemption || redemption.enabled === false || !(redemption.points > 0) || total <= 0) {
+            return null;
+        }
+
+        const pointValue = this.toAmount(redemption.pointValue);
+        if (pointValue <= 0) {
+            return null;
+        }
+
+        const maxRatio = redemption.maxRedeemRatio > 0 ? Math.min(this.toAmount(redemption.maxRedeemRatio), 1) : 1;
+        const maxAmount = Math.min(redemption.points * pointValue, total * maxRatio);
+        const points = Math.floor(maxAmount / pointValue + 1e-9);
+        return points > 0 ? { points, amount: helpers.roundToTwo(points * pointValue) } : null;
+    }
+
+    toAmount(value) {
+        const amount = parseFloat(value);
+        return isNaN(amount) ? 0 : amount;
+    }
+}
+
+module.exports = new PricingEngine();
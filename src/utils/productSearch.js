@@ -0,0 +1,104 @@
+const { SEARCH_CONFIG } = require('../config/constants');
+const helpers = require('./helpers');
+
+// Field weights: a hit in the product name counts more than one in its description
+const FIELD_WEIGHTS = {
+    name: 1.0,
+    category: 0.8,
+    description: 0.6
+};
+
+const STOP_WORDS = ['a', 'an', 'and', 'the', 'of', 'some', 'any', 'for', 'with', 'i', 'want', 'need', 'please', 'do', 'you', 'have', 'sell', 'me', 'is', 'there'];
+
+class ProductSearch {
+    // Rank the catalog against a free-text query; returns [{ key, product, score }] best first
+    search(businessData, query, limit = SEARCH_CONFIG.MAX_RESULTS) {
+        const queryTokens = this.tokenize(query).filter(token => !STOP_WORDS.includes(token));
+        if (queryTokens.length === 0 || !businessData || !businessData.products) {
+            return [];
+        }
+
+        const keys = businessData.productOrder && businessData.productOrder.length > 0
+            ? businessData.productOrder
+            : Object.keys(businessData.products);
+        const phrase = queryTokens.join(' ');
+
+        const results = [];
+        keys.forEach(key => {
+            const product = businessData.products[key];
+            if (!product) {
+                return;
+            }
+
+            const score = this.scoreProduct(product, queryTokens, phrase);
+            if (score >= SEARCH_CONFIG.MIN_SCORE) {
+                results.push({ key, product, score });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    scoreProduct(product, queryTokens, phrase) {
+        const fields = {
+            name: this.tokenize(product.name),
+            category: this.tokenize(product.category),
+            description: this.tokenize(product.description)
+        };
+
+        // Every query word has to match somewhere, so "beef mince" does not return all beef
+        let total = 0;
+        for (const token of queryTokens) {
+            let best = 0;
+            Object.keys(fields).forEach(field => {
+                fields[field].forEach(candidate => {
+                    best = Math.max(best, this.scoreToken(token, candidate) * FIELD_WEIGHTS[field]);
+                });
+            });
+
+            if (best === 0) {
+                return 0;
+            }
+            total += best;
+        }
+
+        let score = total / queryTokens.length;
+        if ((product.name || '').toLowerCase().includes(phrase)) {
+            score = Math.min(1, score + 0.1);
+        }
+        return score;
+    }
+
+    // 1 for an exact word, 0.9 for a prefix ("chick" / "chickens"), otherwise typo tolerance
+    scoreToken(token, candidate) {
+        if (token === candidate) {
+            return 1;
+        }
+
+        const shorter = token.length <= candidate.length ? token : candidate;
+        const longer = shorter === token ? candidate : token;
+        if (shorter.length >= 3 && longer.startsWith(shorter)) {
+            return 0.9;
+        }
+
+        if (token.length < 3) {
+            return 0;
+        }
+
+        const allowedTypos = token.length >= 7 ? 2 : 1;
+        const distance = helpers.levenshteinDistance(token, candidate);
+        return distance <= allowedTypos ? 1 - distance / Math.max(token.length, candidate.length) : 0;
+    }
+
+    tokenize(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+        return text.toLowerCase()
+                   .replace(/[^a-z0-9\s]/g, ' ')
+                   .split(/\s+/)
+                   .filter(Boolean);
+    }
+}
+
+module.exports = new ProductSearch();
@@ -0,0 +1,103 @@
+const helpers = require('./helpers');
+const weighedProducts = require('./weighedProducts');
+
+// Products may carry variantGroups: [{ name: 'Size', options: [{ name: '1kg', priceDelta: 70, stock: 4 }] }].
+// The customer picks one option per group; options without a stock figure are not stock-tracked.
+class ProductVariants {
+    // Groups in catalog order, leaving out options the vendor switched off and groups with nothing left
+    getGroups(product) {
+        if (!product || !Array.isArray(product.variantGroups)) {
+            return [];
+        }
+
+        return product.variantGroups
+            .map(group => ({
+                name: (group && group.name) || 'Option',
+                options: (group && Array.isArray(group.options) ? group.options : [])
+                    .filter(option => option && option.name && option.isAvailable !== false)
+                    .map(option => ({
+                        name: option.name,
+                        priceDelta: parseFloat(option.priceDelta) || 0,
+                        stock: option.stock === undefined || option.stock === null ? null : parseFloat(option.stock) || 0
+                    }))
+            }))
+            .filter(group => group.options.length > 0);
+    }
+
+    hasVariants(product) {
+        return this.getGroups(product).length > 0;
+    }
+
+    // Cheapest combination, for "from N$80.00" in menus
+    getFromPrice(product) {
+        const base = parseFloat(product.price) || 0;
+        return helpers.roundToTwo(this.getGroups(product).reduce((price, group) => {
+            return price + Math.min(...group.options.map(option => option.priceDelta));
+        }, base));
+    }
+
+    // Cart line fields for one chosen option name per group, in group order
+    buildSelection(product, chosenNames) {
+        const options = this.getGroups(product).map((group, i) => {
+            const option = group.options.find(o => o.name === chosenNames[i]);
+            return { group: group.name, name: option.name, priceDelta: option.priceDelta };
+        });
+
+        return {
+            options,
+            variantKey: this.getVariantKey(options),
+            price: helpers.roundToTwo(options.reduce((price, option) => price + option.priceDelta, parseFloat(product.price) || 0))
+        };
+    }
+
+    // Lines for the same product merge only when the same options were chosen
+    getVariantKey(options) {
+        return (options || []).map(option => `${option.group}:${option.name}`).join('|') || null;
+    }
+
+    hasOption(line, option) {
+        return (line.options || []).some(o => o.group === option.group && o.name === option.name);
+    }
+
+    describe(options) {
+        return (options || []).map(option => option.name).join(', ');
+    }
+
+    // "T-bone (1kg, Thick cut)" for cart and order lines
+    displayName(item) {
+        const name = item.name || item.product?.name || 'Product';
+        const options = this.describe(item.options);
+        return options ? `${name} (${options})` : name;
+    }
+
+    // Apply option quantities to the stock kept on a product's variantGroups: direction -1 reserves, +1 restocks.
+    // Resolves to a copy of the groups, the options that changed and, when reserving, any shortages.
+    adjustOptionStock(variantGroups, options, direction) {
+        const groups = (Array.isArray(variantGroups) ? variantGroups : []).map(group => ({
+            ...group,
+            options: (group.options || []).map(option => ({ ...option }))
+        }));
+
+        const changed = [];
+        const shortages = [];
+        (options || []).forEach(requested => {
+            const group = groups.find(g => g.name === requested.group);
+            const option = group && group.options.find(o => o.name === requested.name);
+            if (!option || option.stock === undefined || option.stock === null) {
+                return;
+            }
+
+            const stock = parseFloat(option.stock) || 0;
+            if (direction < 0 && stock < requested.quantity) {
+                shortages.push({ ...requested, available: Math.max(stock, 0) });
+                return;
+            }
+            option.stock = weighedProducts.round(stock + direction * requested.quantity);
+            changed.push({ group: requested.group, name: requested.name, quantity: requested.quantity });
+        });
+
+        return { variantGroups: groups, changed, shortages };
+    }
+}
+
+module.exports = new ProductVariants();
@@ -1,8 +1,9 @@
 const { VALIDATION_CONFIG } = require('../config/constants');
 
 class Validators {
-    // Parse customer info from checkout (name|email|phone|address)
-    parseCustomerInfo(input) {
+    // Parse customer info from checkout (name|email|phone|address).
+    // addressOptional: the customer shared a location pin, so name|email|phone is enough.
+    parseCustomerInfo(input, options = {}) {
         console.log('🔍 VALIDATOR DEBUG - parseCustomerInfo called with:', input);
         
         if (!input || typeof input !== 'string') {
@@ -19,18 +20,18 @@ class Validators {
         
         // FIXED: Use hardcoded value instead of potentially undefined constant
         const expectedParts = VALIDATION_CONFIG?.CUSTOMER_INFO_PARTS || 4;
-        if (parts.length !== expectedParts) {
+        if (parts.length !== expectedParts && !(options.addressOptional && parts.length === expectedParts - 1)) {
             console.log('❌ VALIDATOR DEBUG - parseCustomerInfo: Wrong number of parts, expected', expectedParts, 'got', parts.length);
             return null;
         }
 
-        const [name, email, phone, address] = parts;
+        const [name, email, phone, address = null] = parts;
 
         // Validate each part
         if (!this.isValidName(name) ||
             !this.isValidEmail(email) ||
             !this.isValidPhone(phone) ||
-            !this.isValidAddress(address)) {
+            (address === null ? !options.addressOptional : !this.isValidAddress(address))) {
             console.log('❌ VALIDATOR DEBUG - parseCustomerInfo: Validation failed for one or more fields');
             return null;
         }
@@ -39,7 +40,7 @@ class Validators {
             name: this.sanitizeName(name),
             email: this.sanitizeEmail(email),
             phone: this.sanitizePhone(phone),
-            address: this.sanitizeAddress(address)
+            address: address === null ? null : this.sanitizeAddress(address)
         };
         
         console.log('✅ VALIDATOR DEBUG - parseCustomerInfo: Success:', result);
@@ -244,6 +245,48 @@ class Validators {
         return Number.isInteger(quantity) && quantity > 0 && quantity <= 100;
     }
 
+    // Parse quick order selections: "3", "3x4", "3 4", "4 of 3" or several like "1x2, 5x1"
+    parseProductSelection(input) {
+        if (!input || typeof input !== 'string') {
+            return null;
+        }
+
+        // WhatsApp bold markers may wrap the input or a selection; an inner "*" is the quantity separator ("3*4")
+        const parts = input.toLowerCase()
+            .split(/\s*(?:,|;|&|\band\b)\s*/)
+            .map(part => part.trim().replace(/^\*+|\*+$/g, '').trim())
+            .filter(Boolean);
+
+        if (parts.length === 0) {
+            return null;
+        }
+
+        const selections = [];
+        for (const part of parts) {
+            let number;
+            let quantity;
+            // Quantities may be weights for per-kg products: "2x1.5", "2x1.5kg", "1.5kg of 2"
+            let match = part.match(/^(\d+)(?:\s*[x×*]\s*|\s+)(\d+(?:\.\d+)?)(?:\s*kg)?$/) || part.match(/^(\d+)$/);
+
+            if (match) {
+                number = parseInt(match[1]);
+                quantity = match[2] ? parseFloat(match[2]) : 1;
+            } else if ((match = part.match(/^(\d+(?:\.\d+)?)(?:\s*kg)?\s+of\s+(\d+)$/))) {
+                quantity = parseFloat(match[1]);
+                number = parseInt(match[2]);
+            } else {
+                return null;
+            }
+
+            if (number < 1 || !(quantity > 0)) {
+                return null;
+            }
+            selections.push({ number, quantity });
+        }
+
+        return selections;
+    }
+
     isValidPrice(price) {
         if (typeof price === 'string') {
             price = parseFloat(price);
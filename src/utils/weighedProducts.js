@@ -0,0 +1,42 @@
+const { WEIGHT_CONFIG } = require('../config/constants');
+
+class WeighedProducts {
+    // Products priced per kg; anything else is sold in whole pieces
+    isWeighed(product) {
+        const unit = product && typeof product.unit === 'string' ? product.unit.trim().toLowerCase() : '';
+        return WEIGHT_CONFIG.UNITS.includes(unit);
+    }
+
+    // Weights are ordered in WEIGHT_CONFIG.STEP increments, never below the minimum
+    roundWeight(quantity) {
+        const steps = Math.round((parseFloat(quantity) || 0) / WEIGHT_CONFIG.STEP);
+        return Math.max(this.round(steps * WEIGHT_CONFIG.STEP), WEIGHT_CONFIG.MIN_QUANTITY);
+    }
+
+    // Strips float noise (0.1 + 0.2) from quantities and stock levels
+    round(quantity) {
+        return Math.round((parseFloat(quantity) || 0) * 1000) / 1000;
+    }
+
+    // The reason a quantity cannot be ordered for this product, or null when it can
+    checkQuantity(product, quantity) {
+        if (this.isWeighed(product)) {
+            return quantity < WEIGHT_CONFIG.MIN_QUANTITY
+                ? `The minimum for *${product.name}* is ${WEIGHT_CONFIG.MIN_QUANTITY} kg.`
+                : null;
+        }
+        return Number.isInteger(quantity) ? null : `*${product.name}* is sold per item - please use whole numbers.`;
+    }
+
+    // "1.5 kg" for weighed lines, the plain count otherwise
+    formatQuantity(quantity, product) {
+        return this.isWeighed(product) ? `${this.round(quantity)} kg` : `${quantity}`;
+    }
+
+    // Price label: "N$120.00/kg" or "N$15.00"
+    formatPrice(price, product, currency = 'N$') {
+        return `${currency}${(parseFloat(price) || 0).toFixed(2)}${this.isWeighed(product) ? '/kg' : ''}`;
+    }
+}
+
+module.exports = new WeighedProducts();
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Firestore, Timestamp } = require('@google-cloud/firestore');
+const MessageHandler = require('../src/handlers/messageHandler');
+const sessionManager = require('../src/utils/sessionManager');
+
+// Shaped like firebaseService.getBusinessProducts output: the picture is imageUrl, there is no image field
+function firestoreProduct() {
+    return {
+        id: 'eggs',
+        name: 'Free range eggs',
+        price: 45,
+        description: 'Tray of 30',
+        category: 'dairy',
+        imageUrl: 'https://example.com/eggs.jpg',
+        stockQuantity: 20,
+        isAvailable: true,
+        unit: 'piece',
+        createdAt: Timestamp.now(),
+        updatedAt: Timestamp.now()
+    };
+}
+
+test.after(() => sessionManager.stopCleanupInterval());
+
+test('an order built from a Firestore product can be written to Firestore', () => {
+    const handler = new MessageHandler({}, {});
+    const session = handler.getOrCreateSession('264811234567@s.whatsapp.net', 'vendor1', {
+        products: { eggs: firestoreProduct() }
+    });
+    session.customerInfo = { name: 'Anna', email: 'anna@example.com', phone: '0811234567', address: '12 Nelson Mandela Ave' };
+    assert.strictEqual(session.addToCart('eggs', 2), true);
+
+    const order = session.generateOrder();
+    assert.strictEqual(order.items[0].image, 'https://example.com/eggs.jpg');
+
+    // Firestore validates document data when it is queued, so no server is needed; undefined fields throw here
+    const db = new Firestore({ projectId: 'orderly-test' });
+    const orderRef = db.collection('vendors').doc('vendor1').collection('orders').doc();
+    assert.doesNotThrow(() => db.batch().set(orderRef, { ...order, orderNumber: 1001, status: 'pending' }));
+});
+
+test('a product without any picture gives a line that Firestore accepts', () => {
+    const handler = new MessageHandler({}, {});
+    const product = firestoreProduct();
+    delete product.imageUrl;
+    const session = handler.getOrCreateSession('264819876543@s.whatsapp.net', 'vendor1', {
+        products: { eggs: product }
+    });
+    session.addToCart('eggs', 1);
+
+    const order = session.generateOrder();
+    assert.strictEqual(order.items[0].image, null);
+
+    const db = new Firestore({ projectId: 'orderly-test' });
+    const orderRef = db.collection('vendors').doc('vendor1').collection('orders').doc();
+    assert.doesNotThrow(() => db.batch().set(orderRef, order));
+});